@@ -0,0 +1,346 @@
+// ============================================================================
+// SMARTBAGAN - SHARED CACHE
+// File: backend/src/cache/index.js
+// ============================================================================
+// Satu cache untuk semua service, dua lapis:
+//   memory → Map per namespace (cepat, hilang saat restart)
+//   disk   → satu file JSON per entry di <DATA_DIR>/cache/<namespace>/,
+//            jadi restart server tidak membuang data satelit yang mahal
+//
+// Namespace = sumber data (chlorophyll, sst, marine, wind) atau hasil
+// hitungan (zones, forecast, analytics), masing-masing dengan TTL sendiri.
+// Key dibentuk dari bagian-bagian seperti [operation, lokasi, tanggal].
+//
+// Stale-while-revalidate: entry yang lewat TTL tapi belum lewat maxStale
+// tetap dikembalikan langsung, sementara fetch baru jalan di background.
+// Kalau upstream sedang mati, user tetap dapat data terakhir (sampai maxStale).
+// TTL bisa di-override lewat env, mis. CACHE_TTL_SST_SECONDS=3600
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('../storage');
+
+const HOUR = 3600;
+
+const CONFIG = {
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  persist: process.env.CACHE_PERSIST !== 'false',
+  dir: process.env.CACHE_DIR || path.join(storage.CONFIG.dataDir, 'cache'),
+  maxMemoryEntries: parseInt(process.env.CACHE_MAX_MEMORY_ENTRIES || 2000), // Per namespace
+  namespaces: {
+    // Satelit update harian; dicek ulang oleh prefetch job satellite
+    chlorophyll: { ttlSeconds: 6 * HOUR, maxStaleSeconds: 7 * 24 * HOUR, persist: true },
+    sst: { ttlSeconds: 6 * HOUR, maxStaleSeconds: 7 * 24 * HOUR, persist: true },
+    // Open-Meteo update per jam
+    marine: { ttlSeconds: 1800, maxStaleSeconds: 12 * HOUR, persist: true },
+    wind: { ttlSeconds: 1800, maxStaleSeconds: 12 * HOUR, persist: true },
+    // Hasil hitungan
+    zones: { ttlSeconds: 1800, maxStaleSeconds: 6 * HOUR, persist: true },
+    forecast: { ttlSeconds: HOUR, maxStaleSeconds: 6 * HOUR, persist: true },
+    // Murah dihitung ulang & di-flush setiap trip berubah
+    analytics: { ttlSeconds: 1800, maxStaleSeconds: 0, persist: false }
+  }
+};
+
+const memory = new Map();   // namespace → Map(key → entry)
+const pending = new Map();  // `${namespace}|${key}` → Promise (single-flight)
+const generations = new Map(); // namespace → counter, dinaikkan setiap invalidate
+const stats = new Map();    // namespace → counters
+
+for (const [name, settings] of Object.entries(CONFIG.namespaces)) {
+  const override = process.env[`CACHE_TTL_${name.toUpperCase()}_SECONDS`];
+  if (override !== undefined) {
+    settings.ttlSeconds = parseInt(override);
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function hasNamespace(namespace) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.namespaces, namespace);
+}
+
+function settingsFor(namespace) {
+  if (!hasNamespace(namespace)) {
+    throw new Error(`Unknown cache namespace: ${namespace}`);
+  }
+  return CONFIG.namespaces[namespace];
+}
+
+function statsFor(namespace) {
+  if (!stats.has(namespace)) {
+    stats.set(namespace, {
+      hits: 0,
+      diskHits: 0,
+      staleHits: 0,
+      misses: 0,
+      revalidations: 0,
+      revalidationFailures: 0,
+      errors: 0
+    });
+  }
+  return stats.get(namespace);
+}
+
+function memoryFor(namespace) {
+  if (!memory.has(namespace)) memory.set(namespace, new Map());
+  return memory.get(namespace);
+}
+
+function buildKey(parts) {
+  return (Array.isArray(parts) ? parts : [parts]).map(String).join(':');
+}
+
+// Nama file = hash key (key bisa berisi ':' yang tidak valid di Windows)
+function entryPath(namespace, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(CONFIG.dir, namespace, `${hash}.json`);
+}
+
+function shouldPersist(namespace) {
+  return CONFIG.persist && settingsFor(namespace).persist;
+}
+
+// Map menjaga urutan insert → entry tertua dibuang duluan
+function remember(namespace, entry) {
+  const entries = memoryFor(namespace);
+  entries.delete(entry.key);
+  entries.set(entry.key, entry);
+  while (entries.size > CONFIG.maxMemoryEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// ============================================================================
+// READ / WRITE
+// ============================================================================
+
+async function readEntry(namespace, key) {
+  const cached = memoryFor(namespace).get(key);
+  if (cached) return cached;
+  if (!shouldPersist(namespace)) return null;
+
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(namespace, key), 'utf8'));
+    // Hash bentrok hampir mustahil, tapi pastikan key-nya memang sama
+    if (entry.key !== key) return null;
+
+    statsFor(namespace).diskHits++;
+    remember(namespace, entry);
+    return entry;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      statsFor(namespace).errors++;
+      console.error(`Cache read failed (${namespace}/${key}):`, error.message);
+    }
+    return null;
+  }
+}
+
+async function writeEntry(namespace, key, value) {
+  const entry = { key, value, storedAt: Date.now() };
+  remember(namespace, entry);
+
+  if (shouldPersist(namespace)) {
+    try {
+      const file = entryPath(namespace, key);
+      // Tulis ke .tmp lalu rename → pembaca tidak pernah melihat file setengah jadi
+      const tmpFile = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tmpFile, JSON.stringify(entry), 'utf8');
+      await fs.rename(tmpFile, file);
+    } catch (error) {
+      statsFor(namespace).errors++;
+      console.error(`Cache write failed (${namespace}/${key}):`, error.message);
+    }
+  }
+  return entry;
+}
+
+function generationOf(namespace) {
+  return generations.get(namespace) || 0;
+}
+
+// Satu fetch per key sekaligus, caller lain menunggu promise yang sama.
+// Kalau namespace di-invalidate selama fetch jalan, hasilnya (dihitung dari
+// data sebelum perubahan) tetap dikembalikan ke caller tapi tidak disimpan.
+function load(namespace, key, fetcher) {
+  const id = `${namespace}|${key}`;
+  if (!pending.has(id)) {
+    const generation = generationOf(namespace);
+    const run = (async () => {
+      const value = await fetcher();
+      if (generationOf(namespace) === generation) {
+        await writeEntry(namespace, key, value);
+      }
+      return value;
+    })();
+    const done = () => {
+      if (pending.get(id) === run) pending.delete(id);
+    };
+    pending.set(id, run);
+    run.then(done, done);
+  }
+  return pending.get(id);
+}
+
+function revalidate(namespace, key, fetcher) {
+  const counters = statsFor(namespace);
+  counters.revalidations++;
+  load(namespace, key, fetcher).catch(error => {
+    counters.revalidationFailures++;
+    console.log(`⚠️ Serving stale ${namespace}/${key}, revalidation failed: ${error.message}`);
+  });
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+// Ambil dari cache atau jalankan fetcher. status:
+//   hit    → masih dalam TTL
+//   stale  → lewat TTL, dikembalikan sambil revalidate di background
+//   miss   → tidak ada / lewat maxStale, fetcher dijalankan
+//   bypass → refresh = true atau cache dimatikan
+// Error fetcher diteruskan ke caller (tidak ada yang disimpan).
+async function fetch(namespace, keyParts, fetcher, { refresh = false } = {}) {
+  settingsFor(namespace);
+  const key = buildKey(keyParts);
+  const counters = statsFor(namespace);
+
+  if (!CONFIG.enabled) {
+    return { value: await fetcher(), status: 'bypass' };
+  }
+
+  if (!refresh) {
+    const entry = await readEntry(namespace, key);
+    // Umur dihitung saat dibaca → perubahan TTL langsung berlaku untuk entry lama
+    const settings = settingsFor(namespace);
+    const ageSeconds = entry ? (Date.now() - entry.storedAt) / 1000 : null;
+
+    if (entry && ageSeconds < settings.ttlSeconds) {
+      counters.hits++;
+      return { value: entry.value, status: 'hit', storedAt: entry.storedAt };
+    }
+    if (entry && ageSeconds < settings.ttlSeconds + settings.maxStaleSeconds) {
+      counters.staleHits++;
+      revalidate(namespace, key, fetcher);
+      return { value: entry.value, status: 'stale', storedAt: entry.storedAt };
+    }
+  }
+
+  counters.misses++;
+  const value = await load(namespace, key, fetcher);
+  return { value, status: refresh ? 'bypass' : 'miss' };
+}
+
+// Sama seperti fetch, hanya value-nya
+async function wrap(namespace, keyParts, fetcher, options) {
+  const { value } = await fetch(namespace, keyParts, fetcher, options);
+  return value;
+}
+
+// Hapus satu namespace (atau semua), opsional hanya key yang mengandung `match`
+async function invalidate(namespace, { match } = {}) {
+  const namespaces = namespace ? [namespace] : Object.keys(CONFIG.namespaces);
+  const removed = { memory: 0, disk: 0 };
+
+  for (const name of namespaces) {
+    settingsFor(name);
+    const entries = memoryFor(name);
+
+    // Fetch yang sedang jalan tidak boleh menulis nilai lama setelah flush,
+    // dan caller baru tidak ikut menunggu fetch itu
+    generations.set(name, generationOf(name) + 1);
+    const prefix = `${name}|`;
+    for (const id of [...pending.keys()]) {
+      if (id.startsWith(prefix) && (!match || id.slice(prefix.length).includes(match))) {
+        pending.delete(id);
+      }
+    }
+
+    for (const key of [...entries.keys()]) {
+      if (!match || key.includes(match)) {
+        entries.delete(key);
+        removed.memory++;
+      }
+    }
+
+    if (!shouldPersist(name)) continue;
+
+    const dir = path.join(CONFIG.dir, name);
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const filePath = path.join(dir, file);
+      if (match) {
+        let entry;
+        try {
+          entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+          // File hilang atau rusak - key tidak bisa dicocokkan, lewati
+          continue;
+        }
+        if (!entry || typeof entry.key !== 'string' || !entry.key.includes(match)) continue;
+      }
+      await fs.rm(filePath, { force: true });
+      removed.disk++;
+    }
+  }
+
+  return { namespace: namespace || null, match: match || null, removed };
+}
+
+// Statistik per namespace untuk halaman admin
+async function getStats() {
+  const namespaces = [];
+
+  for (const [name, settings] of Object.entries(CONFIG.namespaces)) {
+    const counters = statsFor(name);
+    const lookups = counters.hits + counters.staleHits + counters.misses;
+
+    let diskEntries = null;
+    if (shouldPersist(name)) {
+      try {
+        diskEntries = (await fs.readdir(path.join(CONFIG.dir, name))).filter(f => f.endsWith('.json')).length;
+      } catch (error) {
+        diskEntries = 0;
+      }
+    }
+
+    namespaces.push({
+      namespace: name,
+      ttlSeconds: settings.ttlSeconds,
+      maxStaleSeconds: settings.maxStaleSeconds,
+      persist: shouldPersist(name),
+      memoryEntries: memoryFor(name).size,
+      diskEntries,
+      ...counters,
+      hitRate: lookups > 0 ? parseFloat(((counters.hits + counters.staleHits) / lookups).toFixed(3)) : null
+    });
+  }
+
+  return {
+    enabled: CONFIG.enabled,
+    dir: CONFIG.persist ? CONFIG.dir : null,
+    namespaces
+  };
+}
+
+module.exports = {
+  fetch,
+  wrap,
+  invalidate,
+  getStats,
+  hasNamespace,
+  buildKey,
+  CONFIG
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// SMARTBAGAN - DEFAULT NAVIGATION HAZARDS
+// File: backend/src/config/hazards.js
+// ============================================================================
+// Area yang tidak boleh dilewati kapal / bagan tarikan. Di-seed ke storage
+// saat pertama jalan, setelah itu dikelola lewat /api/hazards.
+//
+// Setiap hazard:
+//   type        → salah satu HAZARD_TYPES
+//   geometry    → GeoJSON Polygon ([lng, lat]); lubang diabaikan saat routing
+//   clearanceKm → jarak aman dari tepi polygon (null = default per type)
+//
+// Outline di bawah adalah perkiraan kasar dari titik-titik di
+// optimizerService CONFIG.islands - ganti dengan hasil survei kalau ada.
+
+const HAZARD_TYPES = ['island', 'reef', 'shipping_lane', 'no_take'];
+
+const DEFAULT_HAZARDS = [
+  {
+    id: 'pulau-badul',
+    name: 'Pulau Badul',
+    type: 'island',
+    clearanceKm: null,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [105.5170, -6.7450], [105.5162, -6.7438], [105.5150, -6.7428],
+        [105.5137, -6.7437], [105.5130, -6.7450], [105.5134, -6.7466],
+        [105.5150, -6.7466], [105.5163, -6.7463], [105.5170, -6.7450]
+      ]]
+    }
+  },
+  {
+    id: 'pulau-tinjil',
+    name: 'Pulau Tinjil',
+    type: 'island',
+    clearanceKm: null,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [105.5052, -6.7284], [105.5026, -6.7265], [105.5001, -6.7235],
+        [105.4967, -6.7253], [105.4954, -6.7284], [105.4943, -6.7318],
+        [105.4972, -6.7337], [105.4999, -6.7354], [105.5036, -6.7351],
+        [105.5046, -6.7316], [105.5052, -6.7284]
+      ]]
+    }
+  },
+  {
+    id: 'karang-bokor',
+    name: 'Karang Bokor',
+    type: 'reef',
+    clearanceKm: null,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [105.5317, -6.7591], [105.5300, -6.7589], [105.5286, -6.7592],
+        [105.5281, -6.7610], [105.5300, -6.7613], [105.5315, -6.7609],
+        [105.5317, -6.7591]
+      ]]
+    }
+  }
+];
+
+module.exports = {
+  HAZARD_TYPES,
+  DEFAULT_HAZARDS
+};
@@ -0,0 +1,110 @@
+// ============================================================================
+// SMARTBAGAN - DEFAULT SCORING PROFILES
+// File: backend/src/config/scoringProfiles.js
+// ============================================================================
+// Profil bawaan per target spesies. Di-seed ke storage saat pertama jalan,
+// setelah itu dikelola lewat /api/scoring/profiles.
+//
+// Setiap profil:
+//   weights  → bobot per faktor, total harus 100
+//   factors  → kurva per faktor, salah satu dari:
+//     { type: 'thresholds', bands: [{ when: { gt|gte|lt|lte }, score, rating }] }
+//        band pertama yang cocok dipakai, `when` kosong = sisanya
+//     { type: 'curve', points: [[nilai, score], ...] }
+//        interpolasi linear, di luar range di-clamp
+//   score selalu fraksi 0-1 dari bobot faktor.
+
+const FACTORS = ['chlorophyll', 'sst', 'moon', 'wave', 'wind'];
+
+// Ikan teri - sama persis dengan aturan if/else lama di calculateZoneScore
+const TERI = {
+  id: 'teri',
+  name: 'Ikan Teri',
+  description: 'Default profile (original SmartBagan rules)',
+  weights: { chlorophyll: 30, sst: 25, moon: 20, wave: 15, wind: 10 },
+  factors: {
+    chlorophyll: {
+      type: 'thresholds',
+      bands: [
+        { when: { gt: 0.5 }, score: 1, rating: 'Excellent' },
+        { when: { gt: 0.3 }, score: 20 / 30, rating: 'Good' },
+        { when: { gt: 0.1 }, score: 10 / 30, rating: 'Fair' },
+        { when: {}, score: 0, rating: 'Poor' }
+      ]
+    },
+    sst: {
+      type: 'thresholds',
+      bands: [
+        { when: { gte: 27, lte: 30 }, score: 1, rating: 'Optimal' },
+        { when: { gte: 25, lte: 32 }, score: 15 / 25, rating: 'Good' },
+        { when: { gte: 23, lte: 34 }, score: 5 / 25, rating: 'Fair' },
+        { when: {}, score: 0, rating: 'Poor' }
+      ]
+    },
+    moon: {
+      type: 'thresholds',
+      bands: [
+        { when: { lt: 30 }, score: 1, rating: 'Excellent' },
+        { when: { lt: 50 }, score: 15 / 20, rating: 'Good' },
+        { when: { lt: 70 }, score: 10 / 20, rating: 'Fair' },
+        { when: {}, score: 5 / 20, rating: 'Poor' }
+      ]
+    },
+    wave: {
+      type: 'thresholds',
+      bands: [
+        { when: { lt: 1.0 }, score: 1, rating: 'Calm' },
+        { when: { lt: 1.5 }, score: 10 / 15, rating: 'Moderate' },
+        { when: { lt: 2.0 }, score: 5 / 15, rating: 'Choppy' },
+        { when: {}, score: 0, rating: 'Rough' }
+      ]
+    },
+    wind: {
+      type: 'thresholds',
+      bands: [
+        { when: { lt: 5 }, score: 1, rating: 'Calm' },
+        { when: { lt: 7 }, score: 7 / 10, rating: 'Light' },
+        { when: { lt: 10 }, score: 4 / 10, rating: 'Moderate' },
+        { when: {}, score: 0, rating: 'Strong' }
+      ]
+    }
+  }
+};
+
+// Cumi - sangat tertarik cahaya lampu, jadi bulan gelap paling menentukan
+const CUMI = {
+  id: 'cumi',
+  name: 'Cumi-cumi',
+  description: 'Squid: strongly moon-dependent, prefers slightly cooler water',
+  weights: { chlorophyll: 15, sst: 25, moon: 35, wave: 15, wind: 10 },
+  factors: {
+    chlorophyll: { type: 'curve', points: [[0.05, 0], [0.2, 0.6], [0.4, 1], [2, 1]] },
+    sst: { type: 'curve', points: [[23, 0], [25.5, 0.8], [27, 1], [29, 1], [31, 0.3], [33, 0]] },
+    moon: { type: 'curve', points: [[0, 1], [20, 0.9], [50, 0.4], [80, 0.1], [100, 0]] },
+    wave: TERI.factors.wave,
+    wind: TERI.factors.wind
+  }
+};
+
+// Tembang - ikan pelagis planktivora, ikut konsentrasi klorofil
+const TEMBANG = {
+  id: 'tembang',
+  name: 'Ikan Tembang',
+  description: 'Sardinella: follows chlorophyll fronts, tolerates moderate moonlight',
+  weights: { chlorophyll: 40, sst: 25, moon: 15, wave: 10, wind: 10 },
+  factors: {
+    chlorophyll: { type: 'curve', points: [[0.1, 0], [0.3, 0.5], [0.6, 0.9], [1, 1], [5, 1]] },
+    sst: { type: 'curve', points: [[24, 0], [27, 1], [30, 1], [32, 0.4], [34, 0]] },
+    moon: { type: 'curve', points: [[0, 1], [40, 0.8], [70, 0.4], [100, 0.2]] },
+    wave: TERI.factors.wave,
+    wind: TERI.factors.wind
+  }
+};
+
+const DEFAULT_PROFILE_ID = 'teri';
+
+module.exports = {
+  FACTORS,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_PROFILES: [TERI, CUMI, TEMBANG]
+};
@@ -0,0 +1,114 @@
+// ============================================================================
+// SMARTBAGAN - LOCAL CSV FEED PROVIDER
+// File: backend/src/providers/csvFeed.js
+// ============================================================================
+// Observasi lokal (mis. pengukuran koperasi, export BMKG) dari file CSV:
+//
+//   variable,date,latitude,longitude,value
+//   chlorophyll,2025-12-06,-8.71,115.52,0.48
+//   sst,2025-12-06,-8.71,115.52,28.7
+//
+// Aktif kalau PROVIDER_CSV_PATH di-set. File dibaca ulang kalau berubah.
+
+const fs = require('fs');
+const geo = require('../utils/geo');
+const { summarize } = require('../utils/stats');
+
+const CONFIG = {
+  path: process.env.PROVIDER_CSV_PATH || null,
+  maxDistanceDeg: 0.05   // Titik terdekat harus dalam ±0.05° (~5km)
+};
+
+let loaded = { mtimeMs: null, rows: [] };
+
+function readRows() {
+  const { mtimeMs } = fs.statSync(CONFIG.path);
+  if (mtimeMs === loaded.mtimeMs) {
+    return loaded.rows;
+  }
+
+  const [header, ...lines] = fs.readFileSync(CONFIG.path, 'utf8').split(/\r?\n/).filter(Boolean);
+  const columns = header.split(',').map(c => c.trim());
+
+  const rows = lines.map(line => {
+    const cells = line.split(',').map(c => c.trim());
+    const row = Object.fromEntries(columns.map((c, i) => [c, cells[i]]));
+    return {
+      variable: row.variable,
+      date: row.date,
+      lat: parseFloat(row.latitude),
+      lng: parseFloat(row.longitude),
+      value: parseFloat(row.value)
+    };
+  }).filter(r => r.variable && r.date && [r.lat, r.lng, r.value].every(Number.isFinite));
+
+  loaded = { mtimeMs, rows };
+  return rows;
+}
+
+function rowsFor(variable, date) {
+  return readRows().filter(r => r.variable === variable && r.date === date);
+}
+
+async function point(variable, lat, lon, date) {
+  const nearest = rowsFor(variable, date)
+    .map(r => ({ ...r, distance: Math.hypot(r.lat - lat, r.lng - lon) }))
+    .filter(r => r.distance <= CONFIG.maxDistanceDeg)
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (!nearest) {
+    throw new Error(`No ${variable} observation near (${lat}, ${lon}) on ${date}`);
+  }
+  return { value: nearest.value, date, source: 'Local CSV feed' };
+}
+
+async function area(variable, polygon, date) {
+  const values = rowsFor(variable, date)
+    .filter(r => geo.pointInPolygon(r.lat, r.lng, polygon))
+    .map(r => r.value);
+
+  if (values.length === 0) {
+    throw new Error(`No ${variable} observations inside zone on ${date}`);
+  }
+
+  const spatial = summarize(values, values.length);
+  return { value: spatial.median, date, spatial, source: 'Local CSV feed' };
+}
+
+async function grid(variable, bbox, date) {
+  const points = rowsFor(variable, date)
+    .filter(r => r.lat >= bbox.minLat && r.lat <= bbox.maxLat && r.lng >= bbox.minLng && r.lng <= bbox.maxLng)
+    .map(r => ({ lat: r.lat, lng: r.lng, value: r.value }));
+
+  if (points.length === 0) {
+    throw new Error(`No ${variable} observations inside scan area on ${date}`);
+  }
+  // Titik CSV tidak beraturan - radius interpolasi mengikuti maxDistanceDeg
+  return {
+    points,
+    totalSamples: points.length,
+    validFraction: 1,
+    resolutionDeg: CONFIG.maxDistanceDeg / 2,
+    date,
+    source: 'Local CSV feed'
+  };
+}
+
+module.exports = {
+  id: 'csv',
+  name: 'Local CSV feed',
+  isEnabled: () => Boolean(CONFIG.path) && fs.existsSync(CONFIG.path),
+  variables: {
+    chlorophyll: {
+      point: (lat, lon, date) => point('chlorophyll', lat, lon, date),
+      area: (polygon, date) => area('chlorophyll', polygon, date),
+      grid: (bbox, date) => grid('chlorophyll', bbox, date)
+    },
+    sst: {
+      point: (lat, lon, date) => point('sst', lat, lon, date),
+      area: (polygon, date) => area('sst', polygon, date),
+      grid: (bbox, date) => grid('sst', bbox, date)
+    }
+  },
+  CONFIG
+};
@@ -0,0 +1,256 @@
+// ============================================================================
+// SMARTBAGAN - ERDDAP PROVIDER (chlorophyll VIIRS, SST MUR)
+// File: backend/src/providers/erddap.js
+// ============================================================================
+// Point lookup dan sampling area (polygon) dari griddap NOAA CoastWatch.
+// Data satelit sering telat 1-3 hari, jadi tiap request mencoba tanggal
+// target lalu mundur beberapa hari sebelum menyerah (throw).
+
+const { fetchWithRetry, isUpstreamUnavailable } = require('./http');
+const geo = require('../utils/geo');
+const { summarize } = require('../utils/stats');
+
+const CONFIG = {
+  apis: {
+    nasa: process.env.NASA_BASE_URL || 'https://coastwatch.pfeg.noaa.gov/erddap',
+    noaa: process.env.NOAA_BASE_URL || 'https://coastwatch.pfeg.noaa.gov/erddap'
+  },
+  datasets: {
+    chlorophyll: {
+      api: 'nasa',
+      id: 'nesdisCWViirsSNPPChloDailyNRT',
+      variable: 'chlor_a',
+      label: 'NASA VIIRS',
+      timeOfDay: '12:00:00Z',
+      resolutionDeg: 0.0075,   // ~750m VIIRS pixel
+      latDescending: true,
+      decimals: 3
+    },
+    sst: {
+      api: 'noaa',
+      id: 'jplMURSST41',
+      variable: 'analysed_sst',
+      label: 'NOAA MUR SST',
+      timeOfDay: '09:00:00Z',
+      resolutionDeg: 0.01,     // ~1km MUR grid
+      latDescending: false,
+      decimals: 2
+    }
+  },
+  sampling: {
+    maxSamples: parseInt(process.env.ZONE_MAX_SAMPLES || 400), // Max pixel per zona
+    maxGridSamples: 2500,      // Max pixel per grid scan (optimizer)
+    minValidFraction: 0.2      // Kalau <20% pixel valid (awan), coba tanggal lain
+  },
+  fallbackDays: 4              // Target date + 3 hari ke belakang
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function getFallbackDates(targetDate) {
+  const dates = [];
+  const base = new Date(targetDate);
+
+  for (let i = 0; i < CONFIG.fallbackDays; i++) {
+    const d = new Date(base);
+    d.setDate(d.getDate() - i);
+    dates.push(d.toISOString().split('T')[0]);
+  }
+
+  return dates;
+}
+
+function toCelsius(sstValue) {
+  if (sstValue > 200) {
+    // Value is in Kelvin (typically 273-320K for ocean)
+    return sstValue - 273.15;
+  }
+  if (sstValue < 0) {
+    // Negative value - likely encoding issue, use absolute + offset
+    let sstCelsius = Math.abs(sstValue % 100);
+    if (sstCelsius < 10) sstCelsius += 20; // Adjust to reasonable range
+    return sstCelsius;
+  }
+  // Already in Celsius
+  return sstValue;
+}
+
+// Konversi & rentang valid per variabel
+const VALUE_RULES = {
+  chlorophyll: { transform: v => v, isValid: v => v > 0 && v < 50 },  // 0.01 - 50 mg/m³
+  sst: { transform: toCelsius, isValid: v => v >= 15 && v <= 35 }     // Ocean SST 15-35°C
+};
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+function buildGriddapPointUrl(dataset, lat, lon, date) {
+  return `${CONFIG.apis[dataset.api]}/griddap/${dataset.id}.json?` +
+    `${dataset.variable}[(${date}T${dataset.timeOfDay})][(${lat})][(${lon})]`;
+}
+
+function buildGriddapAreaUrl(dataset, bbox, date, stride) {
+  const latRange = dataset.latDescending
+    ? `(${bbox.maxLat}):${stride}:(${bbox.minLat})`
+    : `(${bbox.minLat}):${stride}:(${bbox.maxLat})`;
+  return `${CONFIG.apis[dataset.api]}/griddap/${dataset.id}.json?` +
+    `${dataset.variable}[(${date}T${dataset.timeOfDay})][${latRange}][(${bbox.minLng}):${stride}:(${bbox.maxLng})]`;
+}
+
+// Stride dipilih supaya jumlah pixel di bbox tidak lebih dari maxSamples
+function samplingStride(dataset, bbox, maxSamples = CONFIG.sampling.maxSamples) {
+  const rows = Math.max(1, (bbox.maxLat - bbox.minLat) / dataset.resolutionDeg);
+  const cols = Math.max(1, (bbox.maxLng - bbox.minLng) / dataset.resolutionDeg);
+  return Math.max(1, Math.ceil(Math.sqrt((rows * cols) / maxSamples)));
+}
+
+async function fetchGriddapArea(dataset, polygon, date, { transform = v => v, isValid = () => true } = {}) {
+  const bbox = geo.polygonBbox(polygon);
+  const stride = samplingStride(dataset, bbox);
+  const url = buildGriddapAreaUrl(dataset, bbox, date, stride);
+
+  const data = await fetchWithRetry(url);
+  if (!data.table || !data.table.rows) {
+    throw new Error('Empty griddap response');
+  }
+
+  // Row format: [time, latitude, longitude, value]
+  const inside = data.table.rows.filter(row => geo.pointInPolygon(row[1], row[2], polygon));
+  const values = inside
+    .map(row => (row[3] === null ? NaN : transform(parseFloat(row[3]))))
+    .filter(v => Number.isFinite(v) && isValid(v));
+
+  return summarize(values, inside.length);
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+async function point(variable, lat, lon, date) {
+  const dataset = CONFIG.datasets[variable];
+  const rules = VALUE_RULES[variable];
+  const fallbackDates = getFallbackDates(date);
+
+  for (const tryDate of fallbackDates) {
+    try {
+      console.log(`Trying ${variable} data for ${tryDate}...`);
+      const data = await fetchWithRetry(buildGriddapPointUrl(dataset, lat, lon, tryDate));
+
+      if (data.table && data.table.rows && data.table.rows.length > 0) {
+        const value = rules.transform(parseFloat(data.table.rows[0][3]));
+
+        if (rules.isValid(value)) {
+          console.log(`✅ ${variable} data found for ${tryDate}: ${value}`);
+          return { value: round(value, dataset.decimals), date: tryDate, source: dataset.label };
+        }
+        console.log(`⚠️ Invalid ${variable} value ${value} for ${tryDate}, trying next date...`);
+      }
+    } catch (error) {
+      // Host down / budget habis → tanggal lain juga pasti gagal
+      if (isUpstreamUnavailable(error)) throw error;
+      console.log(`❌ ${variable} fetch failed for ${tryDate}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No valid ${variable} data (tried dates: ${fallbackDates.join(', ')})`);
+}
+
+async function area(variable, polygon, date) {
+  const dataset = CONFIG.datasets[variable];
+  const fallbackDates = getFallbackDates(date);
+
+  for (const tryDate of fallbackDates) {
+    try {
+      const spatial = await fetchGriddapArea(dataset, polygon, tryDate, VALUE_RULES[variable]);
+
+      if (spatial.validFraction >= CONFIG.sampling.minValidFraction) {
+        console.log(`✅ ${variable} area data for ${tryDate}: median ${spatial.median} (${Math.round(spatial.validFraction * 100)}% valid)`);
+        return {
+          value: round(spatial.median, dataset.decimals),
+          date: tryDate,
+          spatial,
+          source: dataset.label
+        };
+      }
+      console.log(`⚠️ Only ${Math.round(spatial.validFraction * 100)}% valid ${variable} pixels for ${tryDate}, trying next date...`);
+    } catch (error) {
+      if (isUpstreamUnavailable(error)) throw error;
+      console.log(`❌ ${variable} area fetch failed for ${tryDate}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No valid ${variable} area data (tried dates: ${fallbackDates.join(', ')})`);
+}
+
+// Satu subset bbox, pixel valid dikembalikan apa adanya - caller yang
+// interpolasi (scan grid optimizer)
+async function grid(variable, bbox, date) {
+  const dataset = CONFIG.datasets[variable];
+  const rules = VALUE_RULES[variable];
+  const stride = samplingStride(dataset, bbox, CONFIG.sampling.maxGridSamples);
+  const fallbackDates = getFallbackDates(date);
+
+  for (const tryDate of fallbackDates) {
+    try {
+      const data = await fetchWithRetry(buildGriddapAreaUrl(dataset, bbox, tryDate, stride));
+      if (!data.table || !data.table.rows || data.table.rows.length === 0) {
+        throw new Error('Empty griddap response');
+      }
+
+      // Row format: [time, latitude, longitude, value]
+      const points = data.table.rows
+        .map(row => ({
+          lat: row[1],
+          lng: row[2],
+          value: row[3] === null ? NaN : rules.transform(parseFloat(row[3]))
+        }))
+        .filter(p => Number.isFinite(p.value) && rules.isValid(p.value));
+      const validFraction = points.length / data.table.rows.length;
+
+      if (validFraction >= CONFIG.sampling.minValidFraction) {
+        console.log(`✅ ${variable} grid for ${tryDate}: ${points.length}/${data.table.rows.length} valid pixels`);
+        return {
+          points,
+          totalSamples: data.table.rows.length,
+          validFraction: parseFloat(validFraction.toFixed(3)),
+          resolutionDeg: dataset.resolutionDeg * stride,
+          date: tryDate,
+          source: dataset.label
+        };
+      }
+      console.log(`⚠️ Only ${Math.round(validFraction * 100)}% valid ${variable} grid pixels for ${tryDate}, trying next date...`);
+    } catch (error) {
+      if (isUpstreamUnavailable(error)) throw error;
+      console.log(`❌ ${variable} grid fetch failed for ${tryDate}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No valid ${variable} grid data (tried dates: ${fallbackDates.join(', ')})`);
+}
+
+module.exports = {
+  id: 'erddap',
+  name: 'NOAA CoastWatch ERDDAP',
+  isEnabled: () => true,
+  variables: {
+    chlorophyll: {
+      point: (lat, lon, date) => point('chlorophyll', lat, lon, date),
+      area: (polygon, date) => area('chlorophyll', polygon, date),
+      grid: (bbox, date) => grid('chlorophyll', bbox, date)
+    },
+    sst: {
+      point: (lat, lon, date) => point('sst', lat, lon, date),
+      area: (polygon, date) => area('sst', polygon, date),
+      grid: (bbox, date) => grid('sst', bbox, date)
+    }
+  },
+  getFallbackDates,
+  toCelsius,
+  buildGriddapAreaUrl,
+  samplingStride,
+  CONFIG
+};
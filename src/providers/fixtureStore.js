@@ -0,0 +1,122 @@
+// ============================================================================
+// SMARTBAGAN - PROVIDER FIXTURE STORE
+// File: backend/src/providers/fixtureStore.js
+// ============================================================================
+// Response provider yang direkam (DATA_MODE=record) dan diputar ulang
+// (DATA_MODE=fixtures), satu file JSON per variabel/operasi/lokasi/tanggal:
+//
+//   <fixtureDir>/chlorophyll/area/-6.9546_105.6143_-6.9366_105.6325/2025-12-06.json
+//   <fixtureDir>/wind/current/-6.9456_105.6234/2025-12-06.json
+//
+// Kondisi "current" tidak punya tanggal di argumen, jadi dikunci dengan
+// tanggal lokal saat direkam.
+
+const fs = require('fs/promises');
+const path = require('path');
+const geo = require('../utils/geo');
+const { localDate } = require('../utils/date');
+
+const CONFIG = {
+  dir: process.env.FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures')
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function coord(value) {
+  return Number(value).toFixed(4);
+}
+
+// Lokasi & tanggal dari argumen operasi (lihat interface di providers/index.js)
+function fixtureKey(operation, args) {
+  switch (operation) {
+    case 'point': {
+      const [lat, lon, date] = args;
+      return { location: `${coord(lat)}_${coord(lon)}`, date };
+    }
+    case 'area': {
+      const [polygon, date] = args;
+      const bbox = geo.polygonBbox(polygon);
+      return {
+        location: [bbox.minLat, bbox.minLng, bbox.maxLat, bbox.maxLng].map(coord).join('_'),
+        date
+      };
+    }
+    case 'grid': {
+      const [bbox, date] = args;
+      return {
+        location: [bbox.minLat, bbox.minLng, bbox.maxLat, bbox.maxLng].map(coord).join('_'),
+        date
+      };
+    }
+    case 'current': {
+      const [lat, lon] = args;
+      return { location: `${coord(lat)}_${coord(lon)}`, date: localDate() };
+    }
+    case 'hourly': {
+      const [lat, lon, startDate, endDate] = args;
+      return { location: `${coord(lat)}_${coord(lon)}`, date: `${startDate}_${endDate}` };
+    }
+    default:
+      throw new Error(`Unknown provider operation: ${operation}`);
+  }
+}
+
+function locationDir(variable, operation, location) {
+  return path.join(CONFIG.dir, variable, operation, location);
+}
+
+async function save(variable, operation, args, result) {
+  const { location, date } = fixtureKey(operation, args);
+  const dir = locationDir(variable, operation, location);
+  await fs.mkdir(dir, { recursive: true });
+
+  const fixture = {
+    variable,
+    operation,
+    location,
+    date,
+    provider: result.provider,
+    recordedAt: new Date().toISOString(),
+    result
+  };
+  await fs.writeFile(path.join(dir, `${date}.json`), JSON.stringify(fixture, null, 2), 'utf8');
+  return fixture;
+}
+
+// Cari fixture untuk tanggal yang diminta. Untuk data harian (point/area/
+// grid/current), kalau tanggal itu belum direkam pakai rekaman terakhir sebelum
+// tanggal tsb. Forecast per jam harus cocok persis karena jam-nya absolut.
+async function load(variable, operation, args) {
+  const { location, date } = fixtureKey(operation, args);
+  const dir = locationDir(variable, operation, location);
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const recorded = files
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.slice(0, -'.json'.length))
+    .sort();
+
+  let match = recorded.includes(date) ? date : null;
+  if (!match && operation !== 'hourly' && DATE_PATTERN.test(date)) {
+    match = recorded.filter(d => d < date).pop() || null;
+  }
+  if (!match) {
+    return null;
+  }
+
+  return JSON.parse(await fs.readFile(path.join(dir, `${match}.json`), 'utf8'));
+}
+
+module.exports = {
+  save,
+  load,
+  fixtureKey,
+  CONFIG
+};
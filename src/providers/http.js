@@ -0,0 +1,306 @@
+// ============================================================================
+// SMARTBAGAN - PROVIDER HTTP HELPER
+// File: backend/src/providers/http.js
+// ============================================================================
+// Dipakai semua provider yang ambil data lewat HTTP. Setiap host upstream
+// (ERDDAP, Open-Meteo, OpenWeather) punya pengaman sendiri:
+//   - circuit breaker: setelah N kegagalan beruntun host dianggap down,
+//     request berikutnya langsung gagal selama cooldown (lalu 1 request
+//     percobaan / half-open) → registry cepat jatuh ke cache atau estimasi
+//   - retry dengan exponential backoff + jitter, hanya untuk error yang
+//     memang bisa sembuh (timeout, network, 5xx, 429); 404 ERDDAP = data
+//     tanggal itu belum ada, tidak perlu diulang
+//   - batas request paralel per host (sisanya antre)
+//   - budget request per menit per host (termasuk retry)
+// Error karena breaker/budget diberi error.code supaya caller bisa berhenti
+// mencoba tanggal/lokasi lain ke host yang sama.
+
+const axios = require('axios');
+
+const CONFIG = {
+  timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS || 10000),
+  retries: 2,
+  backoff: {
+    baseMs: 500,     // Delay retry ke-n = random(0, min(maxMs, baseMs × 2^n))
+    maxMs: 8000
+  },
+  breaker: {
+    failureThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD || 5),
+    cooldownSeconds: parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_SECONDS || 60)
+  },
+  defaults: {
+    maxConcurrent: 4,
+    budgetPerMinute: 120
+  },
+  // Batas per host, mengikuti kebijakan masing-masing upstream
+  hosts: {
+    'coastwatch.pfeg.noaa.gov': { maxConcurrent: 2, budgetPerMinute: 60 },
+    'marine-api.open-meteo.com': { maxConcurrent: 4, budgetPerMinute: 300 },
+    'api.open-meteo.com': { maxConcurrent: 4, budgetPerMinute: 300 },
+    'api.openweathermap.org': { maxConcurrent: 2, budgetPerMinute: 50 } // Free tier: 60/menit
+  }
+};
+
+const UNAVAILABLE_CODES = ['CIRCUIT_OPEN', 'BUDGET_EXHAUSTED'];
+
+const hosts = new Map();
+
+// ============================================================================
+// HOST STATE
+// ============================================================================
+
+function hostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      host,
+      limits: { ...CONFIG.defaults, ...CONFIG.hosts[host] },
+      breaker: {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false
+      },
+      active: 0,
+      queue: [],
+      requestTimes: [],   // Timestamp request dalam 1 menit terakhir
+      stats: {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        retries: 0,
+        rejected: 0,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null
+      }
+    });
+  }
+  return hosts.get(host);
+}
+
+function unavailableError(code, host, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.host = host;
+  return error;
+}
+
+function isUpstreamUnavailable(error) {
+  return Boolean(error) && UNAVAILABLE_CODES.includes(error.code);
+}
+
+// Timeout, network error, 5xx, 429 → host bermasalah. 4xx lain = request-nya
+// yang salah / data memang tidak ada, host sehat.
+function isTransient(error) {
+  const status = error.response && error.response.status;
+  if (!status) return true;
+  return status >= 500 || status === 429;
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+function cooldownRemainingMs(state) {
+  return state.breaker.openedAt + CONFIG.breaker.cooldownSeconds * 1000 - Date.now();
+}
+
+// Lempar error kalau breaker tidak mengizinkan request
+function acquireBreaker(state) {
+  const { breaker } = state;
+
+  if (breaker.state === 'open') {
+    const remaining = cooldownRemainingMs(state);
+    if (remaining > 0) {
+      throw unavailableError('CIRCUIT_OPEN', state.host,
+        `Circuit open for ${state.host} (retry in ${Math.ceil(remaining / 1000)}s)`);
+    }
+    breaker.state = 'half-open';
+  }
+
+  if (breaker.state === 'half-open') {
+    // Hanya satu request percobaan; yang lain tetap ditolak
+    if (breaker.trialInFlight) {
+      throw unavailableError('CIRCUIT_OPEN', state.host, `Circuit half-open for ${state.host}, trial request in flight`);
+    }
+    breaker.trialInFlight = true;
+  }
+}
+
+function recordSuccess(state) {
+  const { breaker } = state;
+  if (breaker.state !== 'closed') {
+    console.log(`✅ Circuit closed for ${state.host}`);
+  }
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+  state.stats.lastSuccessAt = new Date().toISOString();
+}
+
+function recordFailure(state, error) {
+  const { breaker } = state;
+  breaker.consecutiveFailures++;
+  breaker.trialInFlight = false;
+  state.stats.lastError = error.message;
+  state.stats.lastErrorAt = new Date().toISOString();
+
+  const shouldOpen = breaker.state === 'half-open' ||
+    breaker.consecutiveFailures >= CONFIG.breaker.failureThreshold;
+  if (shouldOpen) {
+    if (breaker.state !== 'open') {
+      console.log(`🔌 Circuit opened for ${state.host} after ${breaker.consecutiveFailures} failures (cooldown ${CONFIG.breaker.cooldownSeconds}s)`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// Request 4xx sampai di host & dijawab - bukan tanda host down, tapi
+// percobaan half-open tetap harus dilepas
+function recordReachable(state) {
+  state.breaker.trialInFlight = false;
+  if (state.breaker.state === 'half-open') {
+    recordSuccess(state);
+  } else {
+    state.breaker.consecutiveFailures = 0;
+  }
+}
+
+// ============================================================================
+// BUDGET & CONCURRENCY
+// ============================================================================
+
+function consumeBudget(state) {
+  const windowStart = Date.now() - 60 * 1000;
+  state.requestTimes = state.requestTimes.filter(t => t > windowStart);
+
+  if (state.requestTimes.length >= state.limits.budgetPerMinute) {
+    throw unavailableError('BUDGET_EXHAUSTED', state.host,
+      `Request budget exhausted for ${state.host} (${state.limits.budgetPerMinute}/min)`);
+  }
+  state.requestTimes.push(Date.now());
+}
+
+function acquireSlot(state) {
+  if (state.active < state.limits.maxConcurrent) {
+    state.active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => state.queue.push(resolve));
+}
+
+// Slot langsung diteruskan ke antrean berikutnya (active tidak berubah)
+function releaseSlot(state) {
+  const next = state.queue.shift();
+  if (next) {
+    next();
+  } else {
+    state.active--;
+  }
+}
+
+function backoffDelay(attempt) {
+  const cap = Math.min(CONFIG.backoff.maxMs, CONFIG.backoff.baseMs * Math.pow(2, attempt));
+  return Math.random() * cap; // Full jitter
+}
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+async function attempt(state, url, timeout) {
+  await acquireSlot(state);
+  try {
+    // Dicek setelah antre: selama menunggu, breaker bisa saja sudah terbuka
+    acquireBreaker(state);
+    try {
+      consumeBudget(state);
+    } catch (error) {
+      state.breaker.trialInFlight = false;
+      throw error;
+    }
+
+    state.stats.requests++;
+    try {
+      const response = await axios.get(url, { timeout });
+      state.stats.successes++;
+      recordSuccess(state);
+      return response.data;
+    } catch (error) {
+      state.stats.failures++;
+      if (isTransient(error)) {
+        recordFailure(state, error);
+      } else {
+        recordReachable(state);
+      }
+      throw error;
+    }
+  } finally {
+    releaseSlot(state);
+  }
+}
+
+async function fetchWithRetry(url, retries = CONFIG.retries, timeout = CONFIG.timeoutMs) {
+  const state = hostState(new URL(url).host);
+
+  for (let i = 0; i <= retries; i++) {
+    try {
+      return await attempt(state, url, timeout);
+    } catch (error) {
+      if (isUpstreamUnavailable(error)) {
+        state.stats.rejected++;
+        throw error;
+      }
+      if (i === retries || !isTransient(error)) throw error;
+
+      const delay = backoffDelay(i);
+      state.stats.retries++;
+      // Path saja - query OpenWeather berisi API key
+      console.log(`Retry ${i + 1}/${retries} for ${state.host}${new URL(url).pathname} in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// ============================================================================
+// HEALTH
+// ============================================================================
+
+function getHostHealth() {
+  const windowStart = Date.now() - 60 * 1000;
+
+  return [...hosts.values()].map(state => {
+    const usedThisMinute = state.requestTimes.filter(t => t > windowStart).length;
+    const open = state.breaker.state === 'open';
+
+    return {
+      host: state.host,
+      breaker: {
+        state: state.breaker.state,
+        consecutiveFailures: state.breaker.consecutiveFailures,
+        openedAt: state.breaker.openedAt ? new Date(state.breaker.openedAt).toISOString() : null,
+        retryInSeconds: open ? Math.max(0, Math.ceil(cooldownRemainingMs(state) / 1000)) : null
+      },
+      concurrency: {
+        active: state.active,
+        queued: state.queue.length,
+        max: state.limits.maxConcurrent
+      },
+      budget: {
+        usedThisMinute,
+        perMinute: state.limits.budgetPerMinute,
+        remaining: Math.max(0, state.limits.budgetPerMinute - usedThisMinute)
+      },
+      ...state.stats
+    };
+  });
+}
+
+module.exports = {
+  fetchWithRetry,
+  isUpstreamUnavailable,
+  getHostHealth,
+  CONFIG
+};
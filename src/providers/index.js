@@ -0,0 +1,182 @@
+// ============================================================================
+// SMARTBAGAN - DATA PROVIDER REGISTRY
+// File: backend/src/providers/index.js
+// ============================================================================
+// Setiap sumber data (ERDDAP, Open-Meteo, OpenWeather, CSV lokal, nanti
+// Copernicus Marine / BMKG) adalah provider dengan bentuk:
+//
+//   {
+//     id: 'erddap',
+//     name: 'NOAA CoastWatch ERDDAP',
+//     isEnabled: () => true,            // mis. false kalau API key belum ada
+//     variables: {
+//       chlorophyll: { point(lat, lon, date), area(polygon, date), grid(bbox, date) },
+//       sst:         { point(lat, lon, date), area(polygon, date), grid(bbox, date) },
+//       marine:      { current(lat, lon), hourly(lat, lon, startDate, endDate) },
+//       wind:        { current(lat, lon), hourly(lat, lon, startDate, endDate) }
+//     }
+//   }
+//
+// Operasi melempar error kalau tidak ada data; registry lalu mencoba
+// provider berikutnya sesuai urutan prioritas variabel tersebut.
+// Urutan bisa di-override lewat env, mis. PROVIDER_PRIORITY_WIND=open-meteo,openweather
+//
+// DATA_MODE:
+//   live     → (default) panggil provider
+//   record   → panggil provider, simpan setiap response sukses ke fixture store
+//   fixtures → tanpa network sama sekali, hanya baca fixture yang sudah direkam
+//
+// Di mode live, hasil disimpan di shared cache (src/cache) dengan namespace =
+// variabel dan key = operasi/lokasi/tanggal. refreshVariable() melewati
+// cache (dipakai prefetch scheduler) tapi tetap menyimpan hasil barunya.
+
+const erddap = require('./erddap');
+const openMeteo = require('./openMeteo');
+const openWeather = require('./openWeather');
+const csvFeed = require('./csvFeed');
+const fixtureStore = require('./fixtureStore');
+const cache = require('../cache');
+
+const DATA_MODES = ['live', 'record', 'fixtures'];
+
+const CONFIG = {
+  mode: process.env.DATA_MODE || 'live',
+  // Provider yang tidak disebut tetap dicoba, setelah yang disebut
+  defaultPriority: {
+    chlorophyll: ['erddap', 'csv'],
+    sst: ['erddap', 'csv'],
+    marine: ['open-meteo'],
+    wind: ['openweather', 'open-meteo']
+  }
+};
+
+if (!DATA_MODES.includes(CONFIG.mode)) {
+  throw new Error(`Invalid DATA_MODE "${CONFIG.mode}" (expected one of: ${DATA_MODES.join(', ')})`);
+}
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider.id || !provider.variables) {
+    throw new Error('Provider must have an id and variables');
+  }
+  providers.set(provider.id, provider);
+}
+
+function priorityFor(variable) {
+  const override = process.env[`PROVIDER_PRIORITY_${variable.toUpperCase()}`];
+  return override
+    ? override.split(',').map(id => id.trim()).filter(Boolean)
+    : CONFIG.defaultPriority[variable] || [];
+}
+
+// Provider aktif yang mendukung variable.operation, urut prioritas
+function providersFor(variable, operation) {
+  const preferred = priorityFor(variable);
+  const rank = (id) => {
+    const index = preferred.indexOf(id);
+    return index === -1 ? preferred.length : index;
+  };
+
+  return [...providers.values()]
+    .filter(p => p.variables[variable] && typeof p.variables[variable][operation] === 'function')
+    .filter(p => p.isEnabled())
+    .sort((a, b) => rank(a.id) - rank(b.id));
+}
+
+async function fetchFromFixtures(variable, operation, args) {
+  const fixture = await fixtureStore.load(variable, operation, args);
+  if (!fixture) {
+    const { location, date } = fixtureStore.fixtureKey(operation, args);
+    throw new Error(`No fixture for ${variable}.${operation} at ${location} on ${date}`);
+  }
+
+  return {
+    ...fixture.result,
+    provider: fixture.provider,
+    fixture: { date: fixture.date, recordedAt: fixture.recordedAt }
+  };
+}
+
+// Coba provider satu per satu. Result diberi `provider` (id yang menjawab)
+// dan `failover` (provider yang gagal sebelumnya, kalau ada).
+async function fetchFromProviders(variable, operation, args) {
+  const candidates = providersFor(variable, operation);
+  const failures = [];
+
+  for (const provider of candidates) {
+    try {
+      const result = {
+        ...await provider.variables[variable][operation](...args),
+        provider: provider.id,
+        ...(failures.length > 0 && { failover: failures })
+      };
+
+      if (CONFIG.mode === 'record') {
+        await fixtureStore.save(variable, operation, args, result)
+          .catch(error => console.error(`Failed to record ${variable}.${operation} fixture:`, error.message));
+      }
+      return result;
+    } catch (error) {
+      console.log(`❌ Provider ${provider.id} failed for ${variable}.${operation}: ${error.message}`);
+      failures.push({ provider: provider.id, error: error.message });
+    }
+  }
+
+  const error = new Error(failures.length > 0
+    ? `All providers failed for ${variable}: ${failures.map(f => `${f.provider} (${f.error})`).join('; ')}`
+    : `No provider available for ${variable}.${operation}`);
+  error.failures = failures;
+  throw error;
+}
+
+// Record & fixtures tidak lewat cache: rekaman harus berasal dari response
+// asli, dan fixture sendiri sudah lokal
+function fetchThroughCache(variable, operation, args, refresh) {
+  if (CONFIG.mode === 'fixtures') {
+    return fetchFromFixtures(variable, operation, args);
+  }
+  if (CONFIG.mode === 'record') {
+    return fetchFromProviders(variable, operation, args);
+  }
+
+  const { location, date } = fixtureStore.fixtureKey(operation, args);
+  return cache.wrap(
+    variable,
+    [operation, location, date],
+    () => fetchFromProviders(variable, operation, args),
+    { refresh }
+  );
+}
+
+async function fetchVariable(variable, operation, ...args) {
+  return fetchThroughCache(variable, operation, args, false);
+}
+
+async function refreshVariable(variable, operation, ...args) {
+  return fetchThroughCache(variable, operation, args, true);
+}
+
+// Ringkasan untuk debugging / halaman admin
+function listProviders() {
+  return [...providers.values()].map(p => ({
+    id: p.id,
+    name: p.name,
+    enabled: p.isEnabled(),
+    variables: Object.fromEntries(
+      Object.entries(p.variables).map(([variable, ops]) => [variable, Object.keys(ops)])
+    )
+  }));
+}
+
+[erddap, openMeteo, openWeather, csvFeed].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  providersFor,
+  fetchVariable,
+  refreshVariable,
+  listProviders,
+  priorityFor,
+  CONFIG
+};
@@ -0,0 +1,129 @@
+// ============================================================================
+// SMARTBAGAN - OPEN-METEO PROVIDER (marine & wind)
+// File: backend/src/providers/openMeteo.js
+// ============================================================================
+// Kondisi "current" dan forecast per jam. Jam dikembalikan dalam waktu
+// lokal Asia/Jakarta, format 'YYYY-MM-DDTHH:00'. Tidak butuh API key.
+
+const { fetchWithRetry } = require('./http');
+
+const CONFIG = {
+  apis: {
+    marine: process.env.MARINE_API_URL || 'https://marine-api.open-meteo.com/v1/marine',
+    forecast: process.env.FORECAST_API_URL || 'https://api.open-meteo.com/v1/forecast'
+  },
+  timezone: 'Asia/Jakarta'
+};
+
+// ============================================================================
+// MARINE
+// ============================================================================
+
+async function marineCurrent(lat, lon) {
+  console.log(`Fetching marine weather for (${lat}, ${lon})`);
+
+  const url = `${CONFIG.apis.marine}?` +
+    `latitude=${lat}&longitude=${lon}&` +
+    `current=wave_height,wave_direction,wave_period&timezone=${CONFIG.timezone}`;
+
+  const data = await fetchWithRetry(url);
+  if (!data.current) {
+    throw new Error('No marine weather data available');
+  }
+
+  return {
+    waveHeight: parseFloat(data.current.wave_height) || 0,
+    waveDirection: data.current.wave_direction || 0,
+    wavePeriod: data.current.wave_period || 0,
+    source: 'Open-Meteo Marine'
+  };
+}
+
+async function marineHourly(lat, lon, startDate, endDate) {
+  console.log(`Fetching marine forecast ${startDate}..${endDate} for (${lat}, ${lon})`);
+
+  const url = `${CONFIG.apis.marine}?` +
+    `latitude=${lat}&longitude=${lon}&` +
+    `hourly=wave_height,wave_direction,wave_period&` +
+    `start_date=${startDate}&end_date=${endDate}&timezone=${CONFIG.timezone}`;
+
+  const data = await fetchWithRetry(url);
+  if (!data.hourly || !Array.isArray(data.hourly.time)) {
+    throw new Error('No hourly marine forecast available');
+  }
+
+  return {
+    hours: data.hourly.time.map((time, i) => ({
+      time,
+      waveHeight: data.hourly.wave_height[i],
+      waveDirection: data.hourly.wave_direction[i],
+      wavePeriod: data.hourly.wave_period[i]
+    })),
+    source: 'Open-Meteo Marine'
+  };
+}
+
+// ============================================================================
+// WIND
+// ============================================================================
+
+async function windCurrent(lat, lon) {
+  console.log(`Fetching Open-Meteo wind for (${lat}, ${lon})`);
+
+  const url = `${CONFIG.apis.forecast}?` +
+    `latitude=${lat}&longitude=${lon}&` +
+    `current=wind_speed_10m,wind_direction_10m,wind_gusts_10m&wind_speed_unit=ms&timezone=${CONFIG.timezone}`;
+
+  const data = await fetchWithRetry(url);
+  if (!data.current || data.current.wind_speed_10m === undefined) {
+    throw new Error('No wind data available');
+  }
+
+  return {
+    speed: parseFloat(data.current.wind_speed_10m) || 0,
+    direction: data.current.wind_direction_10m || 0,
+    gust: data.current.wind_gusts_10m || null,
+    source: 'Open-Meteo Forecast'
+  };
+}
+
+async function windHourly(lat, lon, startDate, endDate) {
+  console.log(`Fetching wind forecast ${startDate}..${endDate} for (${lat}, ${lon})`);
+
+  const url = `${CONFIG.apis.forecast}?` +
+    `latitude=${lat}&longitude=${lon}&` +
+    `hourly=wind_speed_10m,wind_direction_10m,wind_gusts_10m&wind_speed_unit=ms&` +
+    `start_date=${startDate}&end_date=${endDate}&timezone=${CONFIG.timezone}`;
+
+  const data = await fetchWithRetry(url);
+  if (!data.hourly || !Array.isArray(data.hourly.time)) {
+    throw new Error('No hourly wind forecast available');
+  }
+
+  return {
+    hours: data.hourly.time.map((time, i) => ({
+      time,
+      speed: data.hourly.wind_speed_10m[i],
+      direction: data.hourly.wind_direction_10m[i],
+      gust: data.hourly.wind_gusts_10m[i]
+    })),
+    source: 'Open-Meteo Forecast'
+  };
+}
+
+module.exports = {
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+  isEnabled: () => true,
+  variables: {
+    marine: {
+      current: marineCurrent,
+      hourly: marineHourly
+    },
+    wind: {
+      current: windCurrent,
+      hourly: windHourly
+    }
+  },
+  CONFIG
+};
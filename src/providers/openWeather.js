@@ -0,0 +1,43 @@
+// ============================================================================
+// SMARTBAGAN - OPENWEATHER PROVIDER (wind)
+// File: backend/src/providers/openWeather.js
+// ============================================================================
+// Angin "current" dari OpenWeather. Hanya aktif kalau OPENWEATHER_API_KEY ada.
+
+const { fetchWithRetry } = require('./http');
+
+const CONFIG = {
+  apiUrl: 'https://api.openweathermap.org/data/2.5/weather',
+  apiKey: process.env.OPENWEATHER_API_KEY
+};
+
+async function windCurrent(lat, lon) {
+  console.log(`Fetching wind data for (${lat}, ${lon})`);
+
+  const url = `${CONFIG.apiUrl}?` +
+    `lat=${lat}&lon=${lon}&appid=${CONFIG.apiKey}&units=metric`;
+
+  const data = await fetchWithRetry(url);
+  if (!data.wind) {
+    throw new Error('No wind data available');
+  }
+
+  return {
+    speed: parseFloat(data.wind.speed) || 0,
+    direction: data.wind.deg || 0,
+    gust: data.wind.gust || null,
+    source: 'OpenWeather'
+  };
+}
+
+module.exports = {
+  id: 'openweather',
+  name: 'OpenWeather',
+  isEnabled: () => Boolean(CONFIG.apiKey),
+  variables: {
+    wind: {
+      current: windCurrent
+    }
+  },
+  CONFIG
+};
@@ -0,0 +1,95 @@
+// ============================================================================
+// SMARTBAGAN - HAZARD REPOSITORY
+// File: backend/src/repositories/hazardRepository.js
+// ============================================================================
+// Area berbahaya / terlarang untuk navigasi (pulau, karang, alur pelayaran,
+// kawasan larang tangkap). Id berupa slug lowercase, mis. "karang-bokor".
+
+const { openCollection } = require('../storage');
+
+const COLLECTION = 'hazards';
+// Field yang boleh diubah lewat update() - key lain di body PUT tidak disimpan
+const UPDATABLE_FIELDS = ['name', 'type', 'clearanceKm', 'geometry', 'active'];
+
+function normalizeId(id) {
+  return String(id).trim().toLowerCase();
+}
+
+// "Karang Bokor" → "karang-bokor"
+function idFromName(name) {
+  return normalizeId(name)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+async function list({ includeInactive = true } = {}) {
+  const hazards = await (await openCollection(COLLECTION)).all();
+  return includeInactive ? hazards : hazards.filter(h => h.active);
+}
+
+async function listActive() {
+  return list({ includeInactive: false });
+}
+
+async function findById(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.get(normalizeId(id));
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+// Return null kalau id sudah dipakai
+async function create(data) {
+  const collection = await openCollection(COLLECTION);
+  const id = data.id ? normalizeId(data.id) : idFromName(data.name);
+
+  if (!id || await collection.get(id)) {
+    return null;
+  }
+
+  return collection.insert({
+    id,
+    name: data.name.trim(),
+    type: data.type,
+    clearanceKm: data.clearanceKm !== undefined ? data.clearanceKm : null,
+    geometry: data.geometry,
+    active: data.active !== undefined ? data.active : true,
+    createdAt: new Date().toISOString()
+  });
+}
+
+async function update(id, changes) {
+  const collection = await openCollection(COLLECTION);
+  const rest = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (changes[field] !== undefined) rest[field] = changes[field];
+  }
+  if (typeof rest.name === 'string') rest.name = rest.name.trim();
+
+  return collection.update(normalizeId(id), {
+    ...rest,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+async function remove(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.remove(normalizeId(id));
+}
+
+module.exports = {
+  list,
+  listActive,
+  findById,
+  create,
+  update,
+  remove,
+  normalizeId
+};
@@ -0,0 +1,57 @@
+// ============================================================================
+// SMARTBAGAN - SERVED RECOMMENDATION LOG
+// File: backend/src/repositories/recommendationLogRepository.js
+// ============================================================================
+// Skor & predictedCatch yang benar-benar dikirim ke user per zona, tanggal
+// dan profil. Dipakai laporan akurasi model (bandingkan dengan catch aktual).
+// Satu record per kombinasi - yang dicatat rekomendasi PERTAMA yang dikirim.
+// Hitung ulang (prefetch, invalidasi cache) tidak menimpanya, dan tanggal
+// yang sudah lewat tidak dicatat: skor yang dihitung belakangan memakai data
+// yang user belum punya saat memutuskan, sehingga MAE/bias terlihat lebih baik.
+
+const { openCollection } = require('../storage');
+const { localDate } = require('../utils/date');
+
+const COLLECTION = 'recommendationLog';
+
+function logId(date, zoneId, profileId) {
+  return `${date}_${zoneId}_${profileId || 'default'}`;
+}
+
+// → entry yang tersimpan (bisa entry lama), null untuk tanggal lampau
+async function record(date, recommendation) {
+  if (date < localDate()) {
+    return null;
+  }
+
+  const collection = await openCollection(COLLECTION);
+  const id = logId(date, recommendation.zoneId, recommendation.profile);
+  const entry = {
+    date,
+    zoneId: recommendation.zoneId,
+    zoneName: recommendation.zoneName,
+    profile: recommendation.profile,
+    score: recommendation.score,
+    scoreBreakdown: recommendation.scoreBreakdown,
+    predictedCatch: recommendation.predictedCatch,
+    moonPhase: recommendation.data.moon.phase,
+    servedAt: new Date().toISOString()
+  };
+
+  return collection.upsert(id, existing => (existing ? null : entry));
+}
+
+async function find(date, zoneId, profileId) {
+  const collection = await openCollection(COLLECTION);
+  return collection.get(logId(date, zoneId, profileId));
+}
+
+async function listAll() {
+  return (await openCollection(COLLECTION)).all();
+}
+
+module.exports = {
+  record,
+  find,
+  listAll
+};
@@ -0,0 +1,70 @@
+// ============================================================================
+// SMARTBAGAN - SCORING PROFILE REPOSITORY
+// File: backend/src/repositories/scoringProfileRepository.js
+// ============================================================================
+// Profil scoring (bobot & kurva per faktor) per target spesies.
+// Id profil berupa slug lowercase, mis. "teri", "cumi".
+
+const { openCollection } = require('../storage');
+
+const COLLECTION = 'scoringProfiles';
+// Field yang boleh diubah lewat update() - key lain di body PUT tidak disimpan
+const UPDATABLE_FIELDS = ['name', 'description', 'weights', 'factors'];
+
+function normalizeId(id) {
+  return String(id).trim().toLowerCase();
+}
+
+async function list() {
+  return (await openCollection(COLLECTION)).all();
+}
+
+async function findById(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.get(normalizeId(id));
+}
+
+// Return null kalau id sudah dipakai
+async function create(data) {
+  const collection = await openCollection(COLLECTION);
+  const id = normalizeId(data.id);
+
+  if (await collection.get(id)) {
+    return null;
+  }
+
+  return collection.insert({
+    id,
+    name: data.name,
+    description: data.description || '',
+    weights: data.weights,
+    factors: data.factors,
+    createdAt: new Date().toISOString()
+  });
+}
+
+async function update(id, changes) {
+  const collection = await openCollection(COLLECTION);
+  const rest = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (changes[field] !== undefined) rest[field] = changes[field];
+  }
+  return collection.update(normalizeId(id), {
+    ...rest,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+async function remove(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.remove(normalizeId(id));
+}
+
+module.exports = {
+  list,
+  findById,
+  create,
+  update,
+  remove,
+  normalizeId
+};
@@ -0,0 +1,104 @@
+// ============================================================================
+// SMARTBAGAN - TRIP REPOSITORY
+// File: backend/src/repositories/tripRepository.js
+// ============================================================================
+// Semua akses data trip lewat sini. Router tidak perlu tahu
+// data disimpan di file, memory, atau database lain nantinya.
+
+const { openCollection } = require('../storage');
+
+const COLLECTION = 'trips';
+
+// ============================================================================
+// LIST (dengan filter)
+// ============================================================================
+
+async function list(filters = {}) {
+  const { startDate, endDate, fisherman, zone, limit = 50 } = filters;
+  const trips = await (await openCollection(COLLECTION)).all();
+
+  let filteredTrips = trips;
+
+  // Filter by date range
+  if (startDate) {
+    filteredTrips = filteredTrips.filter(t =>
+      new Date(t.tripDate) >= new Date(startDate)
+    );
+  }
+  if (endDate) {
+    filteredTrips = filteredTrips.filter(t =>
+      new Date(t.tripDate) <= new Date(endDate)
+    );
+  }
+
+  // Filter by fisherman
+  if (fisherman) {
+    filteredTrips = filteredTrips.filter(t =>
+      t.fisherman.toLowerCase().includes(fisherman.toLowerCase())
+    );
+  }
+
+  // Filter by zone
+  if (zone) {
+    filteredTrips = filteredTrips.filter(t => t.zone === zone);
+  }
+
+  return {
+    items: filteredTrips.slice(0, parseInt(limit)),
+    total: trips.length
+  };
+}
+
+// Semua trip tanpa filter/limit (untuk analytics)
+async function listAll() {
+  return (await openCollection(COLLECTION)).all();
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+async function create(data) {
+  const collection = await openCollection(COLLECTION);
+  return collection.insert({
+    conditions: null,
+    ...data,
+    createdAt: new Date().toISOString()
+  });
+}
+
+async function findById(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.get(parseInt(id));
+}
+
+async function update(id, changes) {
+  const collection = await openCollection(COLLECTION);
+  // id, createdAt & conditions (snapshot dari backend) tidak boleh diubah dari request body
+  const { id: _id, createdAt, conditions, ...rest } = changes;
+  return collection.update(parseInt(id), {
+    ...rest,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Simpan snapshot kondisi lingkungan - bukan edit user, jadi updatedAt tidak berubah
+async function saveConditions(id, conditions) {
+  const collection = await openCollection(COLLECTION);
+  return collection.update(parseInt(id), { conditions });
+}
+
+async function remove(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.remove(parseInt(id));
+}
+
+module.exports = {
+  list,
+  listAll,
+  create,
+  findById,
+  update,
+  saveConditions,
+  remove
+};
@@ -0,0 +1,120 @@
+// ============================================================================
+// SMARTBAGAN - ZONE REPOSITORY
+// File: backend/src/repositories/zoneRepository.js
+// ============================================================================
+// Registry zona tangkap (nama, koordinat, batas polygon opsional,
+// koperasi pemilik, status aktif). Id zona berupa kode string, mis. "A".
+
+const { openCollection } = require('../storage');
+const geo = require('../utils/geo');
+
+const COLLECTION = 'zones';
+// Field yang boleh diubah lewat update() - key lain di body PUT tidak disimpan
+const UPDATABLE_FIELDS = ['name', 'lat', 'lng', 'boundary', 'cooperative', 'active'];
+
+// Kode zona selalu uppercase supaya /api/zones/a == /api/zones/A
+function normalizeId(id) {
+  return String(id).trim().toUpperCase();
+}
+
+// "Zona Karang Tengah" → "ZONA_KARANG_TENGAH"
+function idFromName(name) {
+  return normalizeId(name)
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 32);
+}
+
+function roundCoord(value) {
+  return parseFloat(value.toFixed(6));
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+async function list({ includeInactive = true } = {}) {
+  const zones = await (await openCollection(COLLECTION)).all();
+  return includeInactive ? zones : zones.filter(z => z.active);
+}
+
+async function listActive() {
+  return list({ includeInactive: false });
+}
+
+async function findById(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.get(normalizeId(id));
+}
+
+// Field `zone` di trip bisa berisi kode ("A") atau nama ("Zona A")
+async function findByReference(reference) {
+  if (!reference) return null;
+  const key = String(reference).trim().toLowerCase();
+  const zones = await list();
+  return zones.find(z => z.id.toLowerCase() === key || z.name.toLowerCase() === key) || null;
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+// Return null kalau id sudah dipakai zona lain
+async function create(data) {
+  const collection = await openCollection(COLLECTION);
+  const id = data.id ? normalizeId(data.id) : idFromName(data.name);
+
+  if (!id || await collection.get(id)) {
+    return null;
+  }
+
+  const centroid = data.boundary ? geo.polygonCentroid(data.boundary) : null;
+
+  return collection.insert({
+    id,
+    name: data.name.trim(),
+    lat: data.lat !== undefined ? data.lat : roundCoord(centroid.lat),
+    lng: data.lng !== undefined ? data.lng : roundCoord(centroid.lng),
+    boundary: data.boundary || null,
+    cooperative: data.cooperative || null,
+    active: data.active !== undefined ? data.active : true,
+    createdAt: new Date().toISOString()
+  });
+}
+
+async function update(id, changes) {
+  const collection = await openCollection(COLLECTION);
+  const rest = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (changes[field] !== undefined) rest[field] = changes[field];
+  }
+  if (typeof rest.name === 'string') rest.name = rest.name.trim();
+
+  // Boundary baru tanpa titik eksplisit → titik zona ikut centroid
+  if (rest.boundary && rest.lat === undefined && rest.lng === undefined) {
+    const centroid = geo.polygonCentroid(rest.boundary);
+    rest.lat = roundCoord(centroid.lat);
+    rest.lng = roundCoord(centroid.lng);
+  }
+
+  return collection.update(normalizeId(id), {
+    ...rest,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+async function remove(id) {
+  const collection = await openCollection(COLLECTION);
+  return collection.remove(normalizeId(id));
+}
+
+module.exports = {
+  list,
+  listActive,
+  findById,
+  findByReference,
+  create,
+  update,
+  remove,
+  normalizeId
+};
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const prefetchScheduler = require('../services/prefetchScheduler');
+const cache = require('../cache');
+const providers = require('../providers');
+const http = require('../providers/http');
+
+// GET /api/admin/jobs - Status job prefetch
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: prefetchScheduler.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/jobs/:jobId/run - Jalankan job sekarang (menunggu selesai)
+router.post('/jobs/:jobId/run', async (req, res) => {
+  try {
+    const result = await prefetchScheduler.runJob(req.params.jobId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+        data: result
+      });
+    }
+
+    res.json({
+      success: result.lastStatus === 'success',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/health - Status upstream (circuit breaker, antrean, budget per host)
+router.get('/health', async (req, res) => {
+  try {
+    const upstreams = http.getHostHealth();
+    const degraded = upstreams.filter(u => u.breaker.state !== 'closed' || u.budget.remaining === 0);
+
+    res.json({
+      success: true,
+      data: {
+        status: degraded.length > 0 ? 'degraded' : 'ok',
+        degradedHosts: degraded.map(u => u.host),
+        dataMode: providers.CONFIG.mode,
+        upstreams,
+        providers: providers.listProviders()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/cache - Statistik shared cache per namespace
+router.get('/cache', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await cache.getStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/cache - Kosongkan semua namespace (?match=2025-12-06 → hanya key yang cocok)
+router.delete('/cache', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await cache.invalidate(null, { match: req.query.match })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/cache/:namespace - Kosongkan satu namespace, mis. /cache/sst
+router.delete('/cache/:namespace', async (req, res) => {
+  try {
+    if (!cache.hasNamespace(req.params.namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown cache namespace: ${req.params.namespace}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await cache.invalidate(req.params.namespace, { match: req.query.match })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const modelAccuracyService = require('../services/modelAccuracyService');
+const scoringService = require('../services/scoringService');
+const { sendValidationError } = require('../validators/common');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/analytics/model-accuracy - Skor & predictedCatch vs catch aktual
+// ?profile=teri&startDate=2025-01-01&endDate=2025-12-31
+router.get('/model-accuracy', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    for (const [field, value] of Object.entries({ startDate, endDate })) {
+      if (value !== undefined && !DATE_PATTERN.test(value)) {
+        return sendValidationError(res, { field, error: `${field} must be YYYY-MM-DD` });
+      }
+    }
+
+    const profile = await scoringService.resolveProfile(req.query.profile);
+    if (!profile) {
+      return sendValidationError(res, {
+        field: 'profile',
+        error: `Unknown scoring profile: ${req.query.profile}`
+      });
+    }
+
+    const report = await modelAccuracyService.getModelAccuracy({
+      profileId: profile.id,
+      startDate,
+      endDate
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building model accuracy report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const climatologyService = require('../services/climatologyService');
+const zoneService = require('../services/zoneService');
+const forecastService = require('../services/forecastService');
+const zoneRepository = require('../repositories/zoneRepository');
+const { sendValidationError } = require('../validators/common');
+
+// GET /api/climatology - Mean & std bulanan per zona (?zoneId=A&variable=sst)
+router.get('/', async (req, res) => {
+  try {
+    const { variable } = req.query;
+    if (variable && !climatologyService.CONFIG.variables.includes(variable)) {
+      return sendValidationError(res, {
+        field: 'variable',
+        error: `variable must be one of: ${climatologyService.CONFIG.variables.join(', ')}`
+      });
+    }
+
+    const zoneId = req.query.zoneId ? zoneRepository.normalizeId(req.query.zoneId) : undefined;
+    const data = await climatologyService.getClimatology({ zoneId, variable });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      minSamples: climatologyService.CONFIG.minSamples
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/climatology/rebuild - Hitung ulang rangkuman dari log observasi
+router.post('/rebuild', async (req, res) => {
+  try {
+    const summary = await climatologyService.rebuild();
+
+    // Fallback di rekomendasi yang sudah di-cache mungkin berubah
+    await zoneService.invalidateCache();
+    await forecastService.invalidateCache();
+
+    res.json({
+      success: true,
+      data: summary,
+      message: 'Climatology rebuilt successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
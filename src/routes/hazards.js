@@ -0,0 +1,158 @@
+// ============================================================================
+// SMARTBAGAN - NAVIGATION HAZARD API ROUTES
+// File: backend/src/routes/hazards.js
+// ============================================================================
+// Polygon pulau, karang, alur pelayaran dan kawasan larang tangkap yang
+// dihindari optimizer. Setiap perubahan langsung membangun ulang
+// visibility graph navigationService.
+
+const express = require('express');
+const router = express.Router();
+const hazardRepository = require('../repositories/hazardRepository');
+const navigation = require('../services/navigationService');
+const { validateHazardBody } = require('../validators/hazardValidator');
+const { sendValidationError } = require('../validators/common');
+
+// GET /api/hazards/status - Hazard yang sedang dipakai routing + ukuran graph
+router.get('/status', async (req, res) => {
+  try {
+    await navigation.ensureLoaded();
+
+    res.json({
+      success: true,
+      data: navigation.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/hazards - List semua hazard (termasuk yang nonaktif)
+router.get('/', async (req, res) => {
+  try {
+    const hazards = await hazardRepository.list();
+
+    res.json({
+      success: true,
+      data: hazards,
+      count: hazards.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/hazards/:hazardId
+router.get('/:hazardId', async (req, res) => {
+  try {
+    const hazard = await hazardRepository.findById(req.params.hazardId);
+    if (!hazard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hazard not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: hazard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/hazards - Tambah hazard baru
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateHazardBody(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const hazard = await hazardRepository.create(req.body);
+    if (!hazard) {
+      return res.status(409).json({
+        success: false,
+        error: 'Hazard id already exists'
+      });
+    }
+    await navigation.reload();
+
+    res.status(201).json({
+      success: true,
+      data: hazard,
+      message: 'Hazard created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/hazards/:hazardId - Update hazard
+router.put('/:hazardId', async (req, res) => {
+  try {
+    const validationError = validateHazardBody(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const hazard = await hazardRepository.update(req.params.hazardId, req.body);
+    if (!hazard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hazard not found'
+      });
+    }
+    await navigation.reload();
+
+    res.json({
+      success: true,
+      data: hazard,
+      message: 'Hazard updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/hazards/:hazardId - Hapus hazard
+router.delete('/:hazardId', async (req, res) => {
+  try {
+    const deleted = await hazardRepository.remove(req.params.hazardId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hazard not found'
+      });
+    }
+    await navigation.reload();
+
+    res.json({
+      success: true,
+      message: 'Hazard deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
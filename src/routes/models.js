@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const catchModelService = require('../services/catchModelService');
+const modelTrainingService = require('../services/modelTrainingService');
+const zoneService = require('../services/zoneService');
+const forecastService = require('../services/forecastService');
+
+// Koefisien & matriks kovarians tidak perlu dikirim ke client
+function describeModel(model) {
+  if (!model) {
+    return {
+      method: 'linear-rule',
+      reason: 'Model has not been trained yet',
+      minTrips: catchModelService.CONFIG.minTrips
+    };
+  }
+
+  const { full, byScore, ...info } = model;
+  return info;
+}
+
+// GET /api/models/catch - Status catch-prediction model
+router.get('/catch', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: describeModel(catchModelService.getModel())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/models/catch/train - Fit ulang dari riwayat trip
+router.post('/catch/train', async (req, res) => {
+  try {
+    const model = await modelTrainingService.trainCatchModel();
+
+    // predictedCatch di rekomendasi yang sudah di-cache sudah basi
+    await zoneService.invalidateCache();
+    await forecastService.invalidateCache();
+
+    res.json({
+      success: true,
+      data: describeModel(model),
+      message: model.method === 'regression'
+        ? 'Catch model trained successfully'
+        : 'Not enough trip history, using linear rule'
+    });
+  } catch (error) {
+    console.error('Error training catch model:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,23 @@
 // ============================================================================
 // SMARTBAGAN - OPTIMIZATION API ROUTES
-// File: backend/src/routes/optimize.js (NEW FILE)
+// File: backend/src/routes/optimize.js
 // ============================================================================
 
 const express = require('express');
 const router = express.Router();
 const optimizer = require('../services/optimizerService');
-const zoneService = require('../services/zoneService');
+const gridScan = require('../services/gridScanService');
+const fleetRouting = require('../services/fleetRoutingService');
+const navigation = require('../services/navigationService');
+const scoringService = require('../services/scoringService');
+const {
+  validateAnalyzeBody,
+  validateQuickCheckBody,
+  validatePathBody,
+  validateConfigUpdate
+} = require('../validators/optimizeValidator');
+const { sendValidationError } = require('../validators/common');
+const { localDate } = require('../utils/date');
 
 // ============================================================================
 // POST /api/optimize/analyze - Main optimization endpoint
@@ -14,45 +25,85 @@ const zoneService = require('../services/zoneService');
 
 router.post('/analyze', async (req, res) => {
   try {
+    // Validation
+    const validationError = validateAnalyzeBody(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+    
     const { 
-      kapalPosition,
+      boats,           // Mode armada: beberapa kapal tarik
+      startTime,       // 'HH:MM' mulai operasi (mode armada)
       currentBagans,
       scanRadius = 5,  // km
       date 
     } = req.body;
-    
-    // Validation
-    if (!kapalPosition || !currentBagans || currentBagans.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: kapalPosition, currentBagans'
+    // Pusat scan: posisi kapal, atau kapal pertama di mode armada
+    const kapalPosition = req.body.kapalPosition || { lat: boats[0].lat, lng: boats[0].lng };
+    let { candidateSpots } = req.body;
+    
+    const profile = await scoringService.resolveProfile(req.body.profile);
+    if (!profile) {
+      return sendValidationError(res, {
+        field: 'profile',
+        error: `Unknown scoring profile: ${req.body.profile}`
       });
     }
     
     console.log(`\n🎯 Optimization request for ${currentBagans.length} bagans`);
     
-    // Step 1: Scan area for candidate spots
-    console.log(`Scanning ${scanRadius}km radius for potential spots...`);
-    
-    const candidateSpots = await scanAreaForSpots(
-      kapalPosition,
-      currentBagans,
-      scanRadius,
-      date || new Date().toISOString().split('T')[0]
-    );
-    
-    console.log(`Found ${candidateSpots.length} candidate spots`);
+    // Step 1: Scan area for candidate spots (skip kalau client sudah kirim spot sendiri)
+    let scan = null;
+    let excludedSpots = [];
+    if (candidateSpots) {
+      console.log(`Using ${candidateSpots.length} client-provided candidate spots`);
+      
+      // Spot di atas pulau/karang/kawasan larang tangkap tidak bisa dipakai
+      await navigation.ensureLoaded();
+      const checked = candidateSpots.map(spot => ({ spot, hazards: navigation.hazardsAt(spot.lat, spot.lng) }));
+      excludedSpots = checked
+        .filter(entry => entry.hazards.length > 0)
+        .map(({ spot, hazards }) => ({ id: spot.id, name: spot.name, lat: spot.lat, lng: spot.lng, hazards }));
+      candidateSpots = checked.filter(entry => entry.hazards.length === 0).map(entry => entry.spot);
+      if (excludedSpots.length > 0) {
+        console.log(`Excluded ${excludedSpots.length} spot(s) inside hazards`);
+      }
+    } else {
+      console.log(`Scanning ${scanRadius}km radius for potential spots...`);
+      
+      const scanResult = await gridScan.scanArea({
+        center: kapalPosition,
+        currentBagans,
+        radiusKm: scanRadius,
+        date: date || localDate(),
+        profile
+      });
+      candidateSpots = scanResult.spots;
+      scan = scanResult.scan;
+      
+      console.log(`Found ${candidateSpots.length} candidate spots (${scan.cells} cells in ${scan.durationMs}ms)`);
+    }
     
     // Step 2: Run optimization
-    const result = await optimizer.optimizeBaganOperations({
-      kapalPosition,
-      currentBagans,
-      candidateSpots
-    });
+    const result = boats
+      ? await fleetRouting.optimizeFleetOperations({
+        boats,
+        currentBagans,
+        candidateSpots,
+        date,
+        startTime
+      })
+      : await optimizer.optimizeBaganOperations({
+        kapalPosition,
+        currentBagans,
+        candidateSpots
+      });
     
     res.json({
       success: true,
-      data: result
+      data: result,
+      scan,
+      excludedSpots
     });
     
   } catch (error) {
@@ -65,126 +116,51 @@ router.post('/analyze', async (req, res) => {
 });
 
 // ============================================================================
-// Helper: Scan area for potential spots
-// ============================================================================
-
-async function scanAreaForSpots(center, currentBagans, radiusKm, date) {
-  const spots = [];
-  const gridSize = 0.5; // km between grid points
-  const stepsPerSide = Math.ceil(radiusKm / gridSize);
-  
-  // Calculate approximate degrees per km
-  const kmPerDegreeLat = 111; // roughly constant
-  const kmPerDegreeLng = 111 * Math.cos(center.lat * Math.PI / 180);
-  
-  const degPerStepLat = gridSize / kmPerDegreeLat;
-  const degPerStepLng = gridSize / kmPerDegreeLng;
-  
-  // Grid search around center
-  let spotId = 1;
-  for (let latStep = -stepsPerSide; latStep <= stepsPerSide; latStep++) {
-    for (let lngStep = -stepsPerSide; lngStep <= stepsPerSide; lngStep++) {
-      const lat = center.lat + (latStep * degPerStepLat);
-      const lng = center.lng + (lngStep * degPerStepLng);
-      
-      // Check if within radius
-      const dist = optimizer.calculateDistance(center.lat, center.lng, lat, lng);
-      if (dist > radiusKm) continue;
-      
-      // Skip if too close to existing bagan positions
-      const tooClose = currentBagans.some(bagan => {
-        const distToBagan = optimizer.calculateDistance(bagan.lat, bagan.lng, lat, lng);
-        return distToBagan < 0.3; // Skip if <300m from existing bagan
-      });
-      if (tooClose) continue;
-      
-      // Get score for this location
-      // In production, this would call zoneService to get real score
-      // For now, simulate with nearby zone scores
-      const score = await estimateScoreForLocation(lat, lng, date);
-      
-      if (score >= 70) { // Only include decent spots
-        spots.push({
-          id: `SPOT_${spotId++}`,
-          name: `Candidate ${spotId}`,
-          lat: parseFloat(lat.toFixed(4)),
-          lng: parseFloat(lng.toFixed(4)),
-          score: score,
-          estimatedCatch: optimizer.estimateCatch(score)
-        });
-      }
-    }
-  }
-  
-  // Sort by score descending
-  spots.sort((a, b) => b.score - a.score);
-  
-  // Return top 20 candidates
-  return spots.slice(0, 20);
-}
-
-// ============================================================================
-// Helper: Estimate score for a location
+// POST /api/optimize/quick-check - Quick check if should move
 // ============================================================================
 
-async function estimateScoreForLocation(lat, lng, date) {
+router.post('/quick-check', async (req, res) => {
   try {
-    // Try to get real data from zone service
-    // This creates a temporary zone to get score
-    const tempZone = {
-      lat: lat,
-      lng: lng,
-      name: 'Temp'
-    };
-    
-    // Get oceanographic data
-    const [chlorophyll, sst, marine, wind, moon] = await Promise.all([
-      zoneService.getChlorophyllData(lat, lng, date),
-      zoneService.getSST(lat, lng, date),
-      zoneService.getMarineWeather(lat, lng),
-      zoneService.getWindData(lat, lng),
-      Promise.resolve(zoneService.getMoonPhase(date))
-    ]);
-    
-    // Calculate score
-    const scoreResult = zoneService.calculateZoneScore({
-      chlorophyll,
-      sst,
-      waveHeight: marine.waveHeight,
-      wind,
-      moon
-    });
+    const validationError = validateQuickCheckBody(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+    
+    const { bagan, targetSpot } = req.body;
     
-    return scoreResult.score;
+    await navigation.ensureLoaded();
+    const decision = optimizer.shouldMoveBagan(bagan, targetSpot);
+    
+    res.json({
+      success: true,
+      data: decision
+    });
     
   } catch (error) {
-    // Fallback: estimate based on nearby known zones
-    // Use simple interpolation or return average
-    console.warn(`Could not get real score for (${lat}, ${lng}), using estimate`);
-    return 75; // Default middle score
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
 // ============================================================================
-// POST /api/optimize/quick-check - Quick check if should move
+// POST /api/optimize/path - Jalur aman (waypoint) antara dua titik
 // ============================================================================
 
-router.post('/quick-check', async (req, res) => {
+router.post('/path', async (req, res) => {
   try {
-    const { bagan, targetSpot } = req.body;
-    
-    if (!bagan || !targetSpot) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: bagan, targetSpot'
-      });
+    const validationError = validatePathBody(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
     }
     
-    const decision = optimizer.shouldMoveBagan(bagan, targetSpot);
+    await navigation.ensureLoaded();
+    const path = navigation.findPath(req.body.from, req.body.to);
     
     res.json({
       success: true,
-      data: decision
+      data: path
     });
     
   } catch (error) {
@@ -212,6 +188,11 @@ router.get('/config', (req, res) => {
 
 router.put('/config', (req, res) => {
   try {
+    const validationError = validateConfigUpdate(req.body, optimizer.CONFIG);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+    
     const updates = req.body;
     
     // Update config (in production, save to database)
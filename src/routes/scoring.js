@@ -0,0 +1,158 @@
+// ============================================================================
+// SMARTBAGAN - SCORING PROFILE API ROUTES
+// File: backend/src/routes/scoring.js
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const scoringProfileRepository = require('../repositories/scoringProfileRepository');
+const zoneService = require('../services/zoneService');
+const forecastService = require('../services/forecastService');
+const { validateProfile } = require('../validators/scoringValidator');
+const { sendValidationError } = require('../validators/common');
+const { DEFAULT_PROFILE_ID } = require('../config/scoringProfiles');
+
+// Skor zona yang sudah di-cache dihitung dengan profil lama
+async function invalidateScores() {
+  await zoneService.invalidateCache();
+  await forecastService.invalidateCache();
+}
+
+// GET /api/scoring/profiles - List semua profil
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = await scoringProfileRepository.list();
+
+    res.json({
+      success: true,
+      data: profiles,
+      count: profiles.length,
+      defaultProfile: DEFAULT_PROFILE_ID
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/scoring/profiles/:id - Detail profil
+router.get('/profiles/:id', async (req, res) => {
+  try {
+    const profile = await scoringProfileRepository.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/scoring/profiles - Tambah profil baru
+router.post('/profiles', async (req, res) => {
+  try {
+    const validationError = validateProfile(req.body, { isNew: true });
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const profile = await scoringProfileRepository.create(req.body);
+    if (!profile) {
+      return res.status(409).json({
+        success: false,
+        error: 'Scoring profile id already exists'
+      });
+    }
+    // Id bisa bekas profil yang dihapus → buang skor lama yang masih di cache
+    await invalidateScores();
+
+    res.status(201).json({
+      success: true,
+      data: profile,
+      message: 'Scoring profile created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/scoring/profiles/:id - Update profil (divalidasi setelah digabung)
+router.put('/profiles/:id', async (req, res) => {
+  try {
+    const existing = await scoringProfileRepository.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const validationError = validateProfile({ ...existing, ...req.body });
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const profile = await scoringProfileRepository.update(req.params.id, req.body);
+    await invalidateScores();
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Scoring profile updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/scoring/profiles/:id - Hapus profil (kecuali default)
+router.delete('/profiles/:id', async (req, res) => {
+  try {
+    if (scoringProfileRepository.normalizeId(req.params.id) === DEFAULT_PROFILE_ID) {
+      return res.status(400).json({
+        success: false,
+        error: 'Default scoring profile cannot be deleted'
+      });
+    }
+
+    const deleted = await scoringProfileRepository.remove(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring profile not found'
+      });
+    }
+    await invalidateScores();
+
+    res.json({
+      success: true,
+      message: 'Scoring profile deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const tripRepository = require('../repositories/tripRepository');
+const analyticsService = require('../services/analyticsService');
+const tripConditionsService = require('../services/tripConditionsService');
 
-// Sample trip storage (in-memory, akan diganti dengan database)
-let trips = [];
-let tripIdCounter = 1;
+// Field yang menentukan kondisi lingkungan sebuah trip
+const CONDITION_FIELDS = ['tripDate', 'latitude', 'longitude', 'zone'];
 
 // GET /api/trips - Get all trips
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const { 
       startDate, 
@@ -16,40 +18,19 @@ router.get('/', (req, res) => {
       limit = 50 
     } = req.query;
 
-    let filteredTrips = [...trips];
-
-    // Filter by date range
-    if (startDate) {
-      filteredTrips = filteredTrips.filter(t => 
-        new Date(t.tripDate) >= new Date(startDate)
-      );
-    }
-    if (endDate) {
-      filteredTrips = filteredTrips.filter(t => 
-        new Date(t.tripDate) <= new Date(endDate)
-      );
-    }
-
-    // Filter by fisherman
-    if (fisherman) {
-      filteredTrips = filteredTrips.filter(t => 
-        t.fisherman.toLowerCase().includes(fisherman.toLowerCase())
-      );
-    }
-
-    // Filter by zone
-    if (zone) {
-      filteredTrips = filteredTrips.filter(t => t.zone === zone);
-    }
-
-    // Limit results
-    filteredTrips = filteredTrips.slice(0, parseInt(limit));
+    const { items: filteredTrips, total } = await tripRepository.list({
+      startDate,
+      endDate,
+      fisherman,
+      zone,
+      limit
+    });
 
     res.json({
       success: true,
       data: filteredTrips,
       count: filteredTrips.length,
-      total: trips.length
+      total: total
     });
   } catch (error) {
     res.status(500).json({
@@ -60,7 +41,7 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/trips - Create new trip
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   try {
     const {
       tripDate,
@@ -86,8 +67,7 @@ router.post('/', (req, res) => {
     }
 
     // Create trip object
-    const newTrip = {
-      id: tripIdCounter++,
+    const newTrip = await tripRepository.create({
       tripDate,
       fisherman,
       boat,
@@ -99,11 +79,12 @@ router.post('/', (req, res) => {
       departureTime: departureTime || null,
       returnTime: returnTime || null,
       lampType: lampType || 'LED',
-      notes: notes || '',
-      createdAt: new Date().toISOString()
-    };
+      notes: notes || ''
+    });
+    await analyticsService.invalidateCache();
 
-    trips.push(newTrip);
+    // Snapshot chlorophyll/SST/ombak/angin/bulan di background
+    tripConditionsService.enrichInBackground(newTrip);
 
     res.status(201).json({
       success: true,
@@ -119,10 +100,10 @@ router.post('/', (req, res) => {
 });
 
 // GET /api/trips/:id - Get trip by ID
-router.get('/:id', (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const trip = trips.find(t => t.id === parseInt(id));
+    const trip = await tripRepository.findById(id);
 
     if (!trip) {
       return res.status(404).json({
@@ -144,28 +125,28 @@ router.get('/:id', (req, res) => {
 });
 
 // PUT /api/trips/:id - Update trip
-router.put('/:id', (req, res) => {
+router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const tripIndex = trips.findIndex(t => t.id === parseInt(id));
+    const changes = req.body || {};
+    const updatedTrip = await tripRepository.update(id, changes);
 
-    if (tripIndex === -1) {
+    if (!updatedTrip) {
       return res.status(404).json({
         success: false,
         error: 'Trip not found'
       });
     }
+    await analyticsService.invalidateCache();
 
-    // Update trip
-    trips[tripIndex] = {
-      ...trips[tripIndex],
-      ...req.body,
-      updatedAt: new Date().toISOString()
-    };
+    // Tanggal/lokasi berubah → snapshot kondisi lama tidak berlaku
+    if (CONDITION_FIELDS.some(field => field in changes)) {
+      tripConditionsService.enrichInBackground(updatedTrip);
+    }
 
     res.json({
       success: true,
-      data: trips[tripIndex],
+      data: updatedTrip,
       message: 'Trip updated successfully'
     });
   } catch (error) {
@@ -176,20 +157,52 @@ router.put('/:id', (req, res) => {
   }
 });
 
+// POST /api/trips/:id/conditions - Ambil ulang snapshot kondisi (sinkron)
+router.post('/:id/conditions', async (req, res) => {
+  try {
+    const trip = await tripRepository.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    const updatedTrip = await tripConditionsService.enrichTrip(trip);
+    if (!updatedTrip) {
+      return res.status(422).json({
+        success: false,
+        error: 'Trip has no latitude/longitude and its zone is not in the registry'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedTrip,
+      message: 'Trip conditions captured successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // DELETE /api/trips/:id - Delete trip
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const tripIndex = trips.findIndex(t => t.id === parseInt(id));
+    const deleted = await tripRepository.remove(id);
 
-    if (tripIndex === -1) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         error: 'Trip not found'
       });
     }
-
-    trips.splice(tripIndex, 1);
+    await analyticsService.invalidateCache();
 
     res.json({
       success: true,
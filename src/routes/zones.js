@@ -1,22 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const zoneService = require('../services/zoneService');
+const forecastService = require('../services/forecastService');
+const scoringService = require('../services/scoringService');
+const zoneRepository = require('../repositories/zoneRepository');
+const { validateZoneBody } = require('../validators/zoneValidator');
+const { sendValidationError, validateDate } = require('../validators/common');
+const { localDate } = require('../utils/date');
+
+// ?profile=cumi → profil scoring (default: teri)
+function unknownProfile(res, profileId) {
+  return sendValidationError(res, {
+    field: 'profile',
+    error: `Unknown scoring profile: ${profileId}`
+  });
+}
 
 // GET /api/zones/recommendations - Rekomendasi zona dengan data real-time
 router.get('/recommendations', async (req, res) => {
   try {
     const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
+    if (date !== undefined) {
+      const dateError = validateDate(date, 'date');
+      if (dateError) return sendValidationError(res, dateError);
+    }
+    const targetDate = date || localDate();
+
+    const profile = await scoringService.resolveProfile(req.query.profile);
+    if (!profile) {
+      return unknownProfile(res, req.query.profile);
+    }
 
-    console.log(`Fetching zone recommendations for date: ${targetDate}`);
+    console.log(`Fetching zone recommendations for date: ${targetDate} (profile: ${profile.id})`);
 
     // Fetch recommendations dari service
-    const recommendations = await zoneService.getZoneRecommendations(targetDate);
+    const recommendations = await zoneService.getZoneRecommendations(targetDate, profile);
 
     res.json({
       success: true,
       data: recommendations,
       date: targetDate,
+      profile: profile.id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -29,11 +53,52 @@ router.get('/recommendations', async (req, res) => {
   }
 });
 
+// GET /api/zones/forecast?days=7 - Skor per malam untuk N hari ke depan
+router.get('/forecast', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? forecastService.CONFIG.maxDays : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > forecastService.CONFIG.maxDays) {
+      return sendValidationError(res, {
+        field: 'days',
+        error: `days must be an integer between 1 and ${forecastService.CONFIG.maxDays}`
+      });
+    }
+
+    const profile = await scoringService.resolveProfile(req.query.profile);
+    if (!profile) {
+      return unknownProfile(res, req.query.profile);
+    }
+
+    const forecast = await forecastService.getZoneForecast(days, profile);
+
+    res.json({
+      success: true,
+      data: forecast,
+      days,
+      profile: profile.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building forecast:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/zones/:zoneId - Detail zona spesifik
 router.get('/:zoneId', async (req, res) => {
   try {
     const { zoneId } = req.params;
-    const zoneData = await zoneService.getZoneDetail(zoneId);
+
+    const profile = await scoringService.resolveProfile(req.query.profile);
+    if (!profile) {
+      return unknownProfile(res, req.query.profile);
+    }
+
+    const zoneData = await zoneService.getZoneDetail(zoneId, profile);
 
     if (!zoneData) {
       return res.status(404).json({
@@ -72,4 +137,91 @@ router.get('/', async (req, res) => {
   }
 });
 
+// POST /api/zones - Tambah zona baru ke registry
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateZoneBody(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const zone = await zoneRepository.create(req.body);
+    if (!zone) {
+      return res.status(409).json({
+        success: false,
+        error: 'Zone id already exists'
+      });
+    }
+    await zoneService.invalidateCache();
+    await forecastService.invalidateCache();
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+      message: 'Zone created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/zones/:zoneId - Update zona
+router.put('/:zoneId', async (req, res) => {
+  try {
+    const validationError = validateZoneBody(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const zone = await zoneRepository.update(req.params.zoneId, req.body);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+    await zoneService.invalidateCache();
+    await forecastService.invalidateCache();
+
+    res.json({
+      success: true,
+      data: zone,
+      message: 'Zone updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/zones/:zoneId - Hapus zona dari registry
+router.delete('/:zoneId', async (req, res) => {
+  try {
+    const deleted = await zoneRepository.remove(req.params.zoneId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+    await zoneService.invalidateCache();
+    await forecastService.invalidateCache();
+
+    res.json({
+      success: true,
+      message: 'Zone deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -43,6 +43,16 @@ app.use((req, res, next) => {
 const dashboardRoutes = require('./routes/dashboard');
 const zoneRoutes = require('./routes/zones');
 const tripRoutes = require('./routes/trips');
+const optimizeRoutes = require('./routes/optimize');
+const scoringRoutes = require('./routes/scoring');
+const modelRoutes = require('./routes/models');
+const analyticsRoutes = require('./routes/analytics');
+const climatologyRoutes = require('./routes/climatology');
+const adminRoutes = require('./routes/admin');
+const hazardRoutes = require('./routes/hazards');
+const catchModelService = require('./services/catchModelService');
+const navigationService = require('./services/navigationService');
+const prefetchScheduler = require('./services/prefetchScheduler');
 
 // ============================================================================
 // ROUTES
@@ -61,6 +71,13 @@ app.get('/', (req, res) => {
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/zones', zoneRoutes);
 app.use('/api/trips', tripRoutes);
+app.use('/api/optimize', optimizeRoutes);
+app.use('/api/scoring', scoringRoutes);
+app.use('/api/models', modelRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/climatology', climatologyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/hazards', hazardRoutes);
 
 // Test endpoint
 app.get('/api/test', (req, res) => {
@@ -68,6 +85,7 @@ app.get('/api/test', (req, res) => {
     message: 'API is working!',
     env: {
       hasOpenWeatherKey: !!process.env.OPENWEATHER_API_KEY,
+      dataMode: process.env.DATA_MODE || 'live',
       port: PORT
     }
   });
@@ -115,9 +133,23 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Load catch model terakhir (kalau belum pernah di-train → aturan linear)
+catchModelService.loadModel().catch(error => {
+  console.error('Failed to load catch model:', error.message);
+});
+
+// Bangun visibility graph dari hazard aktif (optimizer juga memuat sendiri kalau belum)
+navigationService.ensureLoaded().catch(error => {
+  console.error('Failed to load navigation hazards:', error.message);
+});
+
+// Isi cache rekomendasi & forecast di background
+prefetchScheduler.start();
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  prefetchScheduler.stop();
   server.close(() => {
     console.log('HTTP server closed');
   });
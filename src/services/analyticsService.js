@@ -0,0 +1,225 @@
+// ============================================================================
+// SMARTBAGAN - ANALYTICS SERVICE
+// File: backend/src/services/analyticsService.js
+// ============================================================================
+// Menghitung statistik dashboard dari trip yang tercatat lewat
+// POST /api/trips. Bentuk response sengaja sama dengan sample data
+// lama supaya frontend tidak perlu diubah.
+
+const cache = require('../cache');
+const tripRepository = require('../repositories/tripRepository');
+const { localDate, shiftDate } = require('../utils/date');
+
+const CONFIG = {
+  successCatchKg: parseFloat(process.env.SUCCESS_CATCH_KG || 50), // Trip dianggap sukses kalau catch >= ini
+  topFishermenLimit: 3,
+  zoneColors: {
+    'Zona A': '#10b981',
+    'Zona B': '#3b82f6',
+    'Zona C': '#f59e0b',
+    'Custom': '#8b5cf6'
+  },
+  fallbackColors: ['#ef4444', '#14b8a6', '#ec4899', '#6366f1', '#84cc16']
+};
+
+const MONTHS_ID = ['Jan', 'Feb', 'Mar', 'Apr', 'Mei', 'Jun', 'Jul', 'Agu', 'Sep', 'Okt', 'Nov', 'Des'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// '2025-12-06' → '6 Des'
+function formatDayLabel(dateStr) {
+  const [, month, day] = dateStr.split('-').map(Number);
+  return `${day} ${MONTHS_ID[month - 1]}`;
+}
+
+function tripDay(trip) {
+  return String(trip.tripDate).split('T')[0];
+}
+
+function sumCatch(trips) {
+  return trips.reduce((sum, t) => sum + (parseFloat(t.catchKg) || 0), 0);
+}
+
+function average(total, count) {
+  return count > 0 ? Math.round(total / count) : 0;
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Cache 30 menit (namespace 'analytics'), di-flush setiap ada perubahan data trip
+async function withCache(key, compute) {
+  const { value, status } = await cache.fetch('analytics', key, compute);
+  return { data: value, cached: status === 'hit' || status === 'stale' };
+}
+
+// ============================================================================
+// 1. TODAY STATS
+// ============================================================================
+
+async function getTodayStats() {
+  const today = localDate();
+
+  return withCache(`today_stats_${today}`, async () => {
+    const trips = (await tripRepository.listAll()).filter(t => tripDay(t) === today);
+
+    // Trip yang sudah berangkat tapi belum kembali dianggap masih aktif
+    const activeTrips = trips.filter(t => t.departureTime && !t.returnTime).length;
+    const totalCatch = sumCatch(trips);
+
+    return {
+      totalCatch: Math.round(totalCatch),
+      activeTrips,
+      completedTrips: trips.length - activeTrips,
+      avgCatch: average(totalCatch, trips.length),
+      timestamp: new Date().toISOString()
+    };
+  });
+}
+
+// ============================================================================
+// 2. WEEKLY TREND (7 hari terakhir, termasuk hari ini)
+// ============================================================================
+
+async function getWeeklyStats() {
+  const today = localDate();
+
+  return withCache(`weekly_stats_${today}`, async () => {
+    const byDay = groupBy(await tripRepository.listAll(), tripDay);
+    const weeklyData = [];
+
+    for (let i = 6; i >= 0; i--) {
+      const date = shiftDate(today, -i);
+      const trips = byDay.get(date) || [];
+      const total = sumCatch(trips);
+
+      // Zona dengan tangkapan terbanyak hari itu
+      let bestZone = null;
+      let bestZoneCatch = -1;
+      for (const [zone, zoneTrips] of groupBy(trips, t => t.zone || 'Custom')) {
+        const zoneCatch = sumCatch(zoneTrips);
+        if (zoneCatch > bestZoneCatch) {
+          bestZoneCatch = zoneCatch;
+          bestZone = zone;
+        }
+      }
+
+      weeklyData.push({
+        date: formatDayLabel(date),
+        trips: trips.length,
+        total: Math.round(total),
+        avg: average(total, trips.length),
+        zone: bestZone
+      });
+    }
+
+    return weeklyData;
+  });
+}
+
+// ============================================================================
+// 3. TOP FISHERMEN
+// ============================================================================
+
+async function getTopFishermen(limit = CONFIG.topFishermenLimit) {
+  return withCache(`top_fishermen_${limit}`, async () => {
+    const byFisherman = groupBy(await tripRepository.listAll(), t => t.fisherman);
+
+    return [...byFisherman.entries()]
+      .map(([name, trips]) => {
+        const total = sumCatch(trips);
+        return {
+          name,
+          trips: trips.length,
+          catch: Math.round(total),
+          avg: average(total, trips.length)
+        };
+      })
+      .sort((a, b) => b.catch - a.catch || b.avg - a.avg)
+      .slice(0, limit)
+      .map((fisherman, i) => ({ ...fisherman, rank: i + 1 }));
+  });
+}
+
+// ============================================================================
+// 4. ZONE DISTRIBUTION (jumlah trip per zona)
+// ============================================================================
+
+async function getZoneDistribution() {
+  return withCache('zone_dist', async () => {
+    const byZone = groupBy(await tripRepository.listAll(), t => t.zone || 'Custom');
+    let fallbackIndex = 0;
+
+    return [...byZone.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([name, trips]) => ({
+        name,
+        value: trips.length,
+        color: CONFIG.zoneColors[name] ||
+          CONFIG.fallbackColors[fallbackIndex++ % CONFIG.fallbackColors.length]
+      }));
+  });
+}
+
+// ============================================================================
+// 5. PRODUCTIVE ZONES (per-zone success rate)
+// ============================================================================
+
+async function getProductiveZones() {
+  return withCache('productive_zones', async () => {
+    const byZone = groupBy(await tripRepository.listAll(), t => t.zone || 'Custom');
+
+    return [...byZone.entries()]
+      .map(([name, trips]) => {
+        const totalCatch = sumCatch(trips);
+        const located = trips.filter(t =>
+          Number.isFinite(parseFloat(t.latitude)) && Number.isFinite(parseFloat(t.longitude))
+        );
+        const successful = trips.filter(t => parseFloat(t.catchKg) >= CONFIG.successCatchKg);
+
+        // Posisi zona = rata-rata koordinat trip yang punya GPS
+        return {
+          name,
+          lat: located.length > 0
+            ? parseFloat((located.reduce((s, t) => s + parseFloat(t.latitude), 0) / located.length).toFixed(4))
+            : null,
+          lng: located.length > 0
+            ? parseFloat((located.reduce((s, t) => s + parseFloat(t.longitude), 0) / located.length).toFixed(4))
+            : null,
+          trips: trips.length,
+          totalCatch: Math.round(totalCatch),
+          avg: average(totalCatch, trips.length),
+          successRate: Math.round((successful.length / trips.length) * 100)
+        };
+      })
+      .sort((a, b) => b.totalCatch - a.totalCatch);
+  });
+}
+
+// ============================================================================
+// CACHE CONTROL
+// ============================================================================
+
+// Dipanggil setiap kali data trip berubah
+function invalidateCache() {
+  return cache.invalidate('analytics');
+}
+
+module.exports = {
+  getTodayStats,
+  getWeeklyStats,
+  getTopFishermen,
+  getZoneDistribution,
+  getProductiveZones,
+  invalidateCache,
+  CONFIG
+};
@@ -0,0 +1,96 @@
+// ============================================================================
+// SMARTBAGAN - ASSIGNMENT SOLVER (Hungarian algorithm)
+// File: backend/src/services/assignmentSolver.js
+// ============================================================================
+// Min-cost assignment untuk matriks rows × cols (rows ≤ cols): setiap row
+// dapat tepat satu col, setiap col dipakai paling banyak satu row.
+// Implementasi O(n² · m) dengan potensial (Kuhn-Munkres / Jonker-style).
+// Pasangan yang dilarang cukup diberi cost Infinity.
+
+// Pengganti Infinity di dalam algoritma (potensial harus tetap finite)
+const FORBIDDEN_COST = 1e15;
+
+// costs[row][col] → { assignment: col per row (atau -1), totalCost }
+function solve(costs) {
+  const n = costs.length;
+  if (n === 0) return { assignment: [], totalCost: 0 };
+
+  const m = costs[0].length;
+  if (m < n) {
+    throw new Error(`Assignment needs at least as many columns as rows (${n} > ${m})`);
+  }
+
+  const cost = (i, j) => (Number.isFinite(costs[i][j]) ? costs[i][j] : FORBIDDEN_COST);
+
+  // Index 1-based; kolom 0 = kolom virtual untuk row yang sedang dicarikan pasangan
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(m + 1);
+  const match = new Int32Array(m + 1);   // match[col] = row
+  const way = new Int32Array(m + 1);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(m + 1).fill(Infinity);
+    const used = new Uint8Array(m + 1);
+
+    do {
+      used[j0] = 1;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    // Telusuri balik augmenting path
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (match[j] !== 0) assignment[match[j] - 1] = j - 1;
+  }
+
+  let totalCost = 0;
+  for (let i = 0; i < n; i++) {
+    const c = costs[i][assignment[i]];
+    if (!Number.isFinite(c)) {
+      // Tidak ada assignment yang menghindari pasangan terlarang
+      assignment[i] = -1;
+    } else {
+      totalCost += c;
+    }
+  }
+
+  return { assignment, totalCost };
+}
+
+module.exports = {
+  solve
+};
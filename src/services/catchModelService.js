@@ -0,0 +1,251 @@
+// ============================================================================
+// SMARTBAGAN - CATCH PREDICTION MODEL
+// File: backend/src/services/catchModelService.js
+// ============================================================================
+// Regresi (ridge) hasil tangkapan dari kondisi lingkungan saat trip:
+//   catchKg ~ log(chlorophyll) + sst + (sst - 28.5)² + moon + wave + wind
+// plus model sederhana catchKg ~ score untuk optimizer yang hanya punya skor.
+// Prediksi selalu disertai prediction interval. Kalau riwayat trip belum
+// cukup, kembali ke aturan linear lama (score × 0.6 … score × 0.9).
+
+const { openCollection } = require('../storage');
+const linalg = require('../utils/linalg');
+const { mean, standardDeviation } = require('../utils/stats');
+
+const COLLECTION = 'models';
+const MODEL_ID = 'catch';
+
+const CONFIG = {
+  minTrips: parseInt(process.env.CATCH_MODEL_MIN_TRIPS || 20), // Minimal trip untuk fit model
+  ridgeLambda: 1,        // Regularisasi (fitur sudah distandardisasi)
+  intervalLevel: 0.9     // Prediction interval 90%
+};
+
+// Fitur dari snapshot kondisi trip (lihat tripConditionsService)
+const FEATURES = [
+  { name: 'logChlorophyll', extract: (c) => Math.log(Math.max(c.chlorophyll, 0.01)) },
+  { name: 'sst', extract: (c) => c.sst },
+  { name: 'sstDeviationSq', extract: (c) => (c.sst - 28.5) ** 2 },
+  { name: 'moonIllumination', extract: (c) => c.moonIllumination },
+  { name: 'waveHeight', extract: (c) => c.waveHeight },
+  { name: 'windSpeed', extract: (c) => c.windSpeed }
+];
+
+// t-quantile 0.95 (interval 90% dua sisi) per degrees of freedom
+const T_TABLE_90 = [
+  [1, 6.314], [2, 2.920], [3, 2.353], [4, 2.132], [5, 2.015], [6, 1.943],
+  [7, 1.895], [8, 1.860], [9, 1.833], [10, 1.812], [12, 1.782], [15, 1.753],
+  [20, 1.725], [30, 1.697], [60, 1.671], [120, 1.658]
+];
+
+let currentModel = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function tQuantile(df) {
+  let t = 1.645;
+  for (let i = T_TABLE_90.length - 1; i >= 0; i--) {
+    if (df >= T_TABLE_90[i][0]) {
+      return i === T_TABLE_90.length - 1 ? t : T_TABLE_90[i][1];
+    }
+  }
+  return T_TABLE_90[0][1];
+}
+
+// Input mentah fitur - null (mis. faktor estimasi di snapshot) tidak boleh
+// lolos sebagai 0 lewat koersi Math.max/aritmetika
+const FEATURE_INPUTS = ['chlorophyll', 'sst', 'moonIllumination', 'waveHeight', 'windSpeed'];
+
+function hasAllFeatures(conditions) {
+  return Boolean(conditions) &&
+    FEATURE_INPUTS.every(field => Number.isFinite(conditions[field])) &&
+    FEATURES.every(f => Number.isFinite(f.extract(conditions)));
+}
+
+// Snapshot yang salah satu faktornya dari estimasi (lihat tripConditionsService)
+function hasEstimatedFactor(conditions) {
+  return Boolean(conditions && conditions.estimated) &&
+    Object.values(conditions.estimated).some(Boolean);
+}
+
+// Aturan lama - dipakai sebelum model punya cukup data
+function linearRule(score) {
+  const baseMin = score * 0.6;
+  const baseMax = score * 0.9;
+  return {
+    min: Math.round(baseMin),
+    max: Math.round(baseMax),
+    avg: Math.round((baseMin + baseMax) / 2),
+    unit: 'kg',
+    method: 'linear-rule'
+  };
+}
+
+// ============================================================================
+// RIDGE REGRESSION
+// ============================================================================
+
+// rows: array fitur mentah, y: target. Fitur distandardisasi dulu,
+// intercept tidak diregularisasi.
+function fitRidge(rows, y, lambda) {
+  const k = rows[0].length;
+  const means = [];
+  const stds = [];
+  for (let j = 0; j < k; j++) {
+    const column = rows.map(r => r[j]);
+    means.push(mean(column));
+    stds.push(standardDeviation(column) || 1);
+  }
+
+  const X = rows.map(r => [1, ...r.map((v, j) => (v - means[j]) / stds[j])]);
+  const Xt = linalg.transpose(X);
+  const XtX = linalg.multiply(Xt, X);
+  for (let j = 1; j <= k; j++) XtX[j][j] += lambda;
+
+  const covariance = linalg.invert(XtX);
+  const Xty = linalg.multiply(Xt, y.map(v => [v]));
+  const coefficients = linalg.multiply(covariance, Xty).map(row => row[0]);
+
+  const predictions = X.map(x => x.reduce((sum, v, j) => sum + v * coefficients[j], 0));
+  const residuals = y.map((v, i) => v - predictions[i]);
+  const sse = residuals.reduce((sum, r) => sum + r * r, 0);
+  const yMean = mean(y);
+  const sst = y.reduce((sum, v) => sum + (v - yMean) ** 2, 0);
+  const df = Math.max(1, y.length - (k + 1));
+
+  return {
+    coefficients,
+    means,
+    stds,
+    covariance,
+    residualStd: Math.sqrt(sse / df),
+    df,
+    r2: sst > 0 ? 1 - sse / sst : 0,
+    rmse: Math.sqrt(sse / y.length)
+  };
+}
+
+function predictRidge(fit, rawFeatures) {
+  const x = [1, ...rawFeatures.map((v, j) => (v - fit.means[j]) / fit.stds[j])];
+  const value = x.reduce((sum, v, j) => sum + v * fit.coefficients[j], 0);
+  const se = fit.residualStd * Math.sqrt(1 + linalg.quadraticForm(x, fit.covariance));
+  const margin = tQuantile(fit.df) * se;
+
+  return {
+    avg: Math.max(0, Math.round(value)),
+    min: Math.max(0, Math.round(value - margin)),
+    max: Math.max(0, Math.round(value + margin)),
+    unit: 'kg',
+    method: 'regression',
+    interval: CONFIG.intervalLevel
+  };
+}
+
+// ============================================================================
+// TRAIN
+// ============================================================================
+
+// samples: [{ tripId, catchKg, conditions }] - conditions wajib punya score & semua fitur.
+// Trip dengan faktor estimasi dilewati seluruhnya: skornya pun ikut dihitung
+// dari konstanta, jadi model byScore juga tidak boleh memakainya.
+function fitModel(samples) {
+  const complete = samples.filter(s =>
+    Number.isFinite(s.catchKg) && s.conditions && Number.isFinite(s.conditions.score)
+  );
+  const measured = complete.filter(s => !hasEstimatedFactor(s.conditions));
+  const usable = measured.filter(s => hasAllFeatures(s.conditions));
+
+  const base = {
+    trainedAt: new Date().toISOString(),
+    samples: usable.length,
+    skipped: {
+      estimated: complete.length - measured.length,
+      incomplete: samples.length - complete.length + measured.length - usable.length
+    },
+    minTrips: CONFIG.minTrips
+  };
+
+  if (usable.length < CONFIG.minTrips) {
+    return {
+      ...base,
+      method: 'linear-rule',
+      reason: `Need at least ${CONFIG.minTrips} trips with measured conditions (have ${usable.length})`
+    };
+  }
+
+  const y = usable.map(s => s.catchKg);
+  const full = fitRidge(usable.map(s => FEATURES.map(f => f.extract(s.conditions))), y, CONFIG.ridgeLambda);
+  const byScore = fitRidge(usable.map(s => [s.conditions.score]), y, CONFIG.ridgeLambda);
+
+  return {
+    ...base,
+    method: 'regression',
+    // Laporan akurasi memisahkan trip ini (in-sample) dari evaluasi
+    trainingTripIds: usable.map(s => s.tripId).filter(id => id !== undefined),
+    features: FEATURES.map(f => f.name),
+    full,
+    byScore,
+    metrics: {
+      full: { r2: parseFloat(full.r2.toFixed(3)), rmse: parseFloat(full.rmse.toFixed(2)) },
+      byScore: { r2: parseFloat(byScore.r2.toFixed(3)), rmse: parseFloat(byScore.rmse.toFixed(2)) }
+    }
+  };
+}
+
+async function saveModel(model) {
+  const collection = await openCollection(COLLECTION);
+  // Ganti total (update akan me-merge field lama seperti `reason`/`metrics`)
+  await collection.remove(MODEL_ID);
+  const saved = await collection.insert({ id: MODEL_ID, ...model });
+
+  currentModel = saved;
+  return saved;
+}
+
+// Dipanggil saat server start supaya prediksi sync (estimateCatch) pakai model terakhir
+async function loadModel() {
+  const collection = await openCollection(COLLECTION);
+  currentModel = await collection.get(MODEL_ID);
+  return currentModel;
+}
+
+function getModel() {
+  return currentModel;
+}
+
+// ============================================================================
+// PREDICT
+// ============================================================================
+
+function isTrained() {
+  return Boolean(currentModel && currentModel.method === 'regression');
+}
+
+// Dari kondisi lengkap (chlorophyll, sst, moonIllumination, waveHeight, windSpeed)
+function predictFromConditions(conditions, fallbackScore) {
+  if (!isTrained() || !hasAllFeatures(conditions)) {
+    return linearRule(fallbackScore);
+  }
+  return predictRidge(currentModel.full, FEATURES.map(f => f.extract(conditions)));
+}
+
+// Dari skor zona saja (dipakai optimizer)
+function predictFromScore(score) {
+  if (!isTrained()) {
+    return linearRule(score);
+  }
+  return predictRidge(currentModel.byScore, [score]);
+}
+
+module.exports = {
+  fitModel,
+  saveModel,
+  loadModel,
+  getModel,
+  predictFromConditions,
+  predictFromScore,
+  linearRule,
+  CONFIG
+};
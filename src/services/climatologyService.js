@@ -0,0 +1,232 @@
+// ============================================================================
+// SMARTBAGAN - CLIMATOLOGY STORE
+// File: backend/src/services/climatologyService.js
+// ============================================================================
+// Setiap observasi sukses per zona disimpan (satu per zona/variabel/tanggal),
+// lalu dirangkum jadi mean & std bulanan per zona. Kalau data live tidak ada:
+//   1. persistence → observasi terakhir kalau umurnya <= persistenceMaxDays
+//   2. climatology → mean bulan itu (butuh minimal minSamples observasi)
+//   3. null        → caller pakai konstanta estimasi
+
+const { openCollection } = require('../storage');
+const { mean, standardDeviation } = require('../utils/stats');
+
+const OBSERVATIONS = 'observations';
+const CLIMATOLOGY = 'climatology';
+
+const CONFIG = {
+  variables: ['chlorophyll', 'sst', 'waveHeight', 'windSpeed'],
+  minSamples: parseInt(process.env.CLIMATOLOGY_MIN_SAMPLES || 3),
+  persistenceMaxDays: 7
+};
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function monthOf(date) {
+  return parseInt(date.slice(5, 7));
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(3));
+}
+
+// ============================================================================
+// AGGREGATES
+// ============================================================================
+
+function aggregateId(zoneId, variable, month) {
+  return `${zoneId}_${variable}_${month}`;
+}
+
+function summarizeGroup(zoneId, variable, month, observations) {
+  const values = observations.map(o => o.value);
+  const dates = observations.map(o => o.date).sort();
+  return {
+    zoneId,
+    variable,
+    month,
+    count: values.length,
+    mean: round(mean(values)),
+    std: round(standardDeviation(values)),
+    firstDate: dates[0],
+    lastDate: dates[dates.length - 1],
+    updatedAt: new Date().toISOString()
+  };
+}
+
+async function refreshAggregate(zoneId, variable, month) {
+  const series = await loadSeries(zoneId, variable);
+  const collection = await openCollection(CLIMATOLOGY);
+  // Dirangkum di dalam write queue → tulisan terakhir selalu dari index terbaru
+  return collection.upsert(aggregateId(zoneId, variable, month), () =>
+    summarizeGroup(zoneId, variable, month, [...series.values()].filter(o => monthOf(o.date) === month)));
+}
+
+// ============================================================================
+// OBSERVATION INDEX
+// ============================================================================
+// Observasi per zona/variabel (Map tanggal → observasi), dibaca dari storage
+// sekali per proses lalu diperbarui oleh record(). record() & fallback()
+// tidak perlu memuat dan memfilter seluruh log observasi setiap dipanggil.
+
+let observationIndex = null;
+
+function seriesKey(zoneId, variable) {
+  return `${zoneId}_${variable}`;
+}
+
+function indexObservation(index, observation) {
+  const key = seriesKey(observation.zoneId, observation.variable);
+  if (!index.has(key)) index.set(key, new Map());
+  index.get(key).set(observation.date, observation);
+}
+
+function loadIndex() {
+  if (!observationIndex) {
+    observationIndex = openCollection(OBSERVATIONS)
+      .then(collection => collection.all())
+      .then(observations => {
+        const index = new Map();
+        observations.forEach(o => indexObservation(index, o));
+        return index;
+      });
+    // Kalau gagal, panggilan berikutnya mencoba lagi
+    observationIndex.catch(() => { observationIndex = null; });
+  }
+  return observationIndex;
+}
+
+async function loadSeries(zoneId, variable) {
+  return (await loadIndex()).get(seriesKey(zoneId, variable)) || new Map();
+}
+
+// ============================================================================
+// RECORD
+// ============================================================================
+
+// Satu observasi per zona/variabel/tanggal - fetch ulang di hari yang sama
+// menimpa, tidak menambah bobot
+async function record(zoneId, variable, date, value, provider) {
+  if (!zoneId || !CONFIG.variables.includes(variable) || !Number.isFinite(value)) {
+    return null;
+  }
+
+  const [observations, index] = await Promise.all([openCollection(OBSERVATIONS), loadIndex()]);
+  // upsert atomik: evaluateZone paralel untuk zona yang sama tidak bentrok id
+  const observation = await observations.upsert(`${zoneId}_${variable}_${date}`, () => ({
+    zoneId,
+    variable,
+    date,
+    value,
+    provider: provider || null,
+    recordedAt: new Date().toISOString()
+  }));
+  indexObservation(index, observation);
+
+  return refreshAggregate(zoneId, variable, monthOf(date));
+}
+
+// values: { chlorophyll: { value, date, provider }, ... } - yang null dilewati
+async function recordZone(zoneId, values) {
+  const entries = Object.entries(values).filter(([, v]) => v);
+  for (const [variable, { value, date, provider }] of entries) {
+    await record(zoneId, variable, date, value, provider);
+  }
+}
+
+// ============================================================================
+// FALLBACK
+// ============================================================================
+
+async function lastObservation(zoneId, variable, date) {
+  let last = null;
+  for (const o of (await loadSeries(zoneId, variable)).values()) {
+    if (o.date <= date && (!last || o.date > last.date)) last = o;
+  }
+  return last;
+}
+
+async function monthlyClimatology(zoneId, variable, date) {
+  const collection = await openCollection(CLIMATOLOGY);
+  const aggregate = await collection.get(aggregateId(zoneId, variable, monthOf(date)));
+  return aggregate && aggregate.count >= CONFIG.minSamples ? aggregate : null;
+}
+
+// Return { method, value, uncertainty, ... } atau null kalau belum ada data
+async function fallback(zoneId, variable, date) {
+  if (!zoneId) return null;
+
+  const [last, climatology] = await Promise.all([
+    lastObservation(zoneId, variable, date),
+    monthlyClimatology(zoneId, variable, date)
+  ]);
+  const uncertainty = climatology ? climatology.std : null;
+
+  if (last) {
+    const ageDays = daysBetween(last.date, date);
+    if (ageDays <= CONFIG.persistenceMaxDays) {
+      return { method: 'persistence', value: last.value, date: last.date, ageDays, uncertainty };
+    }
+  }
+
+  if (climatology) {
+    return {
+      method: 'climatology',
+      value: climatology.mean,
+      uncertainty,
+      samples: climatology.count,
+      month: climatology.month
+    };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// INSPECT / REBUILD
+// ============================================================================
+
+async function getClimatology({ zoneId, variable } = {}) {
+  const aggregates = await (await openCollection(CLIMATOLOGY)).all();
+  return aggregates
+    .filter(a => (!zoneId || a.zoneId === zoneId) && (!variable || a.variable === variable))
+    .sort((a, b) => a.zoneId.localeCompare(b.zoneId) || a.variable.localeCompare(b.variable) || a.month - b.month);
+}
+
+// Hitung ulang semua rangkuman dari log observasi
+async function rebuild() {
+  const observations = await (await openCollection(OBSERVATIONS)).all();
+  const collection = await openCollection(CLIMATOLOGY);
+
+  const groups = new Map();
+  for (const o of observations) {
+    const id = aggregateId(o.zoneId, o.variable, monthOf(o.date));
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(o);
+  }
+
+  for (const existing of await collection.all()) {
+    if (!groups.has(existing.id)) await collection.remove(existing.id);
+  }
+  for (const [id, group] of groups) {
+    const { zoneId, variable, date } = group[0];
+    await collection.upsert(id, () => summarizeGroup(zoneId, variable, monthOf(date), group));
+  }
+
+  return {
+    observations: observations.length,
+    aggregates: groups.size,
+    rebuiltAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  record,
+  recordZone,
+  fallback,
+  getClimatology,
+  rebuild,
+  CONFIG
+};
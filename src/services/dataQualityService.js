@@ -0,0 +1,157 @@
+// ============================================================================
+// SMARTBAGAN - DATA QUALITY & CONFIDENCE
+// File: backend/src/services/dataQualityService.js
+// ============================================================================
+// Tiap faktor skor ditandai:
+//   observed  → data asli untuk tanggal/jam yang dinilai
+//   stale     → data asli tapi dari hari lain (ageDays)
+//   estimated → nilai karangan karena semua provider gagal
+// Confidence zona = rata-rata confidence faktor, dibobot sesuai bobot profil.
+// Zona yang skornya sebagian besar dari estimasi diturunkan rekomendasinya.
+
+const { localDate } = require('../utils/date');
+
+const CONFIG = {
+  staleDecayPerDay: 0.15,    // Confidence berkurang per hari umur data
+  climatologyConfidence: 0.25, // Rata-rata bulanan zona - lebih baik dari konstanta
+  minStaleConfidence: 0.3,
+  maxEstimatedShare: 0.5,    // > 50% bobot skor dari estimasi → downgrade
+  downgradeCap: 'Fair',      // Rekomendasi maksimal untuk zona yang di-downgrade
+  levels: { high: 0.8, medium: 0.5 }
+};
+
+// Urutan label dari scoringService.recommendationFor
+const RECOMMENDATION_LADDER = ['Not Recommended', 'Fair', 'Recommended', 'Highly Recommended'];
+
+// Faktor profil → data yang dipakai
+const FACTOR_WEIGHT_KEYS = ['chlorophyll', 'sst', 'moon', 'wave', 'wind'];
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function staleConfidence(ageDays) {
+  return Math.max(CONFIG.minStaleConfidence, 1 - CONFIG.staleDecayPerDay * ageDays);
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// ============================================================================
+// PER FACTOR
+// ============================================================================
+
+// Chlorophyll/SST: satelit harian, `date` = tanggal pixel yang dipakai.
+// `fallback` diisi zoneService kalau nilai dari persistence/climatology.
+function assessDaily(result, targetDate) {
+  if (result.fallback === 'climatology') {
+    return { status: 'estimated', method: 'climatology', confidence: CONFIG.climatologyConfidence, source: result.source };
+  }
+  if (!result.provider) {
+    return { status: 'estimated', confidence: 0, source: result.source };
+  }
+
+  const ageDays = result.date ? Math.abs(daysBetween(result.date, targetDate)) : 0;
+  const method = result.fallback ? { method: result.fallback } : {};
+  return ageDays > 0
+    ? { status: 'stale', ageDays, ...method, confidence: round(staleConfidence(ageDays)), source: result.source, observedDate: result.date }
+    : { status: 'observed', ...method, confidence: 1, source: result.source, observedDate: result.date };
+}
+
+// Ombak/angin: jam yang ada forecast-nya = observed; jam sisanya diisi `fill`
+// dari zoneService: current (stale kalau malamnya bukan hari ini),
+// persistence, climatology, atau konstanta (estimated)
+const ESTIMATED_FILL = { method: 'estimated', source: 'Estimated' };
+
+function assessHourly(hours, flag, fill = ESTIMATED_FILL, targetDate, source) {
+  const coverage = hours.filter(h => h[flag]).length / hours.length;
+
+  if (coverage === 1) {
+    return { status: 'observed', confidence: 1, source, forecastCoverage: 1 };
+  }
+
+  let fillStatus = 'estimated';
+  let fillConfidence = 0;
+  let ageDays = null;
+
+  if (fill.method === 'current' || fill.method === 'persistence') {
+    ageDays = fill.method === 'current' ? Math.abs(daysBetween(localDate(), targetDate)) : fill.ageDays;
+    fillStatus = 'stale';
+    fillConfidence = staleConfidence(ageDays);
+  } else if (fill.method === 'climatology') {
+    fillConfidence = CONFIG.climatologyConfidence;
+  }
+
+  const status = coverage >= 0.5 ? 'observed' : fillStatus;
+  return {
+    status,
+    ...(status === 'stale' && { ageDays }),
+    method: fill.method,
+    confidence: round(coverage + (1 - coverage) * fillConfidence),
+    source: coverage > 0 ? source : fill.source,
+    forecastCoverage: round(coverage)
+  };
+}
+
+// ============================================================================
+// ZONE LEVEL
+// ============================================================================
+
+// marineFill/windFill = pengisi jam tanpa forecast ({ method, source, ageDays })
+function assessZone({ chlorophyll, sst, hours, marineFill, windFill, marineSource, windSource, date, profile }) {
+  const factors = {
+    chlorophyll: assessDaily(chlorophyll, date),
+    sst: assessDaily(sst, date),
+    // Posisi & terang bulan dihitung, bukan diukur
+    moon: { status: 'observed', confidence: 1, source: 'Astronomical calculation' },
+    wave: assessHourly(hours, 'waveForecast', marineFill, date, marineSource),
+    wind: assessHourly(hours, 'windForecast', windFill, date, windSource)
+  };
+
+  // Tanpa profil semua faktor dianggap sama berat
+  const weights = (profile && profile.weights) ||
+    Object.fromEntries(FACTOR_WEIGHT_KEYS.map(f => [f, 1]));
+  const weightOf = (f) => weights[f] || 0;
+  const totalWeight = FACTOR_WEIGHT_KEYS.reduce((sum, f) => sum + weightOf(f), 0);
+
+  const confidence = FACTOR_WEIGHT_KEYS
+    .reduce((sum, f) => sum + weightOf(f) * factors[f].confidence, 0) / totalWeight;
+  const estimatedShare = FACTOR_WEIGHT_KEYS
+    .filter(f => factors[f].status === 'estimated')
+    .reduce((sum, f) => sum + weightOf(f), 0) / totalWeight;
+
+  return {
+    confidence: round(confidence),
+    level: confidence >= CONFIG.levels.high ? 'high' : confidence >= CONFIG.levels.medium ? 'medium' : 'low',
+    estimatedShare: round(estimatedShare),
+    flagged: estimatedShare > CONFIG.maxEstimatedShare,
+    factors
+  };
+}
+
+// Turunkan label rekomendasi kalau skor sebagian besar dari estimasi
+function adjustRecommendation(recommendation, dataQuality) {
+  if (!dataQuality.flagged) {
+    return { recommendation, dataQuality };
+  }
+
+  const cap = RECOMMENDATION_LADDER.indexOf(CONFIG.downgradeCap);
+  const current = RECOMMENDATION_LADDER.indexOf(recommendation);
+  const adjusted = current > cap ? CONFIG.downgradeCap : recommendation;
+
+  return {
+    recommendation: adjusted,
+    dataQuality: {
+      ...dataQuality,
+      ...(adjusted !== recommendation && { downgradedFrom: recommendation }),
+      warning: `${Math.round(dataQuality.estimatedShare * 100)}% of the score is based on estimated data`
+    }
+  };
+}
+
+module.exports = {
+  assessZone,
+  adjustRecommendation,
+  CONFIG
+};
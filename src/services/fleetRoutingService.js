@@ -0,0 +1,406 @@
+// ============================================================================
+// SMARTBAGAN - FLEET ROUTING (beberapa kapal tarik, deadline per bagan)
+// File: backend/src/services/fleetRoutingService.js
+// ============================================================================
+// Koperasi punya beberapa kapal tarik dan semua bagan harus sudah terpasang
+// sebelum lampu dinyalakan. Setiap "job" = jemput bagan → tarik ke spot →
+// pasang (setupTimeMinutes). Pembagian job ke kapal:
+//   1. regret insertion: job yang paling "rugi" kalau tidak dapat posisi
+//      terbaiknya disisipkan duluan, hanya di posisi yang tetap memenuhi
+//      semua deadline & kapasitas BBM kapal itu
+//   2. relocate: pindahkan job antar kapal / posisi selama total BBM turun
+// Job yang tidak bisa dijadwalkan di kapal mana pun dilaporkan terpisah.
+// Semua jarak = jalur aman memutari hazard (navigationService).
+
+const optimizer = require('./optimizerService');
+const nightScoring = require('./nightScoringService');
+const navigation = require('./navigationService');
+const { localDate, shiftDate, localHourToDate, formatLocalTime } = require('../utils/date');
+
+const KM_TO_NM = 0.539957;
+
+const CONFIG = {
+  maxRelocatePasses: 20,
+  defaultStartTime: '14:00'    // Mulai kerja untuk tanggal selain hari ini tanpa startTime
+};
+
+// Default lampu nyala = awal night window scoring
+function lightsOn() {
+  return `${String(nightScoring.CONFIG.startHour).padStart(2, '0')}:00`;
+}
+
+function travelMinutes(distanceKm, speedKnots) {
+  return (distanceKm * KM_TO_NM / speedKnots) * 60;
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+// ============================================================================
+// NORMALISASI INPUT
+// ============================================================================
+
+function normalizeBoat(boat, index) {
+  const fuelCapacityLiters = boat.fuelCapacityLiters;
+  return {
+    id: boat.id || `BOAT_${index + 1}`,
+    name: boat.name || boat.id || `Kapal ${index + 1}`,
+    lat: boat.lat,
+    lng: boat.lng,
+    transitSpeedKnots: boat.transitSpeedKnots || optimizer.CONFIG.transitSpeedKnots,
+    towSpeedKnots: boat.towSpeedKnots || optimizer.CONFIG.towSpeedKnots,
+    fuelPerKmTransit: boat.fuelPerKmTransit || optimizer.CONFIG.fuelConsumptionTransit,
+    fuelPerKmTow: boat.fuelPerKmTow || optimizer.CONFIG.fuelConsumptionTow,
+    fuelCapacityLiters,
+    fuelAvailableLiters: boat.fuelLiters !== undefined ? boat.fuelLiters : fuelCapacityLiters
+  };
+}
+
+// item = rekomendasi 'move' dari assignSpots.
+// workDayStartAt = awal hari kerja (bukan "sekarang"), supaya deadline hari
+// ini yang sudah lewat tetap hari ini → tidak terjadwal
+function toJob(item, date, workDayStartAt) {
+  const { bagan } = item;
+  const target = item.recommendation.targetSpot;
+  const deadline = bagan.deadline || lightsOn();
+
+  // Deadline lewat tengah malam (mis. '02:00' untuk mulai '17:00') → besoknya
+  let deadlineAt = localHourToDate(`${date}T${deadline}`);
+  if (deadlineAt < workDayStartAt) {
+    deadlineAt = localHourToDate(`${shiftDate(date, 1)}T${deadline}`);
+  }
+
+  return {
+    item,
+    bagan,
+    target,
+    towKm: navigation.distance(bagan, target),
+    deadline,
+    deadlineAt
+  };
+}
+
+// ============================================================================
+// EVALUASI RUTE SATU KAPAL
+// ============================================================================
+
+// Simulasi urutan job untuk satu kapal → jadwal, BBM, dan kelayakannya
+function simulate(boat, jobs, startAt) {
+  let position = { lat: boat.lat, lng: boat.lng };
+  let clock = startAt;
+  let transitKm = 0;
+  let towKm = 0;
+  let feasible = true;
+  const stops = [];
+
+  for (const job of jobs) {
+    const toPickupKm = navigation.distance(position, job.bagan);
+    const departAt = clock;
+    const arrivePickupAt = addMinutes(departAt, travelMinutes(toPickupKm, boat.transitSpeedKnots));
+    const arriveTargetAt = addMinutes(arrivePickupAt, travelMinutes(job.towKm, boat.towSpeedKnots));
+    const setAt = addMinutes(arriveTargetAt, optimizer.CONFIG.setupTimeMinutes);
+    const slackMinutes = (job.deadlineAt - setAt) / 60000;
+
+    if (slackMinutes < 0) feasible = false;
+    transitKm += toPickupKm;
+    towKm += job.towKm;
+
+    stops.push({ job, from: position, toPickupKm, departAt, arrivePickupAt, arriveTargetAt, setAt, slackMinutes });
+    position = job.target;
+    clock = setAt;
+  }
+
+  const fuelLiters = transitKm * boat.fuelPerKmTransit + towKm * boat.fuelPerKmTow;
+  if (fuelLiters > boat.fuelAvailableLiters) feasible = false;
+
+  return { feasible, stops, transitKm, towKm, fuelLiters, finishAt: clock };
+}
+
+// ============================================================================
+// CONSTRUCTION: REGRET INSERTION
+// ============================================================================
+
+// Batas bawah murah (garis lurus dari posisi awal kapal, tanpa pathfinding):
+// kalau ini saja sudah lewat deadline / BBM, kapal itu tidak mungkin
+function cannotReach(boat, job, startAt) {
+  const minTransitKm = optimizer.calculateDistance(boat.lat, boat.lng, job.bagan.lat, job.bagan.lng);
+  const minMinutes = travelMinutes(minTransitKm, boat.transitSpeedKnots) +
+    travelMinutes(job.towKm, boat.towSpeedKnots) +
+    optimizer.CONFIG.setupTimeMinutes;
+  const minFuel = minTransitKm * boat.fuelPerKmTransit + job.towKm * boat.fuelPerKmTow;
+
+  return addMinutes(startAt, minMinutes) > job.deadlineAt || minFuel > boat.fuelAvailableLiters;
+}
+
+// Posisi sisip termurah (tambahan BBM) untuk job di setiap kapal
+function insertionOptions(job, routes, boats, startAt) {
+  return boats.map((boat, b) => {
+    if (cannotReach(boat, job, startAt)) return null;
+
+    const base = simulate(boat, routes[b], startAt).fuelLiters;
+    let best = null;
+
+    for (let position = 0; position <= routes[b].length; position++) {
+      const candidate = [...routes[b].slice(0, position), job, ...routes[b].slice(position)];
+      const result = simulate(boat, candidate, startAt);
+      if (!result.feasible) continue;
+
+      const extra = result.fuelLiters - base;
+      if (!best || extra < best.extra) best = { boat: b, position, extra };
+    }
+    return best;
+  }).filter(Boolean).sort((a, b) => a.extra - b.extra);
+}
+
+function regretInsertion(jobs, boats, startAt) {
+  const routes = boats.map(() => []);
+  const pending = [...jobs];
+  const unscheduled = [];
+
+  while (pending.length > 0) {
+    const evaluated = pending.map(job => ({ job, options: insertionOptions(job, routes, boats, startAt) }));
+
+    // Rute hanya bertambah panjang → job yang sekarang tidak muat, nanti juga tidak
+    const impossible = evaluated.filter(e => e.options.length === 0);
+    if (impossible.length > 0) {
+      for (const { job } of impossible) {
+        unscheduled.push(job);
+        pending.splice(pending.indexOf(job), 1);
+      }
+      continue;
+    }
+
+    // Job dengan satu opsi saja = regret tak hingga → sisipkan duluan;
+    // regret sama → deadline paling awal
+    const regretOf = e => (e.options.length > 1 ? e.options[1].extra - e.options[0].extra : Infinity);
+    const chosen = evaluated.reduce((best, e) => {
+      const diff = regretOf(e) - regretOf(best);
+      if (diff > 0 || (diff === 0 && e.job.deadlineAt < best.job.deadlineAt)) return e;
+      return best;
+    });
+
+    const { boat, position } = chosen.options[0];
+    routes[boat].splice(position, 0, chosen.job);
+    pending.splice(pending.indexOf(chosen.job), 1);
+  }
+
+  return { routes, unscheduled };
+}
+
+// ============================================================================
+// IMPROVEMENT: RELOCATE
+// ============================================================================
+
+function totalFuel(routes, boats, startAt) {
+  return routes.reduce((sum, route, b) => sum + simulate(boats[b], route, startAt).fuelLiters, 0);
+}
+
+function relocate(routes, boats, startAt) {
+  let passes = 0;
+  let improved = true;
+
+  while (improved && passes < CONFIG.maxRelocatePasses) {
+    improved = false;
+    passes++;
+
+    for (let from = 0; from < routes.length && !improved; from++) {
+      for (let i = 0; i < routes[from].length && !improved; i++) {
+        const before = totalFuel(routes, boats, startAt);
+        const job = routes[from][i];
+        const without = routes.map(r => [...r]);
+        without[from].splice(i, 1);
+
+        for (let to = 0; to < routes.length && !improved; to++) {
+          for (let position = 0; position <= without[to].length; position++) {
+            if (to === from && position === i) continue;
+            const candidate = without.map(r => [...r]);
+            candidate[to].splice(position, 0, job);
+
+            if (!simulate(boats[to], candidate[to], startAt).feasible) continue;
+            if (totalFuel(candidate, boats, startAt) < before - 1e-6) {
+              routes.splice(0, routes.length, ...candidate);
+              improved = true;
+              break;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return passes;
+}
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+function describeStop(stop, index) {
+  const { job } = stop;
+  return {
+    step: index + 1,
+    baganId: job.bagan.id,
+    baganName: job.bagan.name,
+    pickupLocation: { lat: job.bagan.lat, lng: job.bagan.lng },
+    targetLocation: job.target,
+    departAt: formatLocalTime(stop.departAt),
+    arrivePickupAt: formatLocalTime(stop.arrivePickupAt),
+    arriveTargetAt: formatLocalTime(stop.arriveTargetAt),
+    setAt: formatLocalTime(stop.setAt),
+    deadline: job.deadline,
+    slackMinutes: Math.floor(stop.slackMinutes),
+    distanceToPickup: parseFloat(stop.toPickupKm.toFixed(2)),
+    distanceToTow: parseFloat(job.towKm.toFixed(2)),
+    pickupPath: optimizer.describePath(navigation.findPath(stop.from, job.bagan)),
+    towPath: optimizer.describePath(navigation.findPath(job.bagan, job.target)),
+    targetScore: job.target.score,
+    expectedProfit: job.item.recommendation.analysis.netProfit
+  };
+}
+
+// moves = rekomendasi 'move'; boats = [{ id, lat, lng, fuelCapacityLiters, ... }]
+// startTime 'HH:MM' pada `date` (default: sekarang, atau defaultStartTime
+// kalau `date` bukan hari ini)
+// → { plan, scheduledMoves } (scheduledMoves = rekomendasi yang dapat kapal)
+function buildFleetPlan({ moves, boats, date, startTime }) {
+  const startedAt = Date.now();
+  // Tanpa startTime: hari ini = mulai sekarang, tanggal lain = defaultStartTime.
+  // Awal hari kerja hari ini = defaultStartTime, atau sekarang kalau lebih pagi.
+  const today = localDate();
+  const day = date || today;
+  let startAt;
+  let workDayStartAt;
+  if (startTime) {
+    startAt = localHourToDate(`${day}T${startTime}`);
+    workDayStartAt = startAt;
+  } else {
+    const defaultStartAt = localHourToDate(`${day}T${CONFIG.defaultStartTime}`);
+    startAt = day === today ? new Date() : defaultStartAt;
+    workDayStartAt = startAt < defaultStartAt ? startAt : defaultStartAt;
+  }
+
+  const fleet = boats.map(normalizeBoat);
+  const jobs = moves.map(item => toJob(item, day, workDayStartAt));
+
+  const { routes, unscheduled } = regretInsertion(jobs, fleet, startAt);
+  const relocatePasses = relocate(routes, fleet, startAt);
+
+  const results = fleet.map((boat, b) => simulate(boat, routes[b], startAt));
+  const boatPlans = fleet.map((boat, b) => {
+    const result = results[b];
+    const costs = optimizer.movementCosts({
+      transitLiters: result.transitKm * boat.fuelPerKmTransit,
+      towLiters: result.towKm * boat.fuelPerKmTow,
+      operationMinutes: (result.finishAt - startAt) / 60000
+    });
+    return {
+      boatId: boat.id,
+      boatName: boat.name,
+      jobs: routes[b].length,
+      departAt: routes[b].length > 0 ? formatLocalTime(startAt) : null,
+      finishAt: routes[b].length > 0 ? formatLocalTime(result.finishAt) : null,
+      transitDistance: parseFloat(result.transitKm.toFixed(2)),
+      towDistance: parseFloat(result.towKm.toFixed(2)),
+      totalDistance: parseFloat((result.transitKm + result.towKm).toFixed(2)),
+      fuelLiters: parseFloat(result.fuelLiters.toFixed(1)),
+      fuelAvailableLiters: boat.fuelAvailableLiters,
+      fuelCost: costs.transitFuel.cost + costs.towFuel.cost,
+      costs,
+      schedule: result.stops.map(describeStop)
+    };
+  });
+
+  const scheduled = jobs.length - unscheduled.length;
+  const costs = optimizer.mergeMovementCosts(boatPlans.map(p => p.costs));
+  // Dibandingkan sebagai Date - "01:30" (lewat tengah malam) > "23:10"
+  const latestFinish = results
+    .filter((result, b) => routes[b].length > 0)
+    .reduce((latest, result) => (!latest || result.finishAt > latest ? result.finishAt : latest), null);
+
+  const plan = {
+    date: day,
+    startTime: formatLocalTime(startAt),
+    boats: boatPlans,
+    unscheduled: unscheduled.map(job => ({
+      baganId: job.bagan.id,
+      baganName: job.bagan.name,
+      deadline: job.deadline,
+      reason: 'No boat can reach and set this bagan before its deadline within its fuel capacity'
+    })),
+    summary: {
+      totalBagans: jobs.length,
+      scheduledBagans: scheduled,
+      allBeforeDeadline: unscheduled.length === 0,
+      boatsUsed: boatPlans.filter(p => p.jobs > 0).length,
+      totalDistance: parseFloat(boatPlans.reduce((sum, p) => sum + p.totalDistance, 0).toFixed(2)),
+      totalFuelLiters: parseFloat(boatPlans.reduce((sum, p) => sum + p.fuelLiters, 0).toFixed(1)),
+      totalFuelCost: costs.transitFuel.cost + costs.towFuel.cost,
+      costs,
+      // Semua kapal jalan paralel → selesai saat kapal terakhir selesai
+      finishAt: latestFinish ? formatLocalTime(latestFinish) : null
+    },
+    solver: {
+      name: 'regret-insertion+relocate',
+      relocatePasses,
+      timeMs: Date.now() - startedAt
+    }
+  };
+
+  return { plan, scheduledMoves: routes.flat().map(job => job.item) };
+}
+
+function planFleet(input) {
+  return buildFleetPlan(input).plan;
+}
+
+// Mode armada untuk /api/optimize/analyze: assignment bagan → spot sama
+// seperti mode satu kapal, lalu job dibagi ke kapal-kapal
+async function optimizeFleetOperations({ boats, currentBagans, candidateSpots, date, startTime }) {
+  console.log(`\n🚤 === FLEET OPTIMIZATION START (${boats.length} boats) ===\n`);
+  await navigation.ensureLoaded();
+
+  const { recommendations, assignment } = optimizer.assignSpots(currentBagans, candidateSpots);
+  const moves = recommendations.filter(r => r.recommendation.action === 'move');
+  console.log(`Found ${moves.length} bagan(s) worth moving`);
+
+  const { plan: fleetPlan, scheduledMoves } = moves.length > 0
+    ? buildFleetPlan({ moves, boats, date, startTime })
+    : { plan: null, scheduledMoves: [] };
+
+  console.log('\n✅ === FLEET OPTIMIZATION COMPLETE ===\n');
+
+  return {
+    timestamp: new Date().toISOString(),
+    mode: 'fleet',
+    summary: {
+      totalBagans: currentBagans.length,
+      bagansToMove: moves.length,
+      bagansToStay: currentBagans.length - moves.length,
+      worthMoving: moves.length > 0,
+      allBeforeDeadline: fleetPlan ? fleetPlan.summary.allBeforeDeadline : true
+    },
+    recommendations,
+    assignment,
+    fleetPlan,
+    estimatedTotals: {
+      totalDistance: fleetPlan ? fleetPlan.summary.totalDistance : 0,
+      finishAt: fleetPlan ? fleetPlan.summary.finishAt : null,
+      totalFuelCost: fleetPlan ? fleetPlan.summary.totalFuelCost : 0,
+      // Bagan yang tidak terjadwal tetap di tempat → tidak dihitung pindah
+      ...optimizer.planEconomics(
+        currentBagans,
+        scheduledMoves,
+        fleetPlan ? fleetPlan.summary.costs : optimizer.movementCosts({})
+      )
+    }
+  };
+}
+
+module.exports = {
+  optimizeFleetOperations,
+  planFleet,
+  relocate,
+  simulate,
+  CONFIG
+};
@@ -0,0 +1,167 @@
+// ============================================================================
+// SMARTBAGAN - MULTI-DAY ZONE FORECAST
+// File: backend/src/services/forecastService.js
+// ============================================================================
+// Skor per malam untuk setiap zona selama N hari ke depan, supaya
+// nakhoda bisa merencanakan minggu ini (malam gelap + laut tenang).
+// Tiap malam dinilai per jam lewat nightScoringService; klorofil & SST
+// pakai observasi terakhir (tidak ada forecast-nya). Fallback untuk data
+// yang tidak ada sama dengan rekomendasi harian: persistence/climatology
+// zona dulu, baru konstanta estimasi (lihat zoneService).
+
+const cache = require('../cache');
+const zoneService = require('./zoneService');
+const nightScoring = require('./nightScoringService');
+const { recommendationFor } = require('./scoringService');
+const dataQuality = require('./dataQualityService');
+const zoneRepository = require('../repositories/zoneRepository');
+const { localDate, shiftDate } = require('../utils/date');
+
+const CONFIG = {
+  maxDays: 7
+};
+
+// ============================================================================
+// FORECAST PER ZONE
+// ============================================================================
+
+async function forecastZone(zone, days, profile) {
+  const today = localDate();
+  const boundary = zoneService.zoneBoundary(zone);
+  // Malam terakhir berakhir subuh hari berikutnya
+  const lastMorning = shiftDate(today, days);
+
+  const [[chlorophyll, sst], marine, wind] = await Promise.all([
+    zoneService.getSatelliteWithFallback(zone, boundary, today),
+    zoneService.getMarineForecast(zone.lat, zone.lng, today, lastMorning),
+    zoneService.getWindForecast(zone.lat, zone.lng, today, lastMorning)
+  ]);
+
+  const nights = [];
+  for (let i = 0; i < days; i++) {
+    const date = shiftDate(today, i);
+    const moon = zoneService.getMoonPhase(date, zone.lat, zone.lng);
+    // Jam di luar horizon forecast diisi per malam (persistence/climatology per tanggal)
+    const { marineFill, windFill } = await zoneService.getHourlyFills(zone, date, marine, wind);
+
+    const hours = nightScoring.buildNightHours({
+      date,
+      lat: zone.lat,
+      lng: zone.lng,
+      marineHours: marine.hours,
+      windHours: wind.hours,
+      fallback: {
+        waveHeight: marineFill.value,
+        windSpeed: windFill.value
+      }
+    });
+
+    const result = nightScoring.scoreNight({
+      chlorophyll,
+      sst,
+      hours,
+      moon,
+      lat: zone.lat,
+      lng: zone.lng,
+      date,
+      profile
+    });
+
+    // Klorofil & SST hari ini makin basi untuk malam-malam berikutnya
+    const { recommendation, dataQuality: quality } = dataQuality.adjustRecommendation(
+      recommendationFor(result.score),
+      dataQuality.assessZone({
+        chlorophyll,
+        sst,
+        hours,
+        marineFill,
+        windFill,
+        marineSource: marine.source,
+        windSource: wind.source,
+        date,
+        profile
+      })
+    );
+
+    nights.push({
+      date,
+      score: result.score,
+      scoreBreakdown: result.scoreBreakdown,
+      recommendation,
+      dataQuality: quality,
+      conditions: {
+        ...result.conditions,
+        source: {
+          marine: result.night.forecastHours > 0 ? marine.source : marineFill.source,
+          wind: result.night.forecastHours > 0 ? wind.source : windFill.source
+        }
+      },
+      night: result.night
+    });
+  }
+
+  const bestNight = nights.reduce((best, n) => (!best || n.score > best.score ? n : best), null);
+
+  return {
+    zoneId: zone.id,
+    zoneName: zone.name,
+    coordinates: {
+      latitude: zone.lat,
+      longitude: zone.lng
+    },
+    // Klorofil & SST dianggap tetap selama periode forecast
+    baseline: {
+      chlorophyll,
+      sst
+    },
+    nights,
+    bestNight: bestNight
+      ? { date: bestNight.date, score: bestNight.score, bestWindow: bestNight.night.bestWindow }
+      : null
+  };
+}
+
+// ============================================================================
+// MAIN FUNCTION - GET ZONE FORECAST
+// ============================================================================
+
+// refresh = true → hitung ulang walau ada di cache (prefetch scheduler)
+// Forecast per jam cukup di-refresh tiap 1 jam (TTL namespace 'forecast')
+async function getZoneForecast(days, profile, { refresh = false } = {}) {
+  const { value, status } = await cache.fetch(
+    'forecast',
+    [localDate(), days, profile ? profile.id : 'default'],
+    () => buildZoneForecast(days, profile),
+    { refresh }
+  );
+  if (status === 'hit' || status === 'stale') {
+    console.log(`Returning ${status === 'stale' ? 'stale ' : ''}cached zone forecast`);
+  }
+  return value;
+}
+
+async function buildZoneForecast(days, profile) {
+  console.log(`\n====== Building ${days}-night Zone Forecast ======`);
+
+  const zones = await zoneRepository.listActive();
+  const results = await Promise.all(zones.map(async (zone) => {
+    try {
+      return await forecastZone(zone, days, profile);
+    } catch (error) {
+      console.error(`Error forecasting ${zone.name}:`, error.message);
+      return null;
+    }
+  }));
+
+  return results.filter(r => r !== null);
+}
+
+function invalidateCache() {
+  return cache.invalidate('forecast');
+}
+
+module.exports = {
+  getZoneForecast,
+  invalidateCache,
+  CONFIG
+};
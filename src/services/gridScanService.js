@@ -0,0 +1,276 @@
+// ============================================================================
+// SMARTBAGAN - GRID SCAN (OPTIMIZER CANDIDATE SPOTS)
+// File: backend/src/services/gridScanService.js
+// ============================================================================
+// Scan radius 5km dengan grid 0.5km = ±300 sel. Dulu tiap sel memanggil
+// ERDDAP + Open-Meteo sendiri (ribuan request, menit-an). Sekarang:
+//   - klorofil & SST: satu subset bbox per variabel per tanggal, lalu nilai
+//     tiap sel diinterpolasi lokal (inverse distance weighting)
+//   - ombak, angin, bulan: satu kali di titik pusat - grid Open-Meteo
+//     (~5-10km) lebih kasar dari radius scan, jadi per sel hasilnya sama saja.
+//     Ombak & angin = rata-rata night window tanggal scan, bukan kondisi saat ini
+
+const providers = require('../providers');
+const geo = require('../utils/geo');
+const { shiftDate } = require('../utils/date');
+const { mean, median } = require('../utils/stats');
+const zoneService = require('./zoneService');
+const nightScoring = require('./nightScoringService');
+const catchModel = require('./catchModelService');
+const navigation = require('./navigationService');
+
+const CONFIG = {
+  gridSpacingKm: 0.5,        // Jarak antar titik grid
+  minDistanceToBaganKm: 0.3, // Sel <300m dari bagan yang ada dilewati
+  minScore: 70,              // Hanya spot yang cukup bagus
+  maxSpots: 20,              // Top-N kandidat yang dikirim ke optimizer
+  bboxMarginKm: 1,           // Bbox sedikit lebih besar supaya tepi scan tetap punya tetangga
+  interpolation: {
+    power: 2,                // Bobot IDW = 1 / jarak^power
+    searchPixels: 2,         // Radius cari = 2 × resolusi pixel
+    minSearchKm: 1.5         // ...minimal 1.5km (untuk sumber tanpa resolusi tetap)
+  }
+};
+
+const KM_PER_DEGREE_LAT = 111;
+
+// Jarak pendek → pendekatan equirectangular sudah cukup
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = (lat2 - lat1) * KM_PER_DEGREE_LAT;
+  const dLng = (lng2 - lng1) * KM_PER_DEGREE_LAT * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+}
+
+// ============================================================================
+// FETCH GRID (satu request per variabel)
+// ============================================================================
+
+const POINT_FALLBACK = {
+  chlorophyll: (lat, lng, date) => zoneService.getChlorophyllData(lat, lng, date),
+  sst: (lat, lng, date) => zoneService.getSST(lat, lng, date)
+};
+
+// Kalau subset bbox gagal, pakai satu nilai titik pusat untuk semua sel
+// (getChlorophyllData/getSST sudah punya fallback estimasi sendiri)
+async function fetchGrid(variable, bbox, center, date) {
+  try {
+    const result = await providers.fetchVariable(variable, 'grid', bbox, date);
+    const searchKm = Math.max(
+      CONFIG.interpolation.minSearchKm,
+      (result.resolutionDeg || 0) * KM_PER_DEGREE_LAT * CONFIG.interpolation.searchPixels
+    );
+    return {
+      method: 'grid',
+      points: result.points,
+      fillValue: median(result.points.map(p => p.value)),
+      searchKm,
+      source: result.source,
+      provider: result.provider,
+      date: result.date,
+      pixels: result.points.length,
+      validFraction: result.validFraction
+    };
+  } catch (error) {
+    console.log(`⚠️ ${variable} grid unavailable (${error.message}), using center point value`);
+    const point = await POINT_FALLBACK[variable](center.lat, center.lng, date);
+    return {
+      method: 'point',
+      points: [],
+      fillValue: point.value,
+      searchKm: 0,
+      source: point.source,
+      provider: point.provider,
+      date: point.date || null,
+      pixels: 0,
+      validFraction: null
+    };
+  }
+}
+
+// Forecast per jam malam `date` di titik pusat; jam tanpa forecast diisi
+// seperti evaluateZone (current → estimasi, titik scan tidak punya zona)
+async function fetchNightConditions(center, date) {
+  const nightEnd = shiftDate(date, 1);
+  const [marineHourly, windHourly] = await Promise.all([
+    zoneService.getMarineForecast(center.lat, center.lng, date, nightEnd),
+    zoneService.getWindForecast(center.lat, center.lng, date, nightEnd)
+  ]);
+  const { marineFill, windFill } = await zoneService.getHourlyFills(
+    { id: null, lat: center.lat, lng: center.lng }, date, marineHourly, windHourly
+  );
+
+  const hours = nightScoring.buildNightHours({
+    date,
+    lat: center.lat,
+    lng: center.lng,
+    marineHours: marineHourly.hours,
+    windHours: windHourly.hours,
+    fallback: {
+      waveHeight: marineFill.value,
+      windSpeed: windFill.value
+    }
+  });
+
+  return {
+    waveHeight: parseFloat(mean(hours.map(h => h.waveHeight)).toFixed(2)),
+    windSpeed: parseFloat(mean(hours.map(h => h.windSpeed)).toFixed(2)),
+    forecastHours: hours.filter(h => h.forecast).length,
+    marineSource: marineHourly.hours.length ? marineHourly.source : marineFill.source,
+    windSource: windHourly.hours.length ? windHourly.source : windFill.source
+  };
+}
+
+// ============================================================================
+// INTERPOLATION (inverse distance weighting)
+// ============================================================================
+
+// Sel tanpa pixel valid di sekitarnya (awan) → median grid
+function interpolate(grid, lat, lng) {
+  let weightSum = 0;
+  let valueSum = 0;
+
+  for (const p of grid.points) {
+    const d = distanceKm(lat, lng, p.lat, p.lng);
+    if (d > grid.searchKm) continue;
+    if (d < 0.001) return { value: p.value, filled: false };
+
+    const w = 1 / Math.pow(d, CONFIG.interpolation.power);
+    weightSum += w;
+    valueSum += w * p.value;
+  }
+
+  if (weightSum === 0) {
+    return { value: grid.fillValue, filled: grid.method === 'grid' };
+  }
+  return { value: valueSum / weightSum, filled: false };
+}
+
+function describeGrid(grid) {
+  return {
+    method: grid.method,
+    source: grid.source,
+    provider: grid.provider,
+    date: grid.date,
+    pixels: grid.pixels,
+    validFraction: grid.validFraction
+  };
+}
+
+// ============================================================================
+// SCAN AREA
+// ============================================================================
+
+// Titik grid dalam radius, kecuali yang terlalu dekat bagan yang ada
+// atau berada di dalam hazard (pulau, karang, kawasan larang tangkap, ...)
+function scanCells(center, currentBagans, radiusKm) {
+  const cells = [];
+  let hazardCells = 0;
+  const stepsPerSide = Math.ceil(radiusKm / CONFIG.gridSpacingKm);
+
+  const kmPerDegreeLng = KM_PER_DEGREE_LAT * Math.cos(center.lat * Math.PI / 180);
+  const degPerStepLat = CONFIG.gridSpacingKm / KM_PER_DEGREE_LAT;
+  const degPerStepLng = CONFIG.gridSpacingKm / kmPerDegreeLng;
+
+  for (let latStep = -stepsPerSide; latStep <= stepsPerSide; latStep++) {
+    for (let lngStep = -stepsPerSide; lngStep <= stepsPerSide; lngStep++) {
+      const lat = center.lat + (latStep * degPerStepLat);
+      const lng = center.lng + (lngStep * degPerStepLng);
+
+      if (distanceKm(center.lat, center.lng, lat, lng) > radiusKm) continue;
+
+      const tooClose = currentBagans.some(bagan =>
+        distanceKm(bagan.lat, bagan.lng, lat, lng) < CONFIG.minDistanceToBaganKm
+      );
+      if (tooClose) continue;
+
+      if (navigation.hazardsAt(lat, lng).length > 0) {
+        hazardCells++;
+        continue;
+      }
+
+      cells.push({ lat, lng });
+    }
+  }
+
+  return { cells, hazardCells };
+}
+
+async function scanArea({ center, currentBagans, radiusKm, date, profile }) {
+  const startedAt = Date.now();
+  await navigation.ensureLoaded();
+  const { cells, hazardCells } = scanCells(center, currentBagans, radiusKm);
+  const bbox = geo.polygonBbox(
+    geo.squarePolygon(center.lat, center.lng, radiusKm + CONFIG.bboxMarginKm)
+  );
+
+  const [chlorophyllGrid, sstGrid, night] = await Promise.all([
+    fetchGrid('chlorophyll', bbox, center, date),
+    fetchGrid('sst', bbox, center, date),
+    fetchNightConditions(center, date)
+  ]);
+  const moon = zoneService.getMoonPhase(date, center.lat, center.lng);
+
+  let filledCells = 0;
+  const scored = cells.map(cell => {
+    const chlorophyll = interpolate(chlorophyllGrid, cell.lat, cell.lng);
+    const sst = interpolate(sstGrid, cell.lat, cell.lng);
+    if (chlorophyll.filled || sst.filled) filledCells++;
+
+    const { score } = zoneService.calculateZoneScore({
+      chlorophyll: { value: chlorophyll.value },
+      sst: { value: sst.value },
+      waveHeight: { value: night.waveHeight, unit: 'm' },
+      wind: { speed: { value: night.windSpeed, unit: 'm/s' } },
+      moon
+    }, profile);
+
+    return { ...cell, score, chlorophyll: chlorophyll.value, sst: sst.value };
+  });
+
+  // Nomor spot setelah diurutkan → SPOT_1 selalu kandidat terbaik
+  const spots = scored
+    .filter(cell => cell.score >= CONFIG.minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CONFIG.maxSpots)
+    .map((cell, index) => ({
+      id: `SPOT_${index + 1}`,
+      name: `Candidate ${index + 1}`,
+      lat: parseFloat(cell.lat.toFixed(4)),
+      lng: parseFloat(cell.lng.toFixed(4)),
+      score: cell.score,
+      chlorophyll: parseFloat(cell.chlorophyll.toFixed(3)),
+      sst: parseFloat(cell.sst.toFixed(2)),
+      estimatedCatch: catchModel.predictFromScore(cell.score)
+    }));
+
+  return {
+    spots,
+    scan: {
+      date,
+      radiusKm,
+      cells: cells.length,
+      hazardCells,
+      candidates: scored.filter(cell => cell.score >= CONFIG.minScore).length,
+      filledCells,
+      night: {
+        waveHeight: night.waveHeight,
+        windSpeed: night.windSpeed,
+        forecastHours: night.forecastHours
+      },
+      bbox,
+      sources: {
+        chlorophyll: describeGrid(chlorophyllGrid),
+        sst: describeGrid(sstGrid),
+        marine: night.marineSource,
+        wind: night.windSource
+      },
+      durationMs: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  scanArea,
+  interpolate,
+  CONFIG
+};
@@ -0,0 +1,168 @@
+// ============================================================================
+// SMARTBAGAN - MODEL ACCURACY REPORT
+// File: backend/src/services/modelAccuracyService.js
+// ============================================================================
+// Bandingkan skor & predictedCatch dengan catchKg aktual dari trip.
+// Prediksi diambil dari rekomendasi yang benar-benar dikirim untuk zona &
+// tanggal trip (recommendationLog). Kalau tidak ada, pakai snapshot kondisi
+// trip (tripConditionsService) - ditandai `source: 'snapshot'`.
+// Prediksi snapshot memakai model saat ini; trip yang ikut melatih model itu
+// (in-sample) dilaporkan terpisah supaya MAE/bias tidak terlihat terlalu bagus.
+
+const tripRepository = require('../repositories/tripRepository');
+const zoneRepository = require('../repositories/zoneRepository');
+const recommendationLog = require('../repositories/recommendationLogRepository');
+const catchModel = require('./catchModelService');
+const { mean, rankCorrelation } = require('../utils/stats');
+
+function round(value, decimals = 2) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+function tripDay(trip) {
+  return String(trip.tripDate).split('T')[0];
+}
+
+// ============================================================================
+// JOIN TRIP ↔ PREDIKSI
+// ============================================================================
+
+// Model lama (sebelum trainingTripIds dicatat) → anggap semua trip ikut training
+function trainingTripFilter(model) {
+  if (!model || model.method !== 'regression') return () => false;
+  if (!Array.isArray(model.trainingTripIds)) return () => true;
+
+  const ids = new Set(model.trainingTripIds);
+  return (tripId) => ids.has(tripId);
+}
+
+function predictionForTrip(trip, zone, servedById, profileId, isTrainingTrip) {
+  const date = tripDay(trip);
+  const served = zone ? servedById.get(`${date}_${zone.id}_${profileId}`) : null;
+
+  if (served) {
+    return {
+      score: served.score,
+      predicted: served.predictedCatch,
+      moonPhase: served.moonPhase,
+      source: 'served',
+      inSample: false
+    };
+  }
+
+  // Snapshot dihitung dengan profil default - hanya valid untuk profil yang sama
+  const conditions = trip.conditions;
+  if (conditions && conditions.profile === profileId) {
+    return {
+      score: conditions.score,
+      predicted: catchModel.predictFromConditions(conditions, conditions.score),
+      moonPhase: conditions.moonPhase,
+      source: 'snapshot',
+      inSample: isTrainingTrip(trip.id)
+    };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+function accuracyMetrics(rows) {
+  const errors = rows.map(r => r.predicted.avg - r.actual);
+  const covered = rows.filter(r => r.actual >= r.predicted.min && r.actual <= r.predicted.max);
+
+  return {
+    trips: rows.length,
+    mae: round(mean(errors.map(Math.abs))),
+    // Positif = prediksi terlalu optimis
+    bias: round(mean(errors)),
+    rankCorrelation: round(rankCorrelation(rows.map(r => r.score), rows.map(r => r.actual)), 3),
+    intervalCoverage: rows.length ? round(covered.length / rows.length, 3) : null,
+    meanScore: round(mean(rows.map(r => r.score)), 1),
+    meanCatchKg: round(mean(rows.map(r => r.actual)), 1)
+  };
+}
+
+function groupMetrics(rows, keyName, keyFn) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyFn(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([key, groupRows]) => ({ [keyName]: key, ...accuracyMetrics(groupRows) }));
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+async function getModelAccuracy({ profileId, startDate, endDate } = {}) {
+  const [trips, zones, served] = await Promise.all([
+    tripRepository.listAll(),
+    zoneRepository.list(),
+    recommendationLog.listAll()
+  ]);
+  const servedById = new Map(served.map(entry => [entry.id, entry]));
+  const isTrainingTrip = trainingTripFilter(catchModel.getModel());
+  const zoneByKey = new Map();
+  for (const zone of zones) {
+    zoneByKey.set(zone.id.toLowerCase(), zone);
+    zoneByKey.set(zone.name.toLowerCase(), zone);
+  }
+
+  const rows = [];
+  let unmatched = 0;
+
+  for (const trip of trips) {
+    const date = tripDay(trip);
+    const actual = parseFloat(trip.catchKg);
+    if (!Number.isFinite(actual)) continue;
+    if (startDate && date < startDate) continue;
+    if (endDate && date > endDate) continue;
+
+    const zone = trip.zone ? zoneByKey.get(String(trip.zone).trim().toLowerCase()) : null;
+    const prediction = predictionForTrip(trip, zone, servedById, profileId, isTrainingTrip);
+    if (!prediction) {
+      unmatched++;
+      continue;
+    }
+
+    rows.push({
+      ...prediction,
+      actual,
+      zone: zone ? zone.id : (trip.zone || 'Custom'),
+      month: date.slice(0, 7)
+    });
+  }
+
+  // Metrik utama hanya out-of-sample; in-sample dilaporkan terpisah
+  const outOfSample = rows.filter(r => !r.inSample);
+  const inSample = rows.filter(r => r.inSample);
+
+  return {
+    profile: profileId,
+    overall: accuracyMetrics(outOfSample),
+    byZone: groupMetrics(outOfSample, 'zone', r => r.zone),
+    byMonth: groupMetrics(outOfSample, 'month', r => r.month),
+    byMoonPhase: groupMetrics(outOfSample, 'moonPhase', r => r.moonPhase || 'Unknown'),
+    inSample: accuracyMetrics(inSample),
+    coverage: {
+      matchedTrips: rows.length,
+      unmatchedTrips: unmatched,
+      fromServedRecommendations: rows.filter(r => r.source === 'served').length,
+      fromTripSnapshots: rows.filter(r => r.source === 'snapshot').length,
+      inSampleTrips: inSample.length
+    },
+    model: catchModel.getModel() ? catchModel.getModel().method : 'linear-rule'
+  };
+}
+
+module.exports = {
+  getModelAccuracy
+};
@@ -0,0 +1,42 @@
+// ============================================================================
+// SMARTBAGAN - MODEL TRAINING
+// File: backend/src/services/modelTrainingService.js
+// ============================================================================
+// Gabungkan riwayat trip dengan snapshot kondisinya lalu fit ulang catch
+// model. Dipisah dari catchModelService supaya zoneService bisa memakai
+// prediksi tanpa circular require (tripConditionsService → zoneService).
+
+const tripRepository = require('../repositories/tripRepository');
+const tripConditionsService = require('./tripConditionsService');
+const catchModelService = require('./catchModelService');
+
+let training = null;
+
+async function runTraining() {
+  const startedAt = Date.now();
+  const trips = await tripConditionsService.enrichMissing(await tripRepository.listAll());
+
+  const samples = trips
+    .filter(t => t.conditions)
+    .map(t => ({ tripId: t.id, catchKg: parseFloat(t.catchKg), conditions: t.conditions }));
+
+  const model = catchModelService.fitModel(samples);
+  model.totalTrips = trips.length;
+  model.trainingMs = Date.now() - startedAt;
+
+  return catchModelService.saveModel(model);
+}
+
+// Satu training berjalan pada satu waktu; request kedua menunggu hasil yang sama
+async function trainCatchModel() {
+  if (!training) {
+    training = runTraining().finally(() => {
+      training = null;
+    });
+  }
+  return training;
+}
+
+module.exports = {
+  trainCatchModel
+};
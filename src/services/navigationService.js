@@ -0,0 +1,404 @@
+// ============================================================================
+// SMARTBAGAN - NAVIGATION (jalur aman menghindari pulau, karang, dll.)
+// File: backend/src/services/navigationService.js
+// ============================================================================
+// Jarak Haversine lurus bisa menembus pulau atau karang. Hazard aktif
+// (hazardRepository) dijadikan rintangan polygon yang diperbesar sebesar
+// clearance, lalu jalur terpendek dicari di visibility graph:
+//   node = titik sudut rintangan (sedikit di luar buffer) + titik awal/akhir
+//   edge = pasangan node yang garis lurusnya tidak memotong rintangan mana pun
+// Dijkstra di graph itu memberi polyline waypoint. Geometri dihitung di
+// bidang datar lokal (equirectangular) - cukup untuk area puluhan km.
+//
+// Query (findPath/distance/hazardsAt) sync supaya bisa dipakai langsung di
+// optimizer & solver. Hazard dimuat async lewat ensureLoaded()/reload();
+// sebelum dimuat semua jalur = garis lurus.
+
+const hazardRepository = require('../repositories/hazardRepository');
+const geo = require('../utils/geo');
+
+const CONFIG = {
+  // Jarak aman default dari tepi polygon, per type hazard
+  clearanceKm: {
+    island: 0.1,
+    reef: 0.2,
+    shipping_lane: 0,
+    no_take: 0
+  },
+  nodeMarginKm: 0.005,       // Node graph 5m di luar buffer supaya tidak "menyentuh" rintangan
+  maxMiterFactor: 2,         // Sudut lancip: offset node maksimal 2× clearance
+  maxCachedPaths: 5000
+};
+
+const EPSILON = 1e-12;
+
+let state = emptyState([]);
+let loading = null;
+
+// ============================================================================
+// GEOMETRI BIDANG DATAR
+// ============================================================================
+
+function makeProjection(hazards) {
+  const points = hazards.flatMap(h => h.geometry.coordinates[0]);
+  const lat0 = points.length > 0 ? points.reduce((s, p) => s + p[1], 0) / points.length : 0;
+  const lng0 = points.length > 0 ? points.reduce((s, p) => s + p[0], 0) / points.length : 0;
+  const kx = geo.KM_PER_DEGREE_LAT * Math.cos(lat0 * Math.PI / 180);
+  const ky = geo.KM_PER_DEGREE_LAT;
+
+  return {
+    toXY: (lat, lng) => [(lng - lng0) * kx, (lat - lat0) * ky],
+    toLatLng: ([x, y]) => ({
+      lat: parseFloat((lat0 + y / ky).toFixed(6)),
+      lng: parseFloat((lng0 + x / kx).toFixed(6))
+    })
+  };
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function planarDistance(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+// Saling memotong di tengah kedua segmen (menyentuh ujung tidak dihitung)
+function segmentsCross(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+    ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON));
+}
+
+function ringBbox(ring) {
+  const xs = ring.map(p => p[0]);
+  const ys = ring.map(p => p[1]);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+function insideRing(point, ring) {
+  return geo.pointInRing(point[0], point[1], ring);
+}
+
+// Geser tiap sudut keluar sepanjang bisektor (ring harus CCW)
+function offsetRing(ring, distanceKm) {
+  if (distanceKm === 0) return ring.map(p => [...p]);
+
+  return ring.map((current, i) => {
+    const prev = ring[(i - 1 + ring.length) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    const normal = (from, to) => {
+      const length = planarDistance(from, to) || 1;
+      return [(to[1] - from[1]) / length, -(to[0] - from[0]) / length];
+    };
+    const n1 = normal(prev, current);
+    const n2 = normal(current, next);
+
+    let bx = n1[0] + n2[0];
+    let by = n1[1] + n2[1];
+    const length = Math.hypot(bx, by);
+    if (length < 1e-9) {
+      [bx, by] = n1;
+    } else {
+      bx /= length;
+      by /= length;
+    }
+
+    const cosHalf = bx * n1[0] + by * n1[1];
+    const miter = distanceKm / Math.max(cosHalf, 1 / CONFIG.maxMiterFactor);
+    return [current[0] + bx * miter, current[1] + by * miter];
+  });
+}
+
+// ============================================================================
+// RINTANGAN & VISIBILITY GRAPH
+// ============================================================================
+
+function clearanceOf(hazard) {
+  return hazard.clearanceKm !== null && hazard.clearanceKm !== undefined
+    ? hazard.clearanceKm
+    : (CONFIG.clearanceKm[hazard.type] || 0);
+}
+
+// Dua varian: dengan clearance, dan tanpa clearance (dipakai kalau titik
+// awal/akhir sudah berada di dalam buffer, mis. bagan dekat pulau)
+function buildObstacle(hazard, projection) {
+  // Lubang polygon diabaikan: rintangan dianggap padat
+  const ring = hazard.geometry.coordinates[0].slice(0, -1)
+    .map(([lng, lat]) => projection.toXY(lat, lng));
+
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    area += cross([0, 0], ring[i], ring[(i + 1) % ring.length]);
+  }
+  if (area < 0) ring.reverse();
+
+  const variant = distanceKm => {
+    const block = offsetRing(ring, distanceKm);
+    return { block, bbox: ringBbox(block), nodes: offsetRing(ring, distanceKm + CONFIG.nodeMarginKm) };
+  };
+  const clearanceKm = clearanceOf(hazard);
+
+  return {
+    hazard,
+    clearanceKm,
+    raw: ring,
+    buffered: variant(clearanceKm),
+    plain: clearanceKm > 0 ? variant(0) : null
+  };
+}
+
+function segmentBlocked(a, b, variant) {
+  const { bbox, block } = variant;
+  if (Math.max(a[0], b[0]) < bbox.minX || Math.min(a[0], b[0]) > bbox.maxX ||
+      Math.max(a[1], b[1]) < bbox.minY || Math.min(a[1], b[1]) > bbox.maxY) {
+    return false;
+  }
+
+  for (let i = 0; i < block.length; i++) {
+    if (segmentsCross(a, b, block[i], block[(i + 1) % block.length])) return true;
+  }
+  // Tidak memotong tepi tapi bisa saja seluruhnya di dalam / lewat dua sudut
+  return insideRing([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2], block);
+}
+
+// variants[i] = varian rintangan ke-i yang dipakai (null = diabaikan)
+function buildGraph(obstacles, variants) {
+  const active = variants.filter(Boolean);
+  const visible = (a, b) => !active.some(variant => segmentBlocked(a, b, variant));
+
+  const nodes = [];
+  obstacles.forEach((obstacle, index) => {
+    if (!variants[index]) return;
+    for (const xy of variants[index].nodes) {
+      // Sudut yang jatuh di dalam rintangan lain (hazard bertumpuk) tidak berguna
+      if (!active.some(variant => insideRing(xy, variant.block))) {
+        nodes.push({ xy, obstacle: index });
+      }
+    }
+  });
+
+  const edges = nodes.map(() => []);
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      if (visible(nodes[i].xy, nodes[j].xy)) {
+        const cost = planarDistance(nodes[i].xy, nodes[j].xy);
+        edges[i].push({ to: j, cost });
+        edges[j].push({ to: i, cost });
+      }
+    }
+  }
+
+  return { nodes, edges, visible };
+}
+
+function emptyState(hazards) {
+  const projection = makeProjection(hazards);
+  const obstacles = hazards.map(hazard => buildObstacle(hazard, projection));
+  return {
+    loaded: false,
+    loadedAt: null,
+    hazards,
+    projection,
+    obstacles,
+    graph: buildGraph(obstacles, obstacles.map(o => o.buffered)),
+    paths: new Map()
+  };
+}
+
+// ============================================================================
+// SHORTEST PATH
+// ============================================================================
+
+// Dijkstra dari `a` ke `b` lewat node graph → list index node (tanpa a/b)
+function dijkstra(graph, a, b) {
+  const n = graph.nodes.length;
+  const dist = new Float64Array(n).fill(Infinity);
+  const previous = new Int32Array(n).fill(-1);
+  const done = new Uint8Array(n);
+
+  for (let i = 0; i < n; i++) {
+    if (graph.visible(a, graph.nodes[i].xy)) dist[i] = planarDistance(a, graph.nodes[i].xy);
+  }
+
+  let best = Infinity;
+  let last = -1;
+
+  for (;;) {
+    let current = -1;
+    for (let i = 0; i < n; i++) {
+      if (!done[i] && dist[i] < Infinity && (current === -1 || dist[i] < dist[current])) current = i;
+    }
+    if (current === -1 || dist[current] >= best) break;
+    done[current] = 1;
+
+    const xy = graph.nodes[current].xy;
+    if (graph.visible(xy, b)) {
+      const total = dist[current] + planarDistance(xy, b);
+      if (total < best) {
+        best = total;
+        last = current;
+      }
+    }
+
+    for (const edge of graph.edges[current]) {
+      const candidate = dist[current] + edge.cost;
+      if (candidate < dist[edge.to]) {
+        dist[edge.to] = candidate;
+        previous[edge.to] = current;
+      }
+    }
+  }
+
+  if (last === -1) return null;
+  const path = [];
+  for (let i = last; i !== -1; i = previous[i]) path.unshift(i);
+  return path;
+}
+
+function polylineKm(waypoints) {
+  let total = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    total += geo.haversineKm(waypoints[i - 1].lat, waypoints[i - 1].lng, waypoints[i].lat, waypoints[i].lng);
+  }
+  return total;
+}
+
+function summarizeHazard(hazard) {
+  return { id: hazard.id, name: hazard.name, type: hazard.type };
+}
+
+function computePath(from, to) {
+  const start = { lat: from.lat, lng: from.lng };
+  const end = { lat: to.lat, lng: to.lng };
+  const straightKm = geo.haversineKm(start.lat, start.lng, end.lat, end.lng);
+  const { obstacles, projection } = state;
+
+  const a = projection.toXY(start.lat, start.lng);
+  const b = projection.toXY(end.lat, end.lng);
+
+  // Titik awal/akhir di dalam hazard (bagan lama di kawasan larang tangkap,
+  // dsb.) → hazard itu diabaikan supaya tetap bisa keluar, tapi dilaporkan
+  const insideHazards = [];
+  let custom = false;
+  const variants = obstacles.map(obstacle => {
+    if (insideRing(a, obstacle.raw) || insideRing(b, obstacle.raw)) {
+      insideHazards.push(summarizeHazard(obstacle.hazard));
+      custom = true;
+      return null;
+    }
+    if (obstacle.plain && (insideRing(a, obstacle.buffered.block) || insideRing(b, obstacle.buffered.block))) {
+      custom = true;
+      return obstacle.plain;
+    }
+    return obstacle.buffered;
+  });
+
+  const graph = custom ? buildGraph(obstacles, variants) : state.graph;
+  const result = (waypoints, avoided, safe) => ({
+    distanceKm: parseFloat(polylineKm(waypoints).toFixed(3)),
+    straightDistanceKm: parseFloat(straightKm.toFixed(3)),
+    detour: waypoints.length > 2,
+    safe,
+    waypoints,
+    avoided,
+    insideHazards
+  });
+
+  if (graph.visible(a, b)) {
+    return result([start, end], [], true);
+  }
+
+  const path = dijkstra(graph, a, b);
+  if (!path) {
+    // Terkurung rintangan (mis. alur pelayaran yang memotong seluruh area)
+    return result([start, end], [], false);
+  }
+
+  const avoided = [...new Set(path.map(i => graph.nodes[i].obstacle))]
+    .map(index => summarizeHazard(obstacles[index].hazard));
+  const waypoints = [start, ...path.map(i => projection.toLatLng(graph.nodes[i].xy)), end];
+  return result(waypoints, avoided, true);
+}
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+// from/to = { lat, lng } → { distanceKm, straightDistanceKm, detour, safe,
+// waypoints, avoided, insideHazards }
+function findPath(from, to) {
+  if (state.obstacles.length === 0) {
+    const distanceKm = parseFloat(geo.haversineKm(from.lat, from.lng, to.lat, to.lng).toFixed(3));
+    return {
+      distanceKm,
+      straightDistanceKm: distanceKm,
+      detour: false,
+      safe: true,
+      waypoints: [{ lat: from.lat, lng: from.lng }, { lat: to.lat, lng: to.lng }],
+      avoided: [],
+      insideHazards: []
+    };
+  }
+
+  const key = `${from.lat.toFixed(6)},${from.lng.toFixed(6)}>${to.lat.toFixed(6)},${to.lng.toFixed(6)}`;
+  let path = state.paths.get(key);
+  if (!path) {
+    if (state.paths.size >= CONFIG.maxCachedPaths) state.paths.clear();
+    path = computePath(from, to);
+    state.paths.set(key, path);
+  }
+  return path;
+}
+
+// Pengganti calculateDistance untuk perjalanan kapal
+function distance(from, to) {
+  return findPath(from, to).distanceKm;
+}
+
+// Hazard yang polygon-nya memuat titik (spot di atas karang, dsb.)
+function hazardsAt(lat, lng) {
+  return state.hazards
+    .filter(hazard => geo.pointInPolygon(lat, lng, hazard.geometry))
+    .map(summarizeHazard);
+}
+
+// Muat ulang hazard aktif dari storage (dipanggil setelah CRUD hazard)
+async function reload() {
+  const hazards = await hazardRepository.listActive();
+  state = { ...emptyState(hazards), loaded: true, loadedAt: new Date().toISOString() };
+  console.log(`🧭 Navigation: ${hazards.length} hazard(s), ${state.graph.nodes.length} graph nodes`);
+  return getStatus();
+}
+
+async function ensureLoaded() {
+  if (state.loaded) return;
+  if (!loading) {
+    loading = reload().finally(() => { loading = null; });
+  }
+  await loading;
+}
+
+function getStatus() {
+  return {
+    loaded: state.loaded,
+    loadedAt: state.loadedAt,
+    hazards: state.hazards.map(hazard => ({ ...summarizeHazard(hazard), clearanceKm: clearanceOf(hazard) })),
+    graphNodes: state.graph.nodes.length,
+    graphEdges: state.graph.edges.reduce((sum, list) => sum + list.length, 0) / 2,
+    cachedPaths: state.paths.size
+  };
+}
+
+module.exports = {
+  findPath,
+  distance,
+  hazardsAt,
+  reload,
+  ensureLoaded,
+  getStatus,
+  CONFIG
+};
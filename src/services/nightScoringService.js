@@ -0,0 +1,175 @@
+// ============================================================================
+// SMARTBAGAN - NIGHT WINDOW SCORING
+// File: backend/src/services/nightScoringService.js
+// ============================================================================
+// Bagan menangkap ikan malam hari di bawah lampu, jadi skor dihitung per
+// jam dalam night window (default 18:00-05:00 WIB):
+//   - ombak & angin pakai nilai forecast jam itu
+//   - bulan hanya "mengganggu" di jam-jam saat bulan sudah terbit
+// Skor malam = rata-rata skor per jam, plus jam-jam terbaiknya.
+
+const { calculateZoneScore } = require('./scoringService');
+const { moonState, moonTimes } = require('../utils/astronomy');
+const { shiftDate, localHourToDate, formatLocalTime } = require('../utils/date');
+const { mean } = require('../utils/stats');
+
+const CONFIG = {
+  startHour: 18,        // Lampu dinyalakan
+  endHour: 5,           // Angkat jaring menjelang subuh (hari berikutnya)
+  bestWindowHours: 4,   // Panjang blok jam terbaik yang dilaporkan
+  bestHourTolerance: 5  // Jam "terbaik" = skor dalam 5 poin dari skor tertinggi
+};
+
+function pad(hour) {
+  return String(hour).padStart(2, '0');
+}
+
+// ============================================================================
+// BUILD HOURLY TIMELINE
+// ============================================================================
+
+// Daftar jam lokal 'YYYY-MM-DDTHH:00' untuk malam yang dimulai pada `date`
+function nightHourTimes(date) {
+  const times = [];
+  for (let h = CONFIG.startHour; h < 24; h++) times.push(`${date}T${pad(h)}:00`);
+  const nextDay = shiftDate(date, 1);
+  for (let h = 0; h <= CONFIG.endHour; h++) times.push(`${nextDay}T${pad(h)}:00`);
+  return times;
+}
+
+// Gabungkan forecast ombak/angin per jam + posisi & terang bulan per jam.
+// `fallback` = { waveHeight, windSpeed } untuk jam yang tidak ada datanya.
+function buildNightHours({ date, lat, lng, marineHours = [], windHours = [], fallback }) {
+  const marineByTime = new Map(marineHours.map(h => [h.time, h]));
+  const windByTime = new Map(windHours.map(h => [h.time, h]));
+
+  return nightHourTimes(date).map(time => {
+    const marine = marineByTime.get(time);
+    const wind = windByTime.get(time);
+    const moon = moonState(localHourToDate(time), lat, lng);
+
+    const hasWave = marine && Number.isFinite(marine.waveHeight);
+    const hasWind = wind && Number.isFinite(wind.speed);
+
+    return {
+      time,
+      waveHeight: hasWave ? marine.waveHeight : fallback.waveHeight,
+      windSpeed: hasWind ? wind.speed : fallback.windSpeed,
+      forecast: hasWave && hasWind,
+      waveForecast: Boolean(hasWave),
+      windForecast: Boolean(hasWind),
+      moonAltitude: parseFloat(moon.altitude.toFixed(1)),
+      moonUp: moon.up,
+      moonIllumination: Math.round(moon.illumination * 100)
+    };
+  });
+}
+
+// ============================================================================
+// SCORE NIGHT
+// ============================================================================
+
+// Rata-rata skor per faktor sepanjang malam
+function averageBreakdown(hourlyResults) {
+  const breakdown = {};
+  for (const factor of Object.keys(hourlyResults[0].breakdown)) {
+    const entries = hourlyResults.map(r => r.breakdown[factor]);
+    const ratingCounts = new Map();
+    entries.forEach(e => ratingCounts.set(e.rating, (ratingCounts.get(e.rating) || 0) + 1));
+    const rating = [...ratingCounts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    breakdown[factor] = {
+      score: parseFloat(mean(entries.map(e => e.score)).toFixed(1)),
+      max: entries[0].max,
+      rating
+    };
+  }
+  return breakdown;
+}
+
+// Blok berurutan `size` jam dengan rata-rata skor tertinggi
+function findBestWindow(hourly, size) {
+  const windowSize = Math.min(size, hourly.length);
+  let best = null;
+
+  for (let i = 0; i + windowSize <= hourly.length; i++) {
+    const slice = hourly.slice(i, i + windowSize);
+    const avg = mean(slice.map(h => h.score));
+    if (!best || avg > best.avgScore) {
+      best = {
+        start: slice[0].hour,
+        end: slice[slice.length - 1].hour,
+        avgScore: Math.round(avg)
+      };
+    }
+  }
+
+  return best;
+}
+
+function scoreNight({ chlorophyll, sst, hours, moon, lat, lng, date, profile }) {
+  const hourlyResults = hours.map(h => calculateZoneScore({
+    chlorophyll,
+    sst,
+    waveHeight: { value: h.waveHeight, unit: 'm' },
+    wind: { speed: { value: h.windSpeed, unit: 'm/s' } },
+    // Bulan di bawah horizon = malam gelap untuk jam itu
+    moon: { ...moon, illumination: h.moonUp ? h.moonIllumination : 0 }
+  }, profile));
+
+  const hourly = hours.map((h, i) => ({
+    time: h.time,
+    hour: h.time.split('T')[1],
+    score: hourlyResults[i].score,
+    waveHeight: h.waveHeight,
+    windSpeed: h.windSpeed,
+    moonUp: h.moonUp,
+    moonAltitude: h.moonAltitude,
+    moonIllumination: h.moonIllumination,
+    forecast: h.forecast
+  }));
+
+  const maxScore = Math.max(...hourly.map(h => h.score));
+  const score = Math.round(mean(hourly.map(h => h.score)));
+
+  const start = localHourToDate(hours[0].time);
+  const end = localHourToDate(hours[hours.length - 1].time);
+  const times = moonTimes(start, end, lat, lng);
+
+  return {
+    score,
+    scoreBreakdown: averageBreakdown(hourlyResults),
+    night: {
+      date,
+      window: `${pad(CONFIG.startHour)}:00-${pad(CONFIG.endHour)}:00`,
+      moonrise: times.rise ? formatLocalTime(times.rise) : null,
+      moonset: times.set ? formatLocalTime(times.set) : null,
+      moonUpHours: hourly.filter(h => h.moonUp).length,
+      forecastHours: hourly.filter(h => h.forecast).length,
+      bestHours: hourly
+        .filter(h => h.score >= maxScore - CONFIG.bestHourTolerance)
+        .map(h => h.hour),
+      bestWindow: findBestWindow(hourly, CONFIG.bestWindowHours),
+      hourly
+    },
+    conditions: {
+      waveHeight: {
+        mean: parseFloat(mean(hours.map(h => h.waveHeight)).toFixed(2)),
+        max: parseFloat(Math.max(...hours.map(h => h.waveHeight)).toFixed(2)),
+        unit: 'm'
+      },
+      wind: {
+        mean: parseFloat(mean(hours.map(h => h.windSpeed)).toFixed(2)),
+        max: parseFloat(Math.max(...hours.map(h => h.windSpeed)).toFixed(2)),
+        unit: 'm/s'
+      },
+      moon
+    }
+  };
+}
+
+module.exports = {
+  buildNightHours,
+  scoreNight,
+  CONFIG
+};
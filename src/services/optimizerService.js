@@ -3,6 +3,11 @@
 // Solves: Which bagan to move? In what order? Is it worth it?
 // ============================================================================
 
+const catchModelService = require('./catchModelService');
+const routeSolver = require('./routeSolver');
+const assignmentSolver = require('./assignmentSolver');
+const navigation = require('./navigationService');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -11,15 +16,21 @@ const CONFIG = {
   // Economic parameters
   fuelPricePerLiter: 10000,        // Rp per liter
   fuelConsumptionTow: 4,           // liter per km when towing bagan
+  fuelConsumptionTransit: 1.5,     // liter per km running without tow
   catchPricePerKg: 35000,          // Rp per kg ikan teri
   minProfitThreshold: 50000,       // Min Rp profit to justify moving
+  crewSize: 3,                     // ABK di kapal tarik
+  labourCostPerHour: 20000,        // Rp per orang per jam kerja
+  lampFuelLitersPerNight: 8,       // liter genset lampu per bagan per malam
   
   // Operational parameters
   towSpeedKnots: 2.5,              // Speed when towing (slow!)
+  transitSpeedKnots: 6,            // Speed running empty (to pickup)
   setupTimeMinutes: 20,            // Time to hook/unhook bagan
   
   // Geographic constraints
   maxTowDistance: 5,               // Max km willing to tow
+  minBaganSpacingKm: 0.3,          // Min jarak antar posisi akhir bagan (lampu saling ganggu)
   safeZone: {
     center: { lat: -6.7500, lng: 105.5200 },
     radiusKm: 10                   // Stay within 10km from base area
@@ -54,30 +65,27 @@ function toRad(degrees) {
   return degrees * (Math.PI / 180);
 }
 
-// Calculate tow time in minutes
-function calculateTowTime(distanceKm) {
+function travelTime(distanceKm, speedKnots) {
   const distanceNM = distanceKm * 0.539957; // km to nautical miles
-  const hours = distanceNM / CONFIG.towSpeedKnots;
+  const hours = distanceNM / speedKnots;
   return hours * 60; // convert to minutes
 }
 
-// Calculate fuel cost
-function calculateFuelCost(distanceKm) {
-  const liters = distanceKm * CONFIG.fuelConsumptionTow;
-  return liters * CONFIG.fuelPricePerLiter;
+// Calculate tow time in minutes (kapal menarik bagan)
+function calculateTowTime(distanceKm) {
+  return travelTime(distanceKm, CONFIG.towSpeedKnots);
+}
+
+// Calculate transit time in minutes (kapal kosong menuju bagan)
+function calculateTransitTime(distanceKm) {
+  return travelTime(distanceKm, CONFIG.transitSpeedKnots);
 }
 
 // Estimate catch based on score
 function estimateCatch(score) {
-  // Simple linear model: score 0-100 → catch 0-100 kg
-  // Can be improved with ML later
-  const baseMin = score * 0.6;
-  const baseMax = score * 0.9;
-  return {
-    min: Math.round(baseMin),
-    max: Math.round(baseMax),
-    avg: Math.round((baseMin + baseMax) / 2)
-  };
+  // Regresi dari riwayat trip kalau sudah di-train,
+  // selain itu aturan linear lama (score × 0.6 … 0.9)
+  return catchModelService.predictFromScore(score);
 }
 
 // Check if location is near island (bonus for fish aggregation)
@@ -92,17 +100,123 @@ function nearIslandBonus(lat, lng) {
   return Math.min(bonus, 10); // Max +10 bonus
 }
 
+// ============================================================================
+// COST MODEL
+// ============================================================================
+// Biaya operasi pindah bagan = BBM jalan kosong + BBM tarik + upah ABK
+// selama kapal bekerja. BBM lampu dibayar tiap bagan tiap malam, pindah
+// atau tidak - jadi tidak mempengaruhi keputusan pindah, tapi masuk ke
+// laba-rugi malam itu.
+
+// Rincian biaya gerak satu kapal (atau gabungan, lihat mergeMovementCosts)
+function movementCosts({ transitLiters = 0, towLiters = 0, operationMinutes = 0 }) {
+  const hours = operationMinutes / 60;
+  const transitFuel = {
+    liters: parseFloat(transitLiters.toFixed(1)),
+    cost: Math.round(transitLiters * CONFIG.fuelPricePerLiter)
+  };
+  const towFuel = {
+    liters: parseFloat(towLiters.toFixed(1)),
+    cost: Math.round(towLiters * CONFIG.fuelPricePerLiter)
+  };
+  const labour = {
+    hours: parseFloat(hours.toFixed(2)),
+    crew: CONFIG.crewSize,
+    cost: Math.round(hours * CONFIG.crewSize * CONFIG.labourCostPerHour)
+  };
+
+  return { transitFuel, towFuel, labour, total: transitFuel.cost + towFuel.cost + labour.cost };
+}
+
+function mergeMovementCosts(list) {
+  const sum = (key, field) => list.reduce((total, costs) => total + costs[key][field], 0);
+  const transitFuel = { liters: parseFloat(sum('transitFuel', 'liters').toFixed(1)), cost: sum('transitFuel', 'cost') };
+  const towFuel = { liters: parseFloat(sum('towFuel', 'liters').toFixed(1)), cost: sum('towFuel', 'cost') };
+  const labour = { hours: parseFloat(sum('labour', 'hours').toFixed(2)), crew: CONFIG.crewSize, cost: sum('labour', 'cost') };
+
+  return { transitFuel, towFuel, labour, total: transitFuel.cost + towFuel.cost + labour.cost };
+}
+
+// Laba-rugi rencana: selisih terhadap "semua bagan diam" (dasar keputusan)
+// plus gambaran satu malam penuh termasuk BBM lampu.
+// moves = rekomendasi 'move' yang benar-benar dijalankan
+function planEconomics(currentBagans, moves, movement) {
+  // Key objek bagan (id opsional di input)
+  const targets = new Map(moves.map(item => [item.bagan, item.recommendation.targetSpot]));
+
+  let baselineCatch = 0;
+  let planCatch = 0;
+  for (const bagan of currentBagans) {
+    const finalSpot = targets.get(bagan) || bagan;
+    baselineCatch += estimateCatch(bagan.score).avg;
+    planCatch += estimateCatch(finalSpot.score).avg;
+  }
+
+  const lampLiters = currentBagans.length * CONFIG.lampFuelLitersPerNight;
+  const lampFuel = {
+    bagans: currentBagans.length,
+    liters: lampLiters,
+    cost: Math.round(lampLiters * CONFIG.fuelPricePerLiter)
+  };
+
+  const extraRevenue = Math.round((planCatch - baselineCatch) * CONFIG.catchPricePerKg);
+  const netProfit = extraRevenue - movement.total;
+  const revenue = Math.round(planCatch * CONFIG.catchPricePerKg);
+  const nightCosts = movement.total + lampFuel.cost;
+
+  return {
+    extraRevenue,
+    movementCost: movement.total,
+    netProfit,
+    // Tidak ada yang dipindah → tidak ada biaya untuk dibandingkan
+    roi: movement.total > 0 ? parseFloat((netProfit / movement.total * 100).toFixed(1)) : null,
+    costBreakdown: {
+      transitFuel: movement.transitFuel,
+      towFuel: movement.towFuel,
+      labour: movement.labour,
+      lampFuel,
+      total: nightCosts
+    },
+    night: {
+      expectedCatchKg: parseFloat(planCatch.toFixed(1)),
+      revenue,
+      costs: nightCosts,
+      netProfit: revenue - nightCosts,
+      baselineNetProfit: Math.round(baselineCatch * CONFIG.catchPricePerKg) - lampFuel.cost
+    }
+  };
+}
+
 // ============================================================================
 // DECISION: SHOULD MOVE THIS BAGAN?
 // ============================================================================
 
 function shouldMoveBagan(currentBagan, targetSpot) {
-  const distance = calculateDistance(
+  // Jalur aman tidak pernah lebih pendek dari garis lurus → tolak murah
+  // sebelum pathfinding (assignSpots memanggil ini untuk semua bagan × spot)
+  const straightDistance = calculateDistance(
     currentBagan.lat, currentBagan.lng,
     targetSpot.lat, targetSpot.lng
   );
+  if (straightDistance > CONFIG.maxTowDistance) {
+    return {
+      shouldMove: false,
+      reason: `Too far (${straightDistance.toFixed(1)} km > ${CONFIG.maxTowDistance} km max)`
+    };
+  }
+  
+  // Jarak tarik = jalur aman memutari pulau/karang, bukan garis lurus
+  const towPath = navigation.findPath(currentBagan, targetSpot);
+  const distance = towPath.distanceKm;
   
   // Check constraints
+  if (!towPath.safe) {
+    return {
+      shouldMove: false,
+      reason: 'No safe tow route around hazards'
+    };
+  }
+  
   if (distance > CONFIG.maxTowDistance) {
     return {
       shouldMove: false,
@@ -114,7 +228,11 @@ function shouldMoveBagan(currentBagan, targetSpot) {
   const towTime = calculateTowTime(distance);
   const setupTime = CONFIG.setupTimeMinutes;
   const totalTime = towTime + setupTime;
-  const fuelCost = calculateFuelCost(distance);
+  // Jalan kosong ke bagan tergantung urutan rute → dihitung di level rencana
+  const costs = movementCosts({
+    towLiters: distance * CONFIG.fuelConsumptionTow,
+    operationMinutes: totalTime
+  });
   
   // Calculate expected catch
   const currentCatch = estimateCatch(currentBagan.score);
@@ -123,8 +241,8 @@ function shouldMoveBagan(currentBagan, targetSpot) {
   
   // Revenue calculation
   const extraRevenue = extraCatchAvg * CONFIG.catchPricePerKg;
-  const netProfit = extraRevenue - fuelCost;
-  const roi = fuelCost > 0 ? (netProfit / fuelCost) * 100 : 0;
+  const netProfit = extraRevenue - costs.total;
+  const roi = costs.total > 0 ? Math.round((netProfit / costs.total) * 100) : null;
   
   // Decision logic
   const shouldMove = netProfit >= CONFIG.minProfitThreshold;
@@ -139,13 +257,15 @@ function shouldMoveBagan(currentBagan, targetSpot) {
       towTime: Math.round(towTime),
       setupTime: setupTime,
       totalTime: Math.round(totalTime),
-      fuelCost: Math.round(fuelCost),
+      fuelCost: costs.towFuel.cost,
+      labourCost: costs.labour.cost,
+      totalCost: costs.total,
       currentExpectedCatch: currentCatch,
       targetExpectedCatch: targetCatch,
       extraCatch: extraCatchAvg,
       extraRevenue: Math.round(extraRevenue),
       netProfit: Math.round(netProfit),
-      roi: Math.round(roi),
+      roi,
       worthIt: shouldMove
     }
   };
@@ -194,83 +314,242 @@ async function findBestSpots(currentBagans, availableSpots) {
   return recommendations;
 }
 
+// ============================================================================
+// JOINT ASSIGNMENT: BAGAN → SPOT
+// ============================================================================
+// findBestSpots (greedy) memilih per bagan sendiri-sendiri, jadi dua bagan
+// bisa dikirim ke spot yang sama. assignSpots memilih untuk seluruh armada
+// sekaligus (Hungarian, maksimalkan total net profit):
+//   - kolom = spot kandidat + satu kolom "stay" per bagan (profit 0)
+//   - satu spot maksimal satu bagan
+//   - jarak antar posisi akhir ≥ minBaganSpacingKm: kalau hasil assignment
+//     melanggar, pasangan bagan→spot yang profit-nya lebih kecil dilarang
+//     lalu assignment diulang
+
+function finalPositions(currentBagans, plan) {
+  return currentBagans.map((bagan, i) => plan[i]
+    ? { lat: plan[i].spot.lat, lng: plan[i].spot.lng, moved: true, profit: plan[i].analysis.netProfit }
+    : { lat: bagan.lat, lng: bagan.lng, moved: false, profit: 0 });
+}
+
+// Pasangan pertama yang terlalu dekat → index bagan yang harus mengalah
+function findSpacingConflict(currentBagans, plan) {
+  const positions = finalPositions(currentBagans, plan);
+
+  for (let i = 0; i < positions.length; i++) {
+    for (let k = i + 1; k < positions.length; k++) {
+      const a = positions[i];
+      const b = positions[k];
+      if (!a.moved && !b.moved) continue;
+
+      const distance = calculateDistance(a.lat, a.lng, b.lat, b.lng);
+      if (distance >= CONFIG.minBaganSpacingKm) continue;
+
+      if (!b.moved) return i;
+      if (!a.moved) return k;
+      return a.profit < b.profit ? i : k;
+    }
+  }
+  return null;
+}
+
+// Jumlah spot dipakai dobel + pasangan posisi akhir yang terlalu dekat
+function countConflicts(currentBagans, plan) {
+  const spotUse = new Map();
+  // Key index spot - id spot opsional di input client
+  plan.filter(Boolean).forEach(p => spotUse.set(p.spotIndex, (spotUse.get(p.spotIndex) || 0) + 1));
+  const sharedSpots = [...spotUse.values()].filter(count => count > 1).length;
+
+  const positions = finalPositions(currentBagans, plan);
+  let tooClose = 0;
+  for (let i = 0; i < positions.length; i++) {
+    for (let k = i + 1; k < positions.length; k++) {
+      if (!positions[i].moved && !positions[k].moved) continue;
+      const distance = calculateDistance(positions[i].lat, positions[i].lng, positions[k].lat, positions[k].lng);
+      if (distance < CONFIG.minBaganSpacingKm) tooClose++;
+    }
+  }
+
+  return { sharedSpots, tooClose };
+}
+
+function planProfit(plan) {
+  return plan.reduce((sum, p) => sum + (p ? p.analysis.netProfit : 0), 0);
+}
+
+// Greedy yang dibuat layak: pilihan per bagan diproses dari profit terbesar,
+// yang bentrok dengan pilihan sebelumnya batal (bagan tetap di tempat)
+function repairGreedy(currentBagans, greedyPlan) {
+  const plan = currentBagans.map(() => null);
+  const order = greedyPlan
+    .map((p, i) => ({ p, i }))
+    .filter(({ p }) => p)
+    .sort((a, b) => b.p.analysis.netProfit - a.p.analysis.netProfit);
+
+  for (const { p, i } of order) {
+    plan[i] = p;
+    const { sharedSpots, tooClose } = countConflicts(currentBagans, plan);
+    if (sharedSpots > 0 || tooClose > 0) plan[i] = null;
+  }
+  return plan;
+}
+
+function assignSpots(currentBagans, availableSpots) {
+  const decisions = currentBagans.map(bagan =>
+    availableSpots.map(spot => shouldMoveBagan(bagan, spot))
+  );
+  const forbidden = currentBagans.map(() => new Set());
+  let spacingRepairs = 0;
+  let plan;
+
+  for (;;) {
+    const costs = currentBagans.map((bagan, i) => [
+      ...availableSpots.map((spot, s) => {
+        const decision = decisions[i][s];
+        return decision.shouldMove && !forbidden[i].has(s) ? -decision.analysis.netProfit : Infinity;
+      }),
+      ...currentBagans.map((other, k) => (k === i ? 0 : Infinity))
+    ]);
+
+    const { assignment } = assignmentSolver.solve(costs);
+    plan = assignment.map((col, i) => (col >= 0 && col < availableSpots.length)
+      ? { spotIndex: col, spot: availableSpots[col], analysis: decisions[i][col].analysis }
+      : null);
+
+    const loser = findSpacingConflict(currentBagans, plan);
+    if (loser === null) break;
+
+    forbidden[loser].add(plan[loser].spotIndex);
+    spacingRepairs++;
+  }
+
+  const recommendations = currentBagans.map((bagan, i) => {
+    const hadOption = decisions[i].some(d => d.shouldMove);
+    return {
+      bagan: bagan,
+      recommendation: plan[i] ? {
+        action: 'move',
+        targetSpot: plan[i].spot,
+        analysis: plan[i].analysis
+      } : {
+        action: 'stay',
+        reason: hadOption
+          ? 'Profitable spots are assigned to other bagans or too close to them'
+          : 'No better spot found',
+        currentAnalysis: {
+          score: bagan.score,
+          expectedCatch: estimateCatch(bagan.score)
+        }
+      }
+    };
+  });
+
+  // Pembanding: greedy lama (per bagan) apa adanya & setelah dibuat layak
+  const greedyPlan = currentBagans.map((bagan, i) => {
+    let best = null;
+    decisions[i].forEach((decision, s) => {
+      if (decision.shouldMove && decision.analysis.netProfit > (best ? best.analysis.netProfit : CONFIG.minProfitThreshold)) {
+        best = { spotIndex: s, spot: availableSpots[s], analysis: decision.analysis };
+      }
+    });
+    return best;
+  });
+  const greedyFeasible = repairGreedy(currentBagans, greedyPlan);
+
+  const jointProfit = planProfit(plan);
+  const greedyFeasibleProfit = planProfit(greedyFeasible);
+  const improvement = jointProfit - greedyFeasibleProfit;
+
+  return {
+    recommendations,
+    assignment: {
+      solver: 'hungarian',
+      minSpacingKm: CONFIG.minBaganSpacingKm,
+      spacingRepairs,
+      totalNetProfit: Math.round(jointProfit),
+      greedy: {
+        totalNetProfit: Math.round(planProfit(greedyPlan)),
+        conflicts: countConflicts(currentBagans, greedyPlan),
+        feasibleNetProfit: Math.round(greedyFeasibleProfit)
+      },
+      improvement: {
+        netProfit: Math.round(improvement),
+        percent: greedyFeasibleProfit > 0
+          ? parseFloat((improvement / greedyFeasibleProfit * 100).toFixed(1))
+          : null
+      }
+    }
+  };
+}
+
 // ============================================================================
 // ROUTE OPTIMIZATION (TSP Solver)
 // ============================================================================
+// Urutan dicari routeSolver (Held-Karp untuk N kecil, heuristik untuk N
+// besar); di sini hanya menyusun matriks jarak (jalur aman dari
+// navigationService) dan detail per langkah.
+
+// Polyline satu leg untuk response (lat/lng waypoint + hazard yang diputari)
+function describePath(path) {
+  return {
+    waypoints: path.waypoints,
+    detour: path.detour,
+    safe: path.safe,
+    avoided: path.avoided.map(h => h.name)
+  };
+}
 
 function optimizeRoute(kapalPosition, bagansToMove) {
   if (bagansToMove.length === 0) return null;
-  if (bagansToMove.length === 1) {
-    return {
-      route: [bagansToMove[0]],
-      totalDistance: calculateDistance(
-        kapalPosition.lat, kapalPosition.lng,
-        bagansToMove[0].bagan.lat, bagansToMove[0].bagan.lng
-      ),
-      totalTime: 0
-    };
-  }
   
-  // For small N (≤4), brute force all permutations
-  const permutations = generatePermutations(bagansToMove);
-  let bestRoute = null;
-  let minDistance = Infinity;
+  const targetOf = item => item.recommendation.targetSpot;
+  const costs = {
+    // Kapal → bagan pertama
+    start: bagansToMove.map(item => navigation.distance(kapalPosition, item.bagan)),
+    // Selesai menaruh bagan i di spot-nya → jemput bagan j
+    between: bagansToMove.map(from =>
+      bagansToMove.map(to => navigation.distance(targetOf(from), to.bagan))
+    ),
+    // Jarak tarik sama apa pun urutannya
+    fixed: bagansToMove.reduce((sum, item) => sum + item.recommendation.analysis.distance, 0)
+  };
   
-  for (const perm of permutations) {
-    let distance = 0;
-    let currentPos = kapalPosition;
-    
-    // Calculate total distance for this route
-    for (const item of perm) {
-      // Distance to pickup bagan
-      distance += calculateDistance(
-        currentPos.lat, currentPos.lng,
-        item.bagan.lat, item.bagan.lng
-      );
-      
-      // Distance to tow to target
-      distance += calculateDistance(
-        item.bagan.lat, item.bagan.lng,
-        item.recommendation.targetSpot.lat,
-        item.recommendation.targetSpot.lng
-      );
-      
-      // Update current position
-      currentPos = item.recommendation.targetSpot;
-    }
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      bestRoute = perm;
-    }
-  }
+  const { order, solver } = routeSolver.solve(costs);
+  const bestRoute = order.map(index => bagansToMove[index]);
   
   // Calculate detailed route info
   const routeDetails = [];
   let currentPos = kapalPosition;
   let cumulativeTime = 0;
   let cumulativeDistance = 0;
+  let transitDistance = 0;
+  let towDistance = 0;
+  let detourLegs = 0;
+  let unsafeLegs = 0;
   
   for (let i = 0; i < bestRoute.length; i++) {
     const item = bestRoute[i];
     
-    // Distance to pickup
-    const distToPickup = calculateDistance(
-      currentPos.lat, currentPos.lng,
-      item.bagan.lat, item.bagan.lng
-    );
-    
-    // Distance to tow
-    const distToTow = item.recommendation.analysis.distance;
+    // Jalur aman: kosong ke bagan, lalu tarik ke spot
+    const pickupPath = navigation.findPath(currentPos, item.bagan);
+    const towPath = navigation.findPath(item.bagan, item.recommendation.targetSpot);
+    const distToPickup = pickupPath.distanceKm;
+    const distToTow = towPath.distanceKm;
+    for (const path of [pickupPath, towPath]) {
+      if (path.detour) detourLegs++;
+      if (!path.safe) unsafeLegs++;
+    }
     
-    // Times
-    const timeToPickup = calculateTowTime(distToPickup);
+    // Times (jalan kosong lebih cepat dari menarik)
+    const timeToPickup = calculateTransitTime(distToPickup);
     const timeToTow = item.recommendation.analysis.towTime;
     const setupTime = CONFIG.setupTimeMinutes;
     
     const stepDistance = distToPickup + distToTow;
     const stepTime = timeToPickup + timeToTow + setupTime;
     
+    transitDistance += distToPickup;
+    towDistance += distToTow;
     cumulativeDistance += stepDistance;
     cumulativeTime += stepTime;
     
@@ -285,6 +564,8 @@ function optimizeRoute(kapalPosition, bagansToMove) {
       distanceToPickup: parseFloat(distToPickup.toFixed(2)),
       distanceToTow: parseFloat(distToTow.toFixed(2)),
       totalStepDistance: parseFloat(stepDistance.toFixed(2)),
+      pickupPath: describePath(pickupPath),
+      towPath: describePath(towPath),
       timeToPickup: Math.round(timeToPickup),
       timeToTow: Math.round(timeToTow),
       setupTime: setupTime,
@@ -298,37 +579,30 @@ function optimizeRoute(kapalPosition, bagansToMove) {
     currentPos = item.recommendation.targetSpot;
   }
   
+  const routeCosts = movementCosts({
+    transitLiters: transitDistance * CONFIG.fuelConsumptionTransit,
+    towLiters: towDistance * CONFIG.fuelConsumptionTow,
+    operationMinutes: cumulativeTime
+  });
+  
   return {
     route: routeDetails,
     summary: {
       totalBagans: bestRoute.length,
+      transitDistance: parseFloat(transitDistance.toFixed(2)),
+      towDistance: parseFloat(towDistance.toFixed(2)),
       totalDistance: parseFloat(cumulativeDistance.toFixed(2)),
       totalTime: Math.round(cumulativeTime),
-      totalFuelCost: Math.round(calculateFuelCost(cumulativeDistance)),
-      totalExpectedProfit: bestRoute.reduce((sum, item) => 
-        sum + item.recommendation.analysis.netProfit, 0
-      )
-    }
+      totalFuelCost: routeCosts.transitFuel.cost + routeCosts.towFuel.cost,
+      costs: routeCosts,
+      detourLegs,
+      // Leg tanpa jalur aman (terkurung hazard) → tetap garis lurus, cek manual
+      unsafeLegs
+    },
+    solver
   };
 }
 
-// Generate all permutations (for TSP)
-function generatePermutations(arr) {
-  if (arr.length <= 1) return [arr];
-  
-  const result = [];
-  for (let i = 0; i < arr.length; i++) {
-    const current = arr[i];
-    const remaining = arr.slice(0, i).concat(arr.slice(i + 1));
-    const perms = generatePermutations(remaining);
-    
-    for (const perm of perms) {
-      result.push([current, ...perm]);
-    }
-  }
-  return result;
-}
-
 // ============================================================================
 // MAIN OPTIMIZATION FUNCTION
 // ============================================================================
@@ -337,10 +611,11 @@ async function optimizeBaganOperations(input) {
   const { kapalPosition, currentBagans, candidateSpots } = input;
   
   console.log('\n🎯 === SMARTBAGAN OPTIMIZATION START ===\n');
+  await navigation.ensureLoaded();
   
-  // Step 1: Find best spot for each bagan
-  console.log('Step 1: Analyzing spots for each bagan...');
-  const recommendations = await findBestSpots(currentBagans, candidateSpots);
+  // Step 1: Assign spots to the whole fleet at once
+  console.log('Step 1: Assigning spots to bagans...');
+  const { recommendations, assignment } = assignSpots(currentBagans, candidateSpots);
   
   // Step 2: Filter bagans that should move
   const bagansToMove = recommendations.filter(r => 
@@ -366,16 +641,18 @@ async function optimizeBaganOperations(input) {
       worthMoving: bagansToMove.length > 0
     },
     recommendations: recommendations,
+    assignment: assignment,
     optimizedRoute: optimizedRoute,
-    estimatedTotals: optimizedRoute ? {
-      totalDistance: optimizedRoute.summary.totalDistance,
-      totalTime: optimizedRoute.summary.totalTime,
-      totalFuelCost: optimizedRoute.summary.totalFuelCost,
-      totalExpectedProfit: optimizedRoute.summary.totalExpectedProfit,
-      netProfit: optimizedRoute.summary.totalExpectedProfit - optimizedRoute.summary.totalFuelCost,
-      roi: ((optimizedRoute.summary.totalExpectedProfit - optimizedRoute.summary.totalFuelCost) / 
-            optimizedRoute.summary.totalFuelCost * 100).toFixed(1)
-    } : null
+    estimatedTotals: {
+      totalDistance: optimizedRoute ? optimizedRoute.summary.totalDistance : 0,
+      totalTime: optimizedRoute ? optimizedRoute.summary.totalTime : 0,
+      totalFuelCost: optimizedRoute ? optimizedRoute.summary.totalFuelCost : 0,
+      ...planEconomics(
+        currentBagans,
+        bagansToMove,
+        optimizedRoute ? optimizedRoute.summary.costs : movementCosts({})
+      )
+    }
   };
   
   console.log('\n✅ === OPTIMIZATION COMPLETE ===\n');
@@ -391,9 +668,14 @@ module.exports = {
   optimizeBaganOperations,
   shouldMoveBagan,
   findBestSpots,
+  assignSpots,
   optimizeRoute,
+  describePath,
   calculateDistance,
   estimateCatch,
+  movementCosts,
+  mergeMovementCosts,
+  planEconomics,
   CONFIG
 };
 
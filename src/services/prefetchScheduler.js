@@ -0,0 +1,196 @@
+// ============================================================================
+// SMARTBAGAN - BACKGROUND PREFETCH SCHEDULER
+// File: backend/src/services/prefetchScheduler.js
+// ============================================================================
+// Isi cache sebelum ada user yang minta, supaya request pertama tidak
+// menunggu puluhan detik fetch ERDDAP. Tiap job mengikuti jadwal update
+// sumbernya:
+//   satellite → chlorophyll (VIIRS) & SST (MUR) update harian; dicek ulang
+//               beberapa kali sehari supaya pixel baru cepat terpakai
+//   zones     → rekomendasi hari ini + forecast N malam; ombak & angin
+//               Open-Meteo update per jam (satelit diambil dari cache)
+// Job tidak pernah jalan bersamaan dengan dirinya sendiri.
+
+const zoneService = require('./zoneService');
+const forecastService = require('./forecastService');
+const scoringService = require('./scoringService');
+const zoneRepository = require('../repositories/zoneRepository');
+const { localDate } = require('../utils/date');
+
+const CONFIG = {
+  enabled: process.env.PREFETCH_ENABLED !== 'false',
+  startupDelaySeconds: parseInt(process.env.PREFETCH_STARTUP_DELAY_SECONDS || 5),
+  profiles: (process.env.PREFETCH_PROFILES || 'teri').split(',').map(p => p.trim()).filter(Boolean),
+  intervals: {
+    satellite: parseInt(process.env.PREFETCH_SATELLITE_MINUTES || 360),
+    zones: parseInt(process.env.PREFETCH_ZONES_MINUTES || 30)
+  }
+};
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+async function prefetchSatellite() {
+  const date = localDate();
+  const zones = await zoneRepository.listActive();
+  let observed = 0;
+
+  for (const zone of zones) {
+    const boundary = zoneService.zoneBoundary(zone);
+    const [chlorophyll, sst] = await Promise.all([
+      zoneService.getChlorophyllForArea(boundary, date, { refresh: true }),
+      zoneService.getSSTForArea(boundary, date, { refresh: true })
+    ]);
+    observed += [chlorophyll, sst].filter(r => r.provider).length;
+  }
+
+  return { date, zones: zones.length, observed, requested: zones.length * 2 };
+}
+
+async function prefetchZones() {
+  const date = localDate();
+  const refreshed = [];
+
+  for (const profileId of CONFIG.profiles) {
+    const profile = await scoringService.resolveProfile(profileId);
+    if (!profile) {
+      console.log(`⚠️ Prefetch skipped unknown scoring profile: ${profileId}`);
+      continue;
+    }
+
+    const recommendations = await zoneService.getZoneRecommendations(date, profile, { refresh: true });
+    await forecastService.getZoneForecast(forecastService.CONFIG.maxDays, profile, { refresh: true });
+    refreshed.push({ profile: profile.id, zones: recommendations.length });
+  }
+
+  return { date, forecastDays: forecastService.CONFIG.maxDays, profiles: refreshed };
+}
+
+// Urutan = urutan jalan saat startup (zones memakai hasil satellite)
+const JOBS = [
+  {
+    id: 'satellite',
+    description: 'Chlorophyll & SST per zona (VIIRS/MUR, update harian)',
+    run: prefetchSatellite
+  },
+  {
+    id: 'zones',
+    description: 'Rekomendasi hari ini + forecast malam ke depan (marine/wind per jam)',
+    run: prefetchZones
+  }
+];
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+const state = new Map(JOBS.map(job => [job.id, {
+  id: job.id,
+  description: job.description,
+  intervalMinutes: CONFIG.intervals[job.id],
+  running: false,
+  runs: 0,
+  failures: 0,
+  lastStartedAt: null,
+  lastFinishedAt: null,
+  lastDurationMs: null,
+  lastStatus: null,
+  lastError: null,
+  lastResult: null,
+  nextRunAt: null
+}]));
+
+const timers = new Map();
+let started = false;
+
+async function runJob(id) {
+  const job = JOBS.find(j => j.id === id);
+  const jobState = state.get(id);
+  if (!job) {
+    return null;
+  }
+  if (jobState.running) {
+    return { ...jobState, skipped: true };
+  }
+
+  const startedAt = Date.now();
+  jobState.running = true;
+  jobState.lastStartedAt = new Date(startedAt).toISOString();
+  console.log(`\n⏱️ Prefetch job "${id}" started`);
+
+  try {
+    jobState.lastResult = await job.run();
+    jobState.lastStatus = 'success';
+    jobState.lastError = null;
+  } catch (error) {
+    console.error(`Prefetch job "${id}" failed:`, error.message);
+    jobState.lastStatus = 'error';
+    jobState.lastError = error.message;
+    jobState.failures++;
+  } finally {
+    jobState.running = false;
+    jobState.runs++;
+    jobState.lastFinishedAt = new Date().toISOString();
+    jobState.lastDurationMs = Date.now() - startedAt;
+    console.log(`⏱️ Prefetch job "${id}" ${jobState.lastStatus} in ${jobState.lastDurationMs}ms`);
+  }
+
+  return { ...jobState };
+}
+
+function scheduleNext(id, delayMs) {
+  clearTimeout(timers.get(id));
+  const jobState = state.get(id);
+  jobState.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+
+  const timer = setTimeout(async () => {
+    await runJob(id);
+    scheduleNext(id, jobState.intervalMinutes * 60 * 1000);
+  }, delayMs);
+  // Timer tidak menahan proses tetap hidup (mis. saat shutdown)
+  timer.unref();
+  timers.set(id, timer);
+}
+
+// Startup: semua job sekali berurutan, lalu masing-masing ikut interval-nya
+function start() {
+  if (!CONFIG.enabled || started) {
+    return;
+  }
+  started = true;
+
+  const timer = setTimeout(async () => {
+    for (const job of JOBS) {
+      await runJob(job.id);
+      scheduleNext(job.id, state.get(job.id).intervalMinutes * 60 * 1000);
+    }
+  }, CONFIG.startupDelaySeconds * 1000);
+  timer.unref();
+  timers.set('startup', timer);
+
+  console.log(`Prefetch scheduler started (${JOBS.map(j => `${j.id} every ${CONFIG.intervals[j.id]}m`).join(', ')})`);
+}
+
+function stop() {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+  started = false;
+}
+
+function getStatus() {
+  return {
+    enabled: CONFIG.enabled,
+    started,
+    profiles: CONFIG.profiles,
+    jobs: [...state.values()].map(jobState => ({ ...jobState }))
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runJob,
+  getStatus,
+  CONFIG
+};
@@ -0,0 +1,241 @@
+// ============================================================================
+// SMARTBAGAN - ROUTE SOLVER (urutan jemput-tarik bagan)
+// File: backend/src/services/routeSolver.js
+// ============================================================================
+// Kapal berangkat dari posisinya, menjemput bagan i, menariknya ke spot
+// tujuan, lalu lanjut ke bagan berikutnya. Jarak tarik tiap bagan tetap,
+// jadi yang dioptimasi hanya jarak kosong antar job - TSP asimetris
+// berbentuk path (tidak kembali ke titik awal):
+//
+//   cost(urutan) = start[o0] + Σ between[o_k][o_k+1] + fixed
+//
+// Solver dipilih otomatis:
+//   N ≤ exactMaxJobs → Held-Karp (dynamic programming, O(2^N · N²)), optimal
+//   N lebih besar    → nearest neighbour + 2-opt + Or-opt, gap dilaporkan
+//                      terhadap lower bound (tiap job minimal dimasuki lewat
+//                      edge termurahnya)
+
+const CONFIG = {
+  exactMaxJobs: 15,        // 2^15 · 15² ≈ 7 juta langkah, masih puluhan ms
+  maxLocalSearchMs: 200,   // Batas waktu 2-opt/Or-opt supaya event loop tidak macet
+  orOptMaxSegment: 3
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function routeCost(order, costs) {
+  if (order.length === 0) return costs.fixed;
+  let total = costs.start[order[0]] + costs.fixed;
+  for (let k = 1; k < order.length; k++) {
+    total += costs.between[order[k - 1]][order[k]];
+  }
+  return total;
+}
+
+// Tiap job harus dimasuki sekali: dari posisi kapal atau dari job lain
+function lowerBound(costs) {
+  const n = costs.start.length;
+  let bound = costs.fixed;
+  for (let j = 0; j < n; j++) {
+    let cheapest = costs.start[j];
+    for (let i = 0; i < n; i++) {
+      if (i !== j) cheapest = Math.min(cheapest, costs.between[i][j]);
+    }
+    bound += cheapest;
+  }
+  return bound;
+}
+
+// ============================================================================
+// EXACT: HELD-KARP
+// ============================================================================
+
+function solveHeldKarp(costs) {
+  const n = costs.start.length;
+  const states = 1 << n;
+  // dp[mask * n + j] = cost minimum mengunjungi `mask`, berakhir di j
+  const dp = new Float64Array(states * n).fill(Infinity);
+  const parent = new Int8Array(states * n).fill(-1);
+
+  for (let j = 0; j < n; j++) {
+    dp[(1 << j) * n + j] = costs.start[j];
+  }
+
+  for (let mask = 1; mask < states; mask++) {
+    for (let j = 0; j < n; j++) {
+      const current = dp[mask * n + j];
+      if (!(mask & (1 << j)) || current === Infinity) continue;
+
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next)) continue;
+        const nextMask = mask | (1 << next);
+        const candidate = current + costs.between[j][next];
+        if (candidate < dp[nextMask * n + next]) {
+          dp[nextMask * n + next] = candidate;
+          parent[nextMask * n + next] = j;
+        }
+      }
+    }
+  }
+
+  const full = states - 1;
+  let last = 0;
+  for (let j = 1; j < n; j++) {
+    if (dp[full * n + j] < dp[full * n + last]) last = j;
+  }
+
+  const order = [];
+  let mask = full;
+  let j = last;
+  while (j !== -1) {
+    order.unshift(j);
+    const previous = parent[mask * n + j];
+    mask &= ~(1 << j);
+    j = previous;
+  }
+
+  return order;
+}
+
+// ============================================================================
+// HEURISTIC: NEAREST NEIGHBOUR + 2-OPT + OR-OPT
+// ============================================================================
+
+function nearestNeighbour(costs) {
+  const n = costs.start.length;
+  const visited = new Array(n).fill(false);
+  const order = [];
+  let current = -1;
+
+  for (let step = 0; step < n; step++) {
+    let best = -1;
+    let bestCost = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (visited[j]) continue;
+      const cost = current === -1 ? costs.start[j] : costs.between[current][j];
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = j;
+      }
+    }
+    visited[best] = true;
+    order.push(best);
+    current = best;
+  }
+
+  return order;
+}
+
+// Balik segmen [i..k]. Cost asimetris → dihitung ulang penuh (N kecil-menengah)
+function twoOptPass(order, costs, deadline) {
+  let improved = false;
+  let bestCost = routeCost(order, costs);
+
+  for (let i = 0; i < order.length - 1 && Date.now() < deadline; i++) {
+    for (let k = i + 1; k < order.length; k++) {
+      const candidate = order.slice(0, i)
+        .concat(order.slice(i, k + 1).reverse(), order.slice(k + 1));
+      const cost = routeCost(candidate, costs);
+      if (cost < bestCost - 1e-9) {
+        order.splice(0, order.length, ...candidate);
+        bestCost = cost;
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+}
+
+// Pindahkan segmen 1..3 job ke posisi lain (arah tetap)
+function orOptPass(order, costs, deadline) {
+  let improved = false;
+  let bestCost = routeCost(order, costs);
+
+  for (let length = 1; length <= CONFIG.orOptMaxSegment; length++) {
+    for (let i = 0; i + length <= order.length && Date.now() < deadline; i++) {
+      const segment = order.slice(i, i + length);
+      const rest = order.slice(0, i).concat(order.slice(i + length));
+
+      for (let position = 0; position <= rest.length; position++) {
+        if (position === i) continue;
+        const candidate = rest.slice(0, position).concat(segment, rest.slice(position));
+        const cost = routeCost(candidate, costs);
+        if (cost < bestCost - 1e-9) {
+          order.splice(0, order.length, ...candidate);
+          bestCost = cost;
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return improved;
+}
+
+function solveHeuristic(costs) {
+  const order = nearestNeighbour(costs);
+  const deadline = Date.now() + CONFIG.maxLocalSearchMs;
+  let passes = 0;
+
+  while (Date.now() < deadline) {
+    passes++;
+    const improved = twoOptPass(order, costs, deadline) | orOptPass(order, costs, deadline);
+    if (!improved) break;
+  }
+
+  return { order, passes, timedOut: Date.now() >= deadline };
+}
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+// costs = { start[j], between[i][j], fixed } → { order, cost, solver }
+function solve(costs) {
+  const startedAt = process.hrtime.bigint();
+  const n = costs.start.length;
+
+  let order;
+  let solver;
+  if (n <= CONFIG.exactMaxJobs) {
+    order = n === 0 ? [] : solveHeldKarp(costs);
+    solver = { name: 'held-karp', exact: true };
+  } else {
+    const result = solveHeuristic(costs);
+    order = result.order;
+    solver = {
+      name: 'nearest-neighbour+2-opt+or-opt',
+      exact: false,
+      passes: result.passes,
+      timedOut: result.timedOut
+    };
+  }
+
+  const cost = routeCost(order, costs);
+  const bound = solver.exact ? cost : lowerBound(costs);
+  const gap = bound > 0 ? (cost - bound) / bound : 0;
+
+  return {
+    order,
+    cost,
+    solver: {
+      ...solver,
+      jobs: n,
+      lowerBound: parseFloat(bound.toFixed(3)),
+      // Exact = 0; heuristik = batas atas gap terhadap lower bound
+      optimalityGapPercent: parseFloat((gap * 100).toFixed(2)),
+      timeMs: parseFloat((Number(process.hrtime.bigint() - startedAt) / 1e6).toFixed(2))
+    }
+  };
+}
+
+module.exports = {
+  solve,
+  routeCost,
+  lowerBound,
+  CONFIG
+};
@@ -0,0 +1,130 @@
+// ============================================================================
+// SMARTBAGAN - ZONE SCORING
+// File: backend/src/services/scoringService.js
+// ============================================================================
+// Skor 0-100 dari kondisi oseanografi. Bobot & kurva tiap faktor datang
+// dari scoring profile (lihat config/scoringProfiles.js), jadi target
+// spesies lain cukup tambah profil baru tanpa ubah kode.
+
+const { DEFAULT_PROFILES, DEFAULT_PROFILE_ID } = require('../config/scoringProfiles');
+const scoringProfileRepository = require('../repositories/scoringProfileRepository');
+
+const DEFAULT_PROFILE = DEFAULT_PROFILES.find(p => p.id === DEFAULT_PROFILE_ID);
+
+// Cara mengambil nilai mentah tiap faktor dari data zona
+const FACTOR_VALUES = {
+  chlorophyll: (data) => data.chlorophyll && data.chlorophyll.value,
+  sst: (data) => data.sst && data.sst.value,
+  moon: (data) => data.moon && data.moon.illumination,
+  wave: (data) => data.waveHeight && data.waveHeight.value,
+  wind: (data) => data.wind && data.wind.speed && data.wind.speed.value
+};
+
+// ============================================================================
+// CURVE EVALUATION
+// ============================================================================
+
+function matchesBand(value, when) {
+  if (when.gt !== undefined && !(value > when.gt)) return false;
+  if (when.gte !== undefined && !(value >= when.gte)) return false;
+  if (when.lt !== undefined && !(value < when.lt)) return false;
+  if (when.lte !== undefined && !(value <= when.lte)) return false;
+  return true;
+}
+
+// Rating untuk kurva kontinu (thresholds punya rating sendiri per band)
+function ratingForFraction(fraction) {
+  return fraction >= 0.8 ? 'Excellent' :
+         fraction >= 0.6 ? 'Good' :
+         fraction >= 0.3 ? 'Fair' : 'Poor';
+}
+
+function interpolate(points, value) {
+  if (value <= points[0][0]) return points[0][1];
+  const last = points[points.length - 1];
+  if (value >= last[0]) return last[1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (value <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return last[1];
+}
+
+// → { fraction: 0-1, rating }
+function evaluateFactor(curve, value) {
+  if (curve.type === 'thresholds') {
+    const band = curve.bands.find(b => matchesBand(value, b.when || {}));
+    return band
+      ? { fraction: band.score, rating: band.rating }
+      : { fraction: 0, rating: 'Poor' };
+  }
+
+  if (curve.type === 'curve') {
+    const fraction = interpolate(curve.points, value);
+    return { fraction, rating: ratingForFraction(fraction) };
+  }
+
+  throw new Error(`Unknown curve type: ${curve.type}`);
+}
+
+// ============================================================================
+// CALCULATE ZONE SCORE
+// ============================================================================
+
+function calculateZoneScore(data, profile = DEFAULT_PROFILE) {
+  let score = 0;
+  let maxScore = 0;
+  const breakdown = {};
+
+  for (const [factor, weight] of Object.entries(profile.weights)) {
+    if (!weight) continue;
+    maxScore += weight;
+
+    const value = FACTOR_VALUES[factor](data);
+    if (value === undefined || value === null || !Number.isFinite(value)) continue;
+
+    const { fraction, rating } = evaluateFactor(profile.factors[factor], value);
+    const points = parseFloat((weight * fraction).toFixed(1));
+
+    score += points;
+    breakdown[factor] = { score: points, max: weight, rating };
+  }
+
+  const finalScore = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+  return {
+    score: finalScore,
+    breakdown: breakdown,
+    maxScore: maxScore,
+    actualScore: parseFloat(score.toFixed(1)),
+    profile: profile.id
+  };
+}
+
+// ============================================================================
+// PROFILE LOOKUP
+// ============================================================================
+
+// Profil dari storage (bisa sudah diedit), null kalau id tidak dikenal
+async function resolveProfile(profileId) {
+  return scoringProfileRepository.findById(profileId || DEFAULT_PROFILE_ID);
+}
+
+// Label rekomendasi dari skor akhir
+function recommendationFor(score) {
+  return score >= 80 ? 'Highly Recommended' :
+         score >= 60 ? 'Recommended' :
+         score >= 40 ? 'Fair' : 'Not Recommended';
+}
+
+module.exports = {
+  calculateZoneScore,
+  recommendationFor,
+  evaluateFactor,
+  resolveProfile,
+  DEFAULT_PROFILE
+};
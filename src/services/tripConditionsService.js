@@ -0,0 +1,185 @@
+// ============================================================================
+// SMARTBAGAN - TRIP CONDITIONS SNAPSHOT
+// File: backend/src/services/tripConditionsService.js
+// ============================================================================
+// Kondisi lingkungan (chlorophyll, SST, ombak, angin, bulan + skor) pada
+// tanggal & lokasi sebuah trip, memakai fetcher yang sama dengan zoneService.
+// Snapshot disimpan di field `conditions` trip, dipakai catch model.
+
+const zoneService = require('./zoneService');
+const scoringService = require('./scoringService');
+const tripRepository = require('../repositories/tripRepository');
+const zoneRepository = require('../repositories/zoneRepository');
+
+const CONFIG = {
+  concurrency: 2 // Trip yang di-enrich paralel (tiap trip = beberapa request upstream)
+};
+
+// ============================================================================
+// LOCATION
+// ============================================================================
+
+// Koordinat trip kalau ada; kalau tidak, pakai zona registry yang cocok
+// dengan field `zone` (id "A" atau nama "Zona A")
+async function resolveTripLocation(trip) {
+  const lat = parseFloat(trip.latitude);
+  const lng = parseFloat(trip.longitude);
+
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    return {
+      zone: { id: null, name: `Trip #${trip.id}`, lat, lng, boundary: null },
+      from: 'trip'
+    };
+  }
+
+  const zone = await zoneRepository.findByReference(trip.zone);
+  return zone ? { zone, from: 'zone' } : null;
+}
+
+// ============================================================================
+// SNAPSHOT
+// ============================================================================
+
+// Field snapshot → faktor di evaluation.dataQuality
+const MEASURED_FACTORS = {
+  chlorophyll: 'chlorophyll',
+  sst: 'sst',
+  waveHeight: 'wave',
+  windSpeed: 'wind'
+};
+
+// Faktor berstatus 'estimated' (konstanta atau climatology) tidak disimpan
+// sebagai kondisi terukur: field-nya null, nilainya di `estimatedValues`,
+// supaya catch model tidak belajar dari angka karangan
+function snapshotFromEvaluation(evaluation, date, from) {
+  const { chlorophyll, sst, marine, wind, moon } = evaluation.data;
+  const values = {
+    chlorophyll: chlorophyll.value,
+    sst: sst.value,
+    waveHeight: marine.waveHeight.value,
+    windSpeed: wind.speed.value
+  };
+
+  const measured = {};
+  const estimated = {};
+  const estimatedValues = {};
+  for (const [field, factor] of Object.entries(MEASURED_FACTORS)) {
+    estimated[field] = evaluation.dataQuality.factors[factor].status === 'estimated';
+    measured[field] = estimated[field] ? null : values[field];
+    if (estimated[field]) estimatedValues[field] = values[field];
+  }
+
+  return {
+    date,
+    ...measured,
+    estimated,
+    estimatedValues,
+    moonIllumination: moon.illumination,
+    moonPhase: moon.phase,
+    score: evaluation.score,
+    scoreBreakdown: evaluation.scoreBreakdown,
+    profile: evaluation.profile,
+    dataQuality: evaluation.dataQuality,
+    location: {
+      latitude: evaluation.coordinates.latitude,
+      longitude: evaluation.coordinates.longitude,
+      zoneId: evaluation.zoneId,
+      from
+    },
+    sources: {
+      chlorophyll: chlorophyll.source,
+      sst: sst.source,
+      marine: marine.source,
+      wind: wind.source
+    },
+    capturedAt: new Date().toISOString()
+  };
+}
+
+// Return null kalau lokasi trip tidak bisa ditentukan
+async function captureConditions(trip) {
+  const location = await resolveTripLocation(trip);
+  if (!location) {
+    return null;
+  }
+
+  const date = String(trip.tripDate).slice(0, 10);
+  const profile = await scoringService.resolveProfile();
+  const evaluation = await zoneService.evaluateZone(location.zone, date, profile);
+
+  return snapshotFromEvaluation(evaluation, date, location.from);
+}
+
+// Capture + simpan ke trip. Return trip yang sudah di-update (atau null)
+async function enrichTrip(trip) {
+  const conditions = await captureConditions(trip);
+  if (!conditions) {
+    return null;
+  }
+  return tripRepository.saveConditions(trip.id, conditions);
+}
+
+// Dipanggil setelah trip dibuat/diubah - response tidak menunggu upstream.
+// Capture untuk trip yang sama diantrikan supaya snapshot terakhir menang.
+const inFlight = new Map();
+
+function enrichInBackground(trip) {
+  const previous = inFlight.get(trip.id) || Promise.resolve();
+
+  const task = previous
+    .then(() => enrichTrip(trip))
+    .then(updated => {
+      if (updated) {
+        console.log(`Captured conditions for trip ${trip.id} (score ${updated.conditions.score})`);
+      }
+      return updated;
+    })
+    .catch(error => {
+      console.error(`Failed to capture conditions for trip ${trip.id}:`, error.message);
+      return null;
+    })
+    .finally(() => {
+      if (inFlight.get(trip.id) === task) inFlight.delete(trip.id);
+    });
+
+  inFlight.set(trip.id, task);
+  return task;
+}
+
+function isPending(tripId) {
+  return inFlight.has(tripId);
+}
+
+// Lengkapi snapshot untuk trip yang belum punya; error per trip tidak
+// menghentikan yang lain
+async function enrichMissing(trips) {
+  const pending = trips.filter(t => !t.conditions);
+  const results = new Map();
+  let cursor = 0;
+
+  async function worker() {
+    while (cursor < pending.length) {
+      const trip = pending[cursor++];
+      try {
+        const updated = await enrichTrip(trip);
+        if (updated) results.set(trip.id, updated);
+      } catch (error) {
+        console.error(`Failed to capture conditions for trip ${trip.id}:`, error.message);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONFIG.concurrency }, worker));
+
+  return trips.map(t => results.get(t.id) || t);
+}
+
+module.exports = {
+  captureConditions,
+  enrichTrip,
+  enrichInBackground,
+  enrichMissing,
+  isPending,
+  resolveTripLocation,
+  CONFIG
+};
@@ -8,323 +8,321 @@
 // 3. Added retry mechanism with multiple dates ✅
 // ============================================================================
 
-const axios = require('axios');
-const NodeCache = require('node-cache');
-
-const cache = new NodeCache({ stdTTL: 1800 });
+const zoneRepository = require('../repositories/zoneRepository');
+const recommendationLog = require('../repositories/recommendationLogRepository');
+const providers = require('../providers');
+const cache = require('../cache');
+const geo = require('../utils/geo');
+const { localDate, shiftDate, localHourToDate, formatLocalTime } = require('../utils/date');
+const astronomy = require('../utils/astronomy');
+const { calculateZoneScore, recommendationFor } = require('./scoringService');
+const nightScoring = require('./nightScoringService');
+const catchModel = require('./catchModelService');
+const dataQuality = require('./dataQualityService');
+const climatology = require('./climatologyService');
 
 const CONFIG = {
-  zones: {
-    A: { 
-      name: 'Zona A',
-      lat: parseFloat(process.env.ZONE_A_LAT || -6.9456), 
-      lng: parseFloat(process.env.ZONE_A_LNG || 105.6234)
-    },
-    B: { 
-      name: 'Zona B',
-      lat: parseFloat(process.env.ZONE_B_LAT || -6.9123), 
-      lng: parseFloat(process.env.ZONE_B_LNG || 105.6789)
-    },
-    C: { 
-      name: 'Zona C',
-      lat: parseFloat(process.env.ZONE_C_LAT || -6.8900), 
-      lng: parseFloat(process.env.ZONE_C_LNG || 105.7000)
-    }
+  sampling: {
+    defaultZoneRadiusKm: 1     // Zona tanpa boundary → kotak ±1km
   },
-  apis: {
-    nasa: process.env.NASA_BASE_URL || 'https://coastwatch.pfeg.noaa.gov/erddap',
-    noaa: process.env.NOAA_BASE_URL || 'https://coastwatch.pfeg.noaa.gov/erddap',
-    marine: process.env.MARINE_API_URL || 'https://marine-api.open-meteo.com/v1/marine',
-    openWeather: process.env.OPENWEATHER_API_KEY
+  // Nilai kalau semua provider gagal
+  estimated: {
+    chlorophyll: 0.35,
+    sst: 28.5,
+    waveHeight: 0.8,
+    windSpeed: 4.5
   }
 };
 
 // ============================================================================
-// HELPER: FETCH WITH RETRY
+// HELPER: QUALITY LABELS
 // ============================================================================
 
-async function fetchWithRetry(url, retries = 2, timeout = 10000) {
-  for (let i = 0; i <= retries; i++) {
-    try {
-      const response = await axios.get(url, { timeout });
-      return response.data;
-    } catch (error) {
-      if (i === retries) throw error;
-      console.log(`Retry ${i + 1}/${retries} for ${url}`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
+function chlorophyllQuality(value) {
+  return value > 0.5 ? 'high' : value > 0.3 ? 'medium' : 'low';
+}
+
+function sstQuality(value) {
+  return (value >= 27 && value <= 30) ? 'optimal' : 'suboptimal';
+}
+
+function waveQuality(waveHeight) {
+  return waveHeight < 1.5 ? 'calm' : waveHeight < 2.5 ? 'moderate' : 'rough';
+}
+
+function windQuality(windSpeed) {
+  return windSpeed < 5 ? 'calm' : windSpeed < 10 ? 'moderate' : 'strong';
 }
 
 // ============================================================================
-// HELPER: GET FALLBACK DATES (untuk data yang delay)
+// 1. FETCH CHLOROPHYLL DATA (point)
 // ============================================================================
+// Semua fetcher di bawah lewat provider registry (src/providers) -
+// provider pertama yang berhasil menjawab dicatat di field `provider`.
+// Registry yang meng-cache hasilnya (src/cache, per variabel/lokasi/tanggal).
 
-function getFallbackDates(targetDate) {
-  const dates = [];
-  const base = new Date(targetDate);
-  
-  // Try target date, yesterday, 2 days ago, 3 days ago
-  for (let i = 0; i < 4; i++) {
-    const d = new Date(base);
-    d.setDate(d.getDate() - i);
-    dates.push(d.toISOString().split('T')[0]);
+async function getChlorophyllData(lat, lon, date) {
+  try {
+    const result = await providers.fetchVariable('chlorophyll', 'point', lat, lon, date);
+    return {
+      value: result.value,
+      unit: 'mg/m³',
+      quality: chlorophyllQuality(result.value),
+      source: result.source,
+      provider: result.provider,
+      date: result.date,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.log('⚠️ Using estimated chlorophyll value');
+    return {
+      value: CONFIG.estimated.chlorophyll,
+      unit: 'mg/m³',
+      quality: 'medium',
+      source: 'Estimated (API unavailable)',
+      provider: null,
+      note: error.message
+    };
   }
-  
-  return dates;
 }
 
 // ============================================================================
-// 1. FETCH CHLOROPHYLL DATA (FIXED - with fallback dates)
+// 2. FETCH SST (point)
 // ============================================================================
 
-async function getChlorophyllData(lat, lon, date) {
-  const fallbackDates = getFallbackDates(date);
-  
-  for (const tryDate of fallbackDates) {
-    try {
-      console.log(`Trying chlorophyll data for ${tryDate}...`);
-      
-      const url = `${CONFIG.apis.nasa}/griddap/nesdisCWViirsSNPPChloDailyNRT.json?` +
-        `chlor_a[(${tryDate}T12:00:00Z)][(${lat})][(${lon})]`;
-      
-      const data = await fetchWithRetry(url);
-      
-      if (data.table && data.table.rows && data.table.rows.length > 0) {
-        const chlorophyll = parseFloat(data.table.rows[0][3]);
-        
-        // Validate data (reasonable range: 0.01 - 50 mg/m³)
-        if (chlorophyll > 0 && chlorophyll < 50) {
-          console.log(`✅ Chlorophyll data found for ${tryDate}: ${chlorophyll}`);
-          return {
-            value: parseFloat(chlorophyll.toFixed(3)),
-            unit: 'mg/m³',
-            quality: chlorophyll > 0.5 ? 'high' : chlorophyll > 0.3 ? 'medium' : 'low',
-            source: 'NASA VIIRS',
-            date: tryDate,
-            timestamp: new Date().toISOString()
-          };
-        }
-      }
-    } catch (error) {
-      console.log(`❌ Chlorophyll fetch failed for ${tryDate}: ${error.message}`);
-      // Continue to next date
-    }
+async function getSST(lat, lon, date) {
+  try {
+    const result = await providers.fetchVariable('sst', 'point', lat, lon, date);
+    return {
+      value: result.value,
+      unit: '°C',
+      quality: sstQuality(result.value),
+      source: result.source,
+      provider: result.provider,
+      date: result.date,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.log('⚠️ Using estimated SST value');
+    return {
+      value: CONFIG.estimated.sst,
+      unit: '°C',
+      quality: 'optimal',
+      source: 'Estimated (API unavailable)',
+      provider: null,
+      note: error.message
+    };
   }
-  
-  // All dates failed, return estimated value
-  console.log('⚠️ Using estimated chlorophyll value');
-  return {
-    value: 0.35,
-    unit: 'mg/m³',
-    quality: 'medium',
-    source: 'Estimated (API unavailable)',
-    note: 'Tried dates: ' + fallbackDates.join(', ')
-  };
 }
 
 // ============================================================================
-// 2. FETCH SST (FIXED - proper conversion & validation)
+// 2b. AREA SAMPLING - POLYGON ZONES
 // ============================================================================
+// Provider mengagregasi pixel di dalam polygon (median + sebaran), jadi
+// satu pixel tertutup awan tidak lagi menggagalkan seluruh zona.
 
-async function getSST(lat, lon, date) {
-  const fallbackDates = getFallbackDates(date);
-  
-  for (const tryDate of fallbackDates) {
-    try {
-      console.log(`Trying SST data for ${tryDate}...`);
-      
-      const url = `${CONFIG.apis.noaa}/griddap/jplMURSST41.json?` +
-        `analysed_sst[(${tryDate}T09:00:00Z)][(${lat})][(${lon})]`;
-      
-      const data = await fetchWithRetry(url);
-      
-      if (data.table && data.table.rows && data.table.rows.length > 0) {
-        let sstValue = parseFloat(data.table.rows[0][3]);
-        
-        console.log(`Raw SST value: ${sstValue}`);
-        
-        // FIX: Check if value is in Kelvin or Celsius
-        let sstCelsius;
-        
-        if (sstValue > 200) {
-          // Value is in Kelvin (typically 273-320K for ocean)
-          sstCelsius = sstValue - 273.15;
-          console.log(`Converted from Kelvin: ${sstValue}K → ${sstCelsius}°C`);
-        } else if (sstValue < 0) {
-          // Negative value - likely encoding issue, use absolute + offset
-          sstCelsius = Math.abs(sstValue % 100);
-          if (sstCelsius < 10) sstCelsius += 20; // Adjust to reasonable range
-          console.log(`Fixed negative value: ${sstValue} → ${sstCelsius}°C`);
-        } else {
-          // Already in Celsius
-          sstCelsius = sstValue;
-          console.log(`Already in Celsius: ${sstCelsius}°C`);
-        }
-        
-        // Validate: Ocean SST should be 15-35°C
-        if (sstCelsius >= 15 && sstCelsius <= 35) {
-          console.log(`✅ Valid SST: ${sstCelsius}°C`);
-          return {
-            value: parseFloat(sstCelsius.toFixed(2)),
-            unit: '°C',
-            quality: (sstCelsius >= 27 && sstCelsius <= 30) ? 'optimal' : 'suboptimal',
-            source: 'NOAA MUR SST',
-            date: tryDate,
-            timestamp: new Date().toISOString()
-          };
-        } else {
-          console.log(`⚠️ Invalid SST range: ${sstCelsius}°C, trying next date...`);
-        }
-      }
-    } catch (error) {
-      console.log(`❌ SST fetch failed for ${tryDate}: ${error.message}`);
-    }
+// Polygon zona, atau kotak default untuk zona yang hanya punya titik
+function zoneBoundary(zone) {
+  return zone.boundary ||
+    geo.squarePolygon(zone.lat, zone.lng, CONFIG.sampling.defaultZoneRadiusKm);
+}
+
+// refresh = true → abaikan cache (dipakai prefetch scheduler)
+function fetchSatelliteArea(variable, polygon, date, refresh) {
+  return refresh
+    ? providers.refreshVariable(variable, 'area', polygon, date)
+    : providers.fetchVariable(variable, 'area', polygon, date);
+}
+
+async function getChlorophyllForArea(polygon, date, { refresh = false } = {}) {
+  try {
+    const result = await fetchSatelliteArea('chlorophyll', polygon, date, refresh);
+    return {
+      value: result.value,
+      unit: 'mg/m³',
+      quality: chlorophyllQuality(result.value),
+      source: result.source,
+      provider: result.provider,
+      date: result.date,
+      spatial: result.spatial,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.log('⚠️ Using estimated chlorophyll value');
+    return {
+      value: CONFIG.estimated.chlorophyll,
+      unit: 'mg/m³',
+      quality: 'medium',
+      source: 'Estimated (API unavailable)',
+      provider: null,
+      spatial: null,
+      note: error.message
+    };
+  }
+}
+
+async function getSSTForArea(polygon, date, { refresh = false } = {}) {
+  try {
+    const result = await fetchSatelliteArea('sst', polygon, date, refresh);
+    return {
+      value: result.value,
+      unit: '°C',
+      quality: sstQuality(result.value),
+      source: result.source,
+      provider: result.provider,
+      date: result.date,
+      spatial: result.spatial,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.log('⚠️ Using estimated SST value');
+    return {
+      value: CONFIG.estimated.sst,
+      unit: '°C',
+      quality: 'optimal',
+      source: 'Estimated (API unavailable)',
+      provider: null,
+      spatial: null,
+      note: error.message
+    };
   }
-  
-  // All dates failed, return estimated value
-  console.log('⚠️ Using estimated SST value');
-  return {
-    value: 28.5,
-    unit: '°C',
-    quality: 'optimal',
-    source: 'Estimated (API unavailable)',
-    note: 'Tried dates: ' + fallbackDates.join(', ')
-  };
 }
 
 // ============================================================================
-// 3. FETCH MARINE WEATHER (No changes needed - working fine)
+// 3. FETCH MARINE WEATHER (current)
 // ============================================================================
 
 async function getMarineWeather(lat, lon) {
   try {
-    console.log(`Fetching marine weather for (${lat}, ${lon})`);
-    
-    const url = `${CONFIG.apis.marine}?` +
-      `latitude=${lat}&longitude=${lon}&` +
-      `current=wave_height,wave_direction,wave_period&timezone=Asia/Jakarta`;
-    
-    const data = await fetchWithRetry(url);
-    
-    if (data.current) {
-      const waveHeight = parseFloat(data.current.wave_height) || 0;
-      
-      return {
-        waveHeight: {
-          value: waveHeight,
-          unit: 'm',
-          quality: waveHeight < 1.5 ? 'calm' : waveHeight < 2.5 ? 'moderate' : 'rough'
-        },
-        waveDirection: data.current.wave_direction || 0,
-        wavePeriod: data.current.wave_period || 0,
-        source: 'Open-Meteo Marine',
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    throw new Error('No marine weather data available');
+    const result = await providers.fetchVariable('marine', 'current', lat, lon);
+    return {
+      waveHeight: {
+        value: result.waveHeight,
+        unit: 'm',
+        quality: waveQuality(result.waveHeight)
+      },
+      waveDirection: result.waveDirection,
+      wavePeriod: result.wavePeriod,
+      source: result.source,
+      provider: result.provider,
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
     console.error('Marine weather fetch error:', error.message);
     return {
       waveHeight: {
-        value: 0.8,
+        value: CONFIG.estimated.waveHeight,
         unit: 'm',
         quality: 'calm'
       },
       waveDirection: 90,
       wavePeriod: 5,
       source: 'Estimated',
+      provider: null,
       error: error.message
     };
   }
 }
 
 // ============================================================================
-// 4. FETCH WIND DATA (No changes needed - working fine)
+// 4. FETCH WIND DATA (current)
 // ============================================================================
 
 async function getWindData(lat, lon) {
   try {
-    if (!CONFIG.apis.openWeather) {
-      throw new Error('OpenWeather API key not configured');
-    }
-    
-    console.log(`Fetching wind data for (${lat}, ${lon})`);
-    
-    const url = `https://api.openweathermap.org/data/2.5/weather?` +
-      `lat=${lat}&lon=${lon}&appid=${CONFIG.apis.openWeather}&units=metric`;
-    
-    const data = await fetchWithRetry(url);
-    
-    if (data.wind) {
-      const windSpeed = parseFloat(data.wind.speed) || 0;
-      
-      return {
-        speed: {
-          value: windSpeed,
-          unit: 'm/s',
-          quality: windSpeed < 5 ? 'calm' : windSpeed < 10 ? 'moderate' : 'strong'
-        },
-        direction: data.wind.deg || 0,
-        gust: data.wind.gust || null,
-        source: 'OpenWeather',
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    throw new Error('No wind data available');
+    const result = await providers.fetchVariable('wind', 'current', lat, lon);
+    return {
+      speed: {
+        value: result.speed,
+        unit: 'm/s',
+        quality: windQuality(result.speed)
+      },
+      direction: result.direction,
+      gust: result.gust,
+      source: result.source,
+      provider: result.provider,
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
     console.error('Wind fetch error:', error.message);
     return {
       speed: {
-        value: 4.5,
+        value: CONFIG.estimated.windSpeed,
         unit: 'm/s',
         quality: 'calm'
       },
       direction: 90,
       gust: null,
       source: 'Estimated',
+      provider: null,
       error: error.message
     };
   }
 }
 
 // ============================================================================
-// 5. CALCULATE MOON PHASE (No changes needed - working fine)
+// 4b. HOURLY FORECASTS - untuk night window & forecast multi-hari
 // ============================================================================
+// Jam dalam waktu lokal Asia/Jakarta, format 'YYYY-MM-DDTHH:00'.
+// Kalau semua provider gagal, hours = [] dan caller yang memutuskan fallback-nya.
 
-function getMoonPhase(date) {
+async function getMarineForecast(lat, lon, startDate, endDate) {
   try {
-    const dateObj = new Date(date);
-    const year = dateObj.getFullYear();
-    const month = dateObj.getMonth() + 1;
-    const day = dateObj.getDate();
-    
-    let jd = 367 * year - Math.floor((7 * (year + Math.floor((month + 9) / 12))) / 4) + 
-             Math.floor((275 * month) / 9) + day + 1721013.5;
-    
-    const daysSinceNew = jd - 2451549.5;
-    const newMoons = daysSinceNew / 29.53;
-    const phase = (newMoons - Math.floor(newMoons));
-    const illumination = Math.round(phase * 100);
+    const result = await providers.fetchVariable('marine', 'hourly', lat, lon, startDate, endDate);
+    return { ...result, timestamp: new Date().toISOString() };
+  } catch (error) {
+    console.error('Marine forecast fetch error:', error.message);
+    return { hours: [], source: 'Unavailable', provider: null, error: error.message };
+  }
+}
+
+async function getWindForecast(lat, lon, startDate, endDate) {
+  try {
+    const result = await providers.fetchVariable('wind', 'hourly', lat, lon, startDate, endDate);
+    return { ...result, timestamp: new Date().toISOString() };
+  } catch (error) {
+    console.error('Wind forecast fetch error:', error.message);
+    return { hours: [], source: 'Unavailable', provider: null, error: error.message };
+  }
+}
+
+// ============================================================================
+// 5. MOON PHASE (lunar ephemeris - lihat utils/astronomy.js)
+// ============================================================================
+// Terang bulan dihitung untuk tengah night window (23:30 WIB) tanggal itu.
+// Kalau lat/lng diberikan, ikut dihitung moonrise/moonset hari itu.
+
+function getMoonPhase(date, lat, lng) {
+  try {
+    const midnight = localHourToDate(`${date}T23:30`);
+    if (isNaN(midnight)) {
+      throw new Error(`Invalid date: ${date}`);
+    }
     
-    let phaseName = '';
-    if (illumination < 6.25) phaseName = 'New Moon';
-    else if (illumination < 18.75) phaseName = 'Waxing Crescent';
-    else if (illumination < 31.25) phaseName = 'First Quarter';
-    else if (illumination < 43.75) phaseName = 'Waxing Gibbous';
-    else if (illumination < 56.25) phaseName = 'Full Moon';
-    else if (illumination < 68.75) phaseName = 'Waning Gibbous';
-    else if (illumination < 81.25) phaseName = 'Last Quarter';
-    else phaseName = 'Waning Crescent';
+    const { fraction, phaseAngle, waxing, phaseName } = astronomy.moonIllumination(midnight);
+    const illumination = Math.round(fraction * 100);
     
-    return {
+    const result = {
       illumination: illumination,
       phase: phaseName,
+      phaseAngle: parseFloat(phaseAngle.toFixed(1)),
+      waxing: waxing,
       quality: illumination < 30 ? 'excellent' : illumination < 60 ? 'good' : 'poor',
       timestamp: new Date().toISOString()
     };
+    
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      const times = astronomy.moonTimes(
+        localHourToDate(`${date}T00:00`),
+        localHourToDate(`${shiftDate(date, 1)}T00:00`),
+        lat, lng
+      );
+      result.moonrise = times.rise ? formatLocalTime(times.rise) : null;
+      result.moonset = times.set ? formatLocalTime(times.set) : null;
+      result.altitude = parseFloat(astronomy.moonAltitude(midnight, lat, lng).toFixed(1));
+    }
+    
+    return result;
   } catch (error) {
     console.error('Moon phase calculation error:', error);
     return {
@@ -337,112 +335,230 @@ function getMoonPhase(date) {
 }
 
 // ============================================================================
-// 6. CALCULATE ZONE SCORE (No changes needed)
+// 5b. CLIMATOLOGY FALLBACK
 // ============================================================================
+// Kalau provider live gagal: observasi terakhir zona (persistence) atau
+// rata-rata bulanan zona (climatology), baru konstanta estimasi.
 
-function calculateZoneScore(data) {
-  let score = 0;
-  let maxScore = 0;
-  const breakdown = {};
-  
-  // 1. Chlorophyll Score (30 points)
-  maxScore += 30;
-  if (data.chlorophyll) {
-    const chl = data.chlorophyll.value;
-    if (chl > 0.5) {
-      score += 30;
-      breakdown.chlorophyll = { score: 30, max: 30, rating: 'Excellent' };
-    } else if (chl > 0.3) {
-      score += 20;
-      breakdown.chlorophyll = { score: 20, max: 30, rating: 'Good' };
-    } else if (chl > 0.1) {
-      score += 10;
-      breakdown.chlorophyll = { score: 10, max: 30, rating: 'Fair' };
-    } else {
-      breakdown.chlorophyll = { score: 0, max: 30, rating: 'Poor' };
-    }
+const FALLBACK_SOURCES = {
+  persistence: 'Persistence (last observation)',
+  climatology: 'Climatology (monthly mean)'
+};
+
+async function applyClimatology(result, zoneId, variable, date, qualityFn) {
+  if (result.provider) {
+    return result;
   }
-  
-  // 2. SST Score (25 points)
-  maxScore += 25;
-  if (data.sst) {
-    const temp = data.sst.value;
-    if (temp >= 27 && temp <= 30) {
-      score += 25;
-      breakdown.sst = { score: 25, max: 25, rating: 'Optimal' };
-    } else if (temp >= 25 && temp <= 32) {
-      score += 15;
-      breakdown.sst = { score: 15, max: 25, rating: 'Good' };
-    } else if (temp >= 23 && temp <= 34) {
-      score += 5;
-      breakdown.sst = { score: 5, max: 25, rating: 'Fair' };
-    } else {
-      breakdown.sst = { score: 0, max: 25, rating: 'Poor' };
-    }
+
+  const fallback = await climatology.fallback(zoneId, variable, date);
+  if (!fallback) {
+    return result;
   }
-  
-  // 3. Moon Phase Score (20 points)
-  maxScore += 20;
-  if (data.moon) {
-    const illum = data.moon.illumination;
-    if (illum < 30) {
-      score += 20;
-      breakdown.moon = { score: 20, max: 20, rating: 'Excellent' };
-    } else if (illum < 50) {
-      score += 15;
-      breakdown.moon = { score: 15, max: 20, rating: 'Good' };
-    } else if (illum < 70) {
-      score += 10;
-      breakdown.moon = { score: 10, max: 20, rating: 'Fair' };
-    } else {
-      score += 5;
-      breakdown.moon = { score: 5, max: 20, rating: 'Poor' };
-    }
+
+  return {
+    ...result,
+    value: fallback.value,
+    quality: qualityFn(fallback.value),
+    source: FALLBACK_SOURCES[fallback.method],
+    provider: fallback.method,
+    date: fallback.date || null,
+    uncertainty: fallback.uncertainty,
+    fallback: fallback.method
+  };
+}
+
+// Nilai untuk jam tanpa forecast: kondisi current → persistence/climatology → konstanta
+async function hourlyFill(zoneId, variable, date, current, estimate) {
+  if (current) {
+    return { method: 'current', value: current.value, source: current.source, provider: current.provider };
   }
-  
-  // 4. Wave Condition Score (15 points)
-  maxScore += 15;
-  if (data.waveHeight) {
-    const wave = data.waveHeight.value;
-    if (wave < 1.0) {
-      score += 15;
-      breakdown.wave = { score: 15, max: 15, rating: 'Calm' };
-    } else if (wave < 1.5) {
-      score += 10;
-      breakdown.wave = { score: 10, max: 15, rating: 'Moderate' };
-    } else if (wave < 2.0) {
-      score += 5;
-      breakdown.wave = { score: 5, max: 15, rating: 'Choppy' };
-    } else {
-      breakdown.wave = { score: 0, max: 15, rating: 'Rough' };
-    }
+
+  const fallback = await climatology.fallback(zoneId, variable, date);
+  if (fallback) {
+    return {
+      method: fallback.method,
+      value: fallback.value,
+      source: FALLBACK_SOURCES[fallback.method],
+      provider: fallback.method,
+      ageDays: fallback.ageDays,
+      uncertainty: fallback.uncertainty
+    };
   }
+
+  return { method: 'estimated', value: estimate, source: 'Estimated', provider: null };
+}
+
+// Klorofil & SST area untuk `date`, dengan fallback persistence/climatology zona
+function getSatelliteWithFallback(zoneInfo, boundary, date) {
+  return Promise.all([
+    getChlorophyllForArea(boundary, date)
+      .then(result => applyClimatology(result, zoneInfo.id, 'chlorophyll', date, chlorophyllQuality)),
+    getSSTForArea(boundary, date)
+      .then(result => applyClimatology(result, zoneInfo.id, 'sst', date, sstQuality))
+  ]);
+}
+
+// Pengisi jam tanpa forecast untuk malam `date` → { marineFill, windFill }.
+// Kalau forecast per jam kosong sama sekali, kondisi "current" dipakai dulu.
+async function getHourlyFills(zoneInfo, date, marineHourly, windHourly) {
+  const [marineNow, windNow] = await Promise.all([
+    marineHourly.hours.length ? null : getMarineWeather(zoneInfo.lat, zoneInfo.lng),
+    windHourly.hours.length ? null : getWindData(zoneInfo.lat, zoneInfo.lng)
+  ]);
+  const [marineFill, windFill] = await Promise.all([
+    hourlyFill(zoneInfo.id, 'waveHeight', date,
+      marineNow && marineNow.provider
+        ? { value: marineNow.waveHeight.value, source: marineNow.source, provider: marineNow.provider }
+        : null,
+      CONFIG.estimated.waveHeight),
+    hourlyFill(zoneInfo.id, 'windSpeed', date,
+      windNow && windNow.provider
+        ? { value: windNow.speed.value, source: windNow.source, provider: windNow.provider }
+        : null,
+      CONFIG.estimated.windSpeed)
+  ]);
+  return { marineFill, windFill };
+}
+
+function isObserved(result) {
+  return Boolean(result.provider) && !result.fallback;
+}
+
+// Jam forecast yang belum lewat masih ramalan - tidak boleh masuk log
+// observasi yang justru dipakai menggantikan forecast. Ombak/angin hanya
+// dicatat kalau seluruh night window sudah lewat.
+function isPastNight(hours) {
+  const now = Date.now();
+  return hours.every(h => localHourToDate(h.time).getTime() + 3600 * 1000 <= now);
+}
+
+// ============================================================================
+// 6. EVALUATE SINGLE ZONE (NIGHT WINDOW)
+// ============================================================================
+
+async function evaluateZone(zoneInfo, date, profile) {
+  console.log(`\nProcessing ${zoneInfo.name}...`);
+  
+  const boundary = zoneBoundary(zoneInfo);
+  const nightEnd = shiftDate(date, 1);
+  
+  const [[chlorophyll, sst], marineHourly, windHourly] = await Promise.all([
+    getSatelliteWithFallback(zoneInfo, boundary, date),
+    getMarineForecast(zoneInfo.lat, zoneInfo.lng, date, nightEnd),
+    getWindForecast(zoneInfo.lat, zoneInfo.lng, date, nightEnd)
+  ]);
+  const moon = getMoonPhase(date, zoneInfo.lat, zoneInfo.lng);
   
-  // 5. Wind Score (10 points)
-  maxScore += 10;
-  if (data.wind) {
-    const wind = data.wind.speed.value;
-    if (wind < 5) {
-      score += 10;
-      breakdown.wind = { score: 10, max: 10, rating: 'Calm' };
-    } else if (wind < 7) {
-      score += 7;
-      breakdown.wind = { score: 7, max: 10, rating: 'Light' };
-    } else if (wind < 10) {
-      score += 4;
-      breakdown.wind = { score: 4, max: 10, rating: 'Moderate' };
-    } else {
-      breakdown.wind = { score: 0, max: 10, rating: 'Strong' };
+  const { marineFill, windFill } = await getHourlyFills(zoneInfo, date, marineHourly, windHourly);
+  
+  const hours = nightScoring.buildNightHours({
+    date,
+    lat: zoneInfo.lat,
+    lng: zoneInfo.lng,
+    marineHours: marineHourly.hours,
+    windHours: windHourly.hours,
+    fallback: {
+      waveHeight: marineFill.value,
+      windSpeed: windFill.value
     }
-  }
+  });
+  
+  const nightResult = nightScoring.scoreNight({
+    chlorophyll,
+    sst,
+    hours,
+    moon,
+    lat: zoneInfo.lat,
+    lng: zoneInfo.lng,
+    date,
+    profile
+  });
+  const { waveHeight, wind: windSpeed } = nightResult.conditions;
   
-  const finalScore = Math.round((score / maxScore) * 100);
+  // Tandai faktor observed/stale/estimated; zona yang mayoritas estimasi di-downgrade
+  const { recommendation, dataQuality: quality } = dataQuality.adjustRecommendation(
+    recommendationFor(nightResult.score),
+    dataQuality.assessZone({
+      chlorophyll,
+      sst,
+      hours,
+      marineFill,
+      windFill,
+      marineSource: marineHourly.source,
+      windSource: windHourly.source,
+      date,
+      profile
+    })
+  );
+  
+  // Observasi live masuk ke climatology zona (trip/titik tanpa zona dilewati)
+  if (zoneInfo.id) {
+    const nightPast = isPastNight(hours);
+    await climatology.recordZone(zoneInfo.id, {
+      chlorophyll: isObserved(chlorophyll) ? { value: chlorophyll.value, date: chlorophyll.date, provider: chlorophyll.provider } : null,
+      sst: isObserved(sst) ? { value: sst.value, date: sst.date, provider: sst.provider } : null,
+      waveHeight: nightPast && hours.every(h => h.waveForecast) ? { value: waveHeight.mean, date, provider: marineHourly.provider } : null,
+      windSpeed: nightPast && hours.every(h => h.windForecast) ? { value: windSpeed.mean, date, provider: windHourly.provider } : null
+    }).catch(error => console.error(`Failed to update climatology for ${zoneInfo.id}:`, error.message));
+  }
   
   return {
-    score: finalScore,
-    breakdown: breakdown,
-    maxScore: maxScore,
-    actualScore: score
+    zoneId: zoneInfo.id,
+    zoneName: zoneInfo.name,
+    cooperative: zoneInfo.cooperative || null,
+    coordinates: {
+      latitude: zoneInfo.lat,
+      longitude: zoneInfo.lng
+    },
+    boundary,
+    score: nightResult.score,
+    scoreBreakdown: nightResult.scoreBreakdown,
+    profile: profile ? profile.id : null,
+    data: {
+      chlorophyll,
+      sst,
+      // Ringkasan kondisi sepanjang night window
+      marine: {
+        waveHeight: {
+          value: waveHeight.mean,
+          max: waveHeight.max,
+          unit: 'm',
+          quality: waveQuality(waveHeight.mean)
+        },
+        source: marineHourly.hours.length ? marineHourly.source : marineFill.source,
+        provider: marineHourly.hours.length ? marineHourly.provider : marineFill.provider,
+        timestamp: new Date().toISOString()
+      },
+      wind: {
+        speed: {
+          value: windSpeed.mean,
+          max: windSpeed.max,
+          unit: 'm/s',
+          quality: windQuality(windSpeed.mean)
+        },
+        source: windHourly.hours.length ? windHourly.source : windFill.source,
+        provider: windHourly.hours.length ? windHourly.provider : windFill.provider,
+        timestamp: new Date().toISOString()
+      },
+      moon
+    },
+    night: nightResult.night,
+    // Sebaran nilai di dalam polygon - seberapa seragam ground-nya
+    spatialSpread: {
+      chlorophyll: chlorophyll.spatial,
+      sst: sst.spatial
+    },
+    // Catch model (regresi dari riwayat trip) atau aturan linear kalau belum di-train
+    predictedCatch: catchModel.predictFromConditions({
+      chlorophyll: chlorophyll.value,
+      sst: sst.value,
+      moonIllumination: moon.illumination,
+      waveHeight: waveHeight.mean,
+      windSpeed: windSpeed.mean
+    }, nightResult.score),
+    recommendation,
+    dataQuality: quality,
+    timestamp: new Date().toISOString()
   };
 }
 
@@ -450,103 +566,72 @@ function calculateZoneScore(data) {
 // 7. MAIN FUNCTION - GET ZONE RECOMMENDATIONS
 // ============================================================================
 
-async function getZoneRecommendations(date) {
+// refresh = true → hitung ulang walau ada di cache (prefetch scheduler)
+async function getZoneRecommendations(date, profile, { refresh = false } = {}) {
   try {
-    const cacheKey = `zones_${date}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning cached zone recommendations');
-      return cached;
+    const { value, status } = await cache.fetch(
+      'zones',
+      [date, profile ? profile.id : 'default'],
+      () => computeZoneRecommendations(date, profile),
+      { refresh }
+    );
+    if (status === 'hit' || status === 'stale') {
+      console.log(`Returning ${status === 'stale' ? 'stale ' : ''}cached zone recommendations`);
     }
-    
-    console.log(`\n====== Fetching Zone Recommendations for ${date} ======`);
-    
-    const recommendations = [];
-    
-    const zonePromises = Object.entries(CONFIG.zones).map(async ([zoneId, zoneInfo]) => {
-      try {
-        console.log(`\nProcessing ${zoneInfo.name}...`);
-        
-        const [chlorophyll, sst, marine, wind, moon] = await Promise.all([
-          getChlorophyllData(zoneInfo.lat, zoneInfo.lng, date),
-          getSST(zoneInfo.lat, zoneInfo.lng, date),
-          getMarineWeather(zoneInfo.lat, zoneInfo.lng),
-          getWindData(zoneInfo.lat, zoneInfo.lng),
-          Promise.resolve(getMoonPhase(date))
-        ]);
-        
-        const scoreResult = calculateZoneScore({
-          chlorophyll,
-          sst,
-          waveHeight: marine.waveHeight,
-          wind,
-          moon
-        });
-        
-        return {
-          zoneId: zoneId,
-          zoneName: zoneInfo.name,
-          coordinates: {
-            latitude: zoneInfo.lat,
-            longitude: zoneInfo.lng
-          },
-          score: scoreResult.score,
-          scoreBreakdown: scoreResult.breakdown,
-          data: {
-            chlorophyll,
-            sst,
-            marine,
-            wind,
-            moon
-          },
-          predictedCatch: {
-            min: Math.round(scoreResult.score * 0.6),
-            max: Math.round(scoreResult.score * 0.9),
-            unit: 'kg'
-          },
-          recommendation: scoreResult.score >= 80 ? 'Highly Recommended' :
-                         scoreResult.score >= 60 ? 'Recommended' :
-                         scoreResult.score >= 40 ? 'Fair' : 'Not Recommended',
-          timestamp: new Date().toISOString()
-        };
-      } catch (error) {
-        console.error(`Error processing ${zoneInfo.name}:`, error.message);
-        return null;
-      }
-    });
-    
-    const results = await Promise.all(zonePromises);
-    const validResults = results
-      .filter(r => r !== null)
-      .sort((a, b) => b.score - a.score);
-    
-    console.log(`\n====== Zone Recommendations Complete ======`);
-    console.log(`Found ${validResults.length} zones with valid data`);
-    
-    cache.set(cacheKey, validResults);
-    
-    return validResults;
-    
+    return value;
   } catch (error) {
     console.error('Error getting zone recommendations:', error);
     throw error;
   }
 }
 
+async function computeZoneRecommendations(date, profile) {
+  console.log(`\n====== Fetching Zone Recommendations for ${date} ======`);
+  
+  // Hanya zona aktif di registry yang dinilai
+  const zones = await zoneRepository.listActive();
+  
+  const zonePromises = zones.map(async (zoneInfo) => {
+    try {
+      return await evaluateZone(zoneInfo, date, profile);
+    } catch (error) {
+      console.error(`Error processing ${zoneInfo.name}:`, error.message);
+      return null;
+    }
+  });
+  
+  const results = await Promise.all(zonePromises);
+  // Zona yang ditandai (skor mayoritas dari estimasi) selalu di bawah
+  const validResults = results
+    .filter(r => r !== null)
+    .sort((a, b) => (a.dataQuality.flagged - b.dataQuality.flagged) || (b.score - a.score));
+  
+  console.log(`\n====== Zone Recommendations Complete ======`);
+  console.log(`Found ${validResults.length} zones with valid data`);
+  
+  // Catat apa yang dikirim ke user, untuk laporan akurasi model
+  await Promise.all(validResults.map(r => recommendationLog.record(date, r)))
+    .catch(error => console.error('Failed to log recommendations:', error.message));
+  
+  return validResults;
+}
+
 // ============================================================================
 // 8. GET ZONE DETAIL
 // ============================================================================
 
-async function getZoneDetail(zoneId) {
-  const zone = CONFIG.zones[zoneId.toUpperCase()];
+async function getZoneDetail(zoneId, profile) {
+  const zone = await zoneRepository.findById(zoneId);
   if (!zone) {
     return null;
   }
   
-  const date = new Date().toISOString().split('T')[0];
-  const recommendations = await getZoneRecommendations(date);
+  const date = localDate();
+  const recommendations = await getZoneRecommendations(date, profile);
   
-  return recommendations.find(r => r.zoneId === zoneId.toUpperCase());
+  // Zona non-aktif tidak ada di rekomendasi, nilai langsung
+  return recommendations.find(r => r.zoneId === zone.id) ||
+    evaluateZone(zone, date, profile);
 }
 
 // ============================================================================
@@ -554,28 +639,48 @@ async function getZoneDetail(zoneId) {
 // ============================================================================
 
 async function getAllZones() {
-  return Object.entries(CONFIG.zones).map(([id, zone]) => ({
-    id,
+  const zones = await zoneRepository.list();
+  return zones.map(zone => ({
+    id: zone.id,
     name: zone.name,
     coordinates: {
       latitude: zone.lat,
       longitude: zone.lng
-    }
+    },
+    boundary: zone.boundary,
+    cooperative: zone.cooperative,
+    active: zone.active
   }));
 }
 
+// Dipanggil setelah registry zona berubah
+function invalidateCache() {
+  return cache.invalidate('zones');
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
 module.exports = {
   getZoneRecommendations,
+  evaluateZone,
   getZoneDetail,
   getAllZones,
+  invalidateCache,
   getChlorophyllData,
   getSST,
+  getChlorophyllForArea,
+  getSSTForArea,
   getMarineWeather,
   getWindData,
+  getMarineForecast,
+  getWindForecast,
+  getSatelliteWithFallback,
+  getHourlyFills,
+  zoneBoundary,
   getMoonPhase,
-  calculateZoneScore
+  calculateZoneScore,
+  waveQuality,
+  windQuality
 };
\ No newline at end of file
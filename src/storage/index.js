@@ -0,0 +1,174 @@
+// ============================================================================
+// SMARTBAGAN - STORAGE MODULE
+// File: backend/src/storage/index.js
+// ============================================================================
+// Entry point untuk persistensi data. Driver dipilih lewat env:
+//   STORAGE_DRIVER=jsonl  (default) -> file JSON-lines di DATA_DIR
+//   STORAGE_DRIVER=memory           -> in-memory, hilang saat restart
+// Repository (src/repositories) cukup memanggil openCollection(name).
+
+const path = require('path');
+const { createJsonlStore } = require('./jsonlStore');
+const { createMemoryStore } = require('./memoryStore');
+const { runMigrations } = require('./migrations');
+
+const CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'jsonl',
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data')
+};
+
+const DRIVERS = {
+  jsonl: (name) => createJsonlStore(name, { dataDir: CONFIG.dataDir }),
+  memory: (name) => createMemoryStore(name)
+};
+
+const collections = new Map();
+
+// ============================================================================
+// COLLECTION
+// ============================================================================
+
+function createCollection(name, store) {
+  let records = [];
+  let meta = null;
+  // Semua write di-serialize supaya append & rewrite tidak balapan
+  let writeQueue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function init() {
+    const loaded = await store.load();
+    const result = runMigrations(name, loaded.records, loaded.meta.schemaVersion);
+
+    records = result.records;
+    meta = { ...loaded.meta, schemaVersion: result.schemaVersion };
+
+    // Pastikan nextId tidak pernah bentrok dengan id yang sudah ada
+    const maxId = records.reduce((max, r) => Math.max(max, Number(r.id) || 0), 0);
+    meta.nextId = Math.max(meta.nextId || 1, maxId + 1);
+
+    if (result.applied > 0) {
+      await store.saveAll(records, meta);
+    }
+  }
+
+  return {
+    name,
+    init,
+
+    async all() {
+      return records.map(r => ({ ...r }));
+    },
+
+    async get(id) {
+      const record = records.find(r => r.id === id);
+      return record ? { ...record } : null;
+    },
+
+    // Id otomatis (angka berurutan), kecuali data sudah membawa id sendiri
+    insert(data) {
+      return enqueue(async () => {
+        const hasOwnId = data.id !== undefined && data.id !== null;
+        if (hasOwnId && records.some(r => r.id === data.id)) {
+          throw new Error(`Duplicate id "${data.id}" in ${name}`);
+        }
+
+        const { id: _ownId, ...fields } = data;
+        const record = { id: hasOwnId ? data.id : meta.nextId, ...fields };
+        const nextMeta = hasOwnId ? meta : { ...meta, nextId: meta.nextId + 1 };
+
+        await store.append(record, nextMeta);
+        records.push(record);
+        meta = nextMeta;
+        return { ...record };
+      });
+    },
+
+    update(id, changes) {
+      return enqueue(async () => {
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        const updated = { ...records[index], ...changes, id };
+        const nextRecords = [...records];
+        nextRecords[index] = updated;
+
+        await store.saveAll(nextRecords, meta);
+        records = nextRecords;
+        return { ...updated };
+      });
+    },
+
+    // Baca-lalu-tulis atomik di dalam write queue (tidak balapan seperti
+    // get() lalu insert()). updater(existing | null) mengembalikan field
+    // yang ditulis, atau null untuk membiarkan record apa adanya.
+    upsert(id, updater) {
+      return enqueue(async () => {
+        const index = records.findIndex(r => r.id === id);
+        const existing = index === -1 ? null : { ...records[index] };
+        const changes = updater(existing);
+        if (!changes) return existing;
+
+        const { id: _ownId, ...fields } = changes;
+        if (index === -1) {
+          const record = { id, ...fields };
+          await store.append(record, meta);
+          records.push(record);
+          return { ...record };
+        }
+
+        const updated = { ...records[index], ...fields, id };
+        const nextRecords = [...records];
+        nextRecords[index] = updated;
+
+        await store.saveAll(nextRecords, meta);
+        records = nextRecords;
+        return { ...updated };
+      });
+    },
+
+    remove(id) {
+      return enqueue(async () => {
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return false;
+
+        const nextRecords = records.filter(r => r.id !== id);
+
+        await store.saveAll(nextRecords, meta);
+        records = nextRecords;
+        return true;
+      });
+    }
+  };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+// Buka collection (lazy, cukup sekali per proses)
+function openCollection(name) {
+  if (!collections.has(name)) {
+    const createStore = DRIVERS[CONFIG.driver];
+    if (!createStore) {
+      throw new Error(`Unknown STORAGE_DRIVER "${CONFIG.driver}" (available: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+
+    const collection = createCollection(name, createStore(name));
+    const ready = collection.init().then(() => collection);
+    // Kalau init gagal, biarkan request berikutnya mencoba lagi
+    ready.catch(() => collections.delete(name));
+    collections.set(name, ready);
+  }
+
+  return collections.get(name);
+}
+
+module.exports = {
+  openCollection,
+  CONFIG
+};
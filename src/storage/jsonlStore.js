@@ -0,0 +1,81 @@
+// ============================================================================
+// SMARTBAGAN - JSON-LINES STORE DRIVER
+// File: backend/src/storage/jsonlStore.js
+// ============================================================================
+// Tiap collection disimpan sebagai:
+//   <dataDir>/<name>.jsonl      -> satu record JSON per baris
+//   <dataDir>/<name>.meta.json  -> schemaVersion & nextId
+// Insert cukup append satu baris, update/delete menulis ulang file
+// secara atomic (tulis ke .tmp lalu rename).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+async function writeAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, content, 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+function createJsonlStore(name, { dataDir }) {
+  const dataFile = path.join(dataDir, `${name}.jsonl`);
+  const metaFile = path.join(dataDir, `${name}.meta.json`);
+
+  return {
+    name,
+    driver: 'jsonl',
+
+    async load() {
+      await fs.mkdir(dataDir, { recursive: true });
+
+      let records = [];
+      try {
+        const raw = await fs.readFile(dataFile, 'utf8');
+        const lines = raw
+          .split('\n')
+          .map((line, i) => ({ line, number: i + 1 }))
+          .filter(({ line }) => line.trim() !== '');
+
+        records = [];
+        for (const [index, { line, number }] of lines.entries()) {
+          try {
+            records.push(JSON.parse(line));
+          } catch (error) {
+            // Baris terakhir rusak = append terputus (crash/disk penuh): buang
+            // dan tulis ulang file supaya append berikutnya tidak menempel ke
+            // sisa baris itu. Rusak di tengah file tetap error.
+            if (index !== lines.length - 1) {
+              throw new Error(`Corrupt record in ${dataFile} line ${number}: ${error.message}`);
+            }
+            console.warn(`⚠️ Dropping truncated last record in ${dataFile} line ${number}: ${error.message}`);
+            await writeAtomic(dataFile, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''));
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      let meta = { schemaVersion: 0, nextId: 1 };
+      try {
+        meta = { ...meta, ...JSON.parse(await fs.readFile(metaFile, 'utf8')) };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      return { records, meta };
+    },
+
+    async saveAll(records, meta) {
+      const content = records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+      await writeAtomic(dataFile, content);
+      await writeAtomic(metaFile, JSON.stringify(meta, null, 2));
+    },
+
+    async append(record, meta) {
+      await fs.appendFile(dataFile, JSON.stringify(record) + '\n', 'utf8');
+      await writeAtomic(metaFile, JSON.stringify(meta, null, 2));
+    }
+  };
+}
+
+module.exports = { createJsonlStore };
@@ -0,0 +1,32 @@
+// ============================================================================
+// SMARTBAGAN - IN-MEMORY STORE DRIVER
+// File: backend/src/storage/memoryStore.js
+// ============================================================================
+// Driver tanpa persistensi - data hilang saat restart.
+// Dipakai untuk development cepat (STORAGE_DRIVER=memory).
+
+function createMemoryStore(name) {
+  let records = [];
+  let meta = { schemaVersion: 0, nextId: 1 };
+
+  return {
+    name,
+    driver: 'memory',
+
+    async load() {
+      return { records: records.map(r => ({ ...r })), meta: { ...meta } };
+    },
+
+    async saveAll(newRecords, newMeta) {
+      records = newRecords.map(r => ({ ...r }));
+      meta = { ...newMeta };
+    },
+
+    async append(record, newMeta) {
+      records.push({ ...record });
+      meta = { ...newMeta };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
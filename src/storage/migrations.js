@@ -0,0 +1,153 @@
+// ============================================================================
+// SMARTBAGAN - SCHEMA MIGRATIONS
+// File: backend/src/storage/migrations.js
+// ============================================================================
+// Daftar migration per collection, urut berdasarkan version.
+// Tiap migration punya `up(record)` yang mengembalikan record versi baru,
+// atau `upAll(records)` kalau perlu mengubah collection sekaligus (seed data).
+// Untuk menambah field baru: tambahkan entry dengan version berikutnya,
+// JANGAN edit migration yang sudah pernah jalan di production.
+
+const { DEFAULT_PROFILES } = require('../config/scoringProfiles');
+const { DEFAULT_HAZARDS } = require('../config/hazards');
+
+const MIGRATIONS = {
+  trips: [
+    {
+      version: 1,
+      description: 'Initial trip schema (field default untuk data lama)',
+      up: (trip) => ({
+        zone: 'Custom',
+        latitude: null,
+        longitude: null,
+        quality: 'good',
+        departureTime: null,
+        returnTime: null,
+        lampType: 'LED',
+        notes: '',
+        ...trip
+      })
+    },
+    {
+      version: 2,
+      description: 'Snapshot kondisi lingkungan saat trip (untuk catch model)',
+      up: (trip) => ({
+        conditions: null,
+        ...trip
+      })
+    },
+    {
+      version: 3,
+      description: 'Tandai faktor snapshot yang berasal dari estimasi (dari sources)',
+      up: (trip) => {
+        const conditions = trip.conditions;
+        if (!conditions || conditions.estimated) return trip;
+
+        // Snapshot lama tidak punya dataQuality - pakai label source-nya
+        const sources = conditions.sources || {};
+        const isEstimate = (source) => /^(Estimated|Climatology)/.test(source || '');
+        const fieldSources = {
+          chlorophyll: sources.chlorophyll,
+          sst: sources.sst,
+          waveHeight: sources.marine,
+          windSpeed: sources.wind
+        };
+
+        const migrated = { ...conditions, estimated: {}, estimatedValues: {}, dataQuality: null };
+        for (const [field, source] of Object.entries(fieldSources)) {
+          migrated.estimated[field] = isEstimate(source);
+          if (migrated.estimated[field]) {
+            migrated.estimatedValues[field] = conditions[field];
+            migrated[field] = null;
+          }
+        }
+        return { ...trip, conditions: migrated };
+      }
+    }
+  ],
+
+  zones: [
+    {
+      version: 1,
+      description: 'Seed zona A/B/C (dulu hard-coded di zoneService CONFIG)',
+      upAll: (zones) => zones.length > 0 ? zones : [
+        {
+          id: 'A',
+          name: 'Zona A',
+          lat: parseFloat(process.env.ZONE_A_LAT || -6.9456),
+          lng: parseFloat(process.env.ZONE_A_LNG || 105.6234)
+        },
+        {
+          id: 'B',
+          name: 'Zona B',
+          lat: parseFloat(process.env.ZONE_B_LAT || -6.9123),
+          lng: parseFloat(process.env.ZONE_B_LNG || 105.6789)
+        },
+        {
+          id: 'C',
+          name: 'Zona C',
+          lat: parseFloat(process.env.ZONE_C_LAT || -6.8900),
+          lng: parseFloat(process.env.ZONE_C_LNG || 105.7000)
+        }
+      ].map(zone => ({
+        ...zone,
+        boundary: null,
+        cooperative: null,
+        active: true,
+        createdAt: new Date().toISOString()
+      }))
+    }
+  ],
+
+  scoringProfiles: [
+    {
+      version: 1,
+      description: 'Seed profil teri/cumi/tembang',
+      upAll: (profiles) => profiles.length > 0 ? profiles : DEFAULT_PROFILES.map(profile => ({
+        ...JSON.parse(JSON.stringify(profile)),
+        createdAt: new Date().toISOString()
+      }))
+    }
+  ],
+
+  hazards: [
+    {
+      version: 1,
+      description: 'Seed pulau & karang sekitar Tinjil',
+      upAll: (hazards) => hazards.length > 0 ? hazards : DEFAULT_HAZARDS.map(hazard => ({
+        ...JSON.parse(JSON.stringify(hazard)),
+        active: true,
+        createdAt: new Date().toISOString()
+      }))
+    }
+  ]
+};
+
+// Jalankan semua migration yang version-nya > schemaVersion saat ini
+function runMigrations(name, records, schemaVersion) {
+  const pending = (MIGRATIONS[name] || [])
+    .filter(m => m.version > schemaVersion)
+    .sort((a, b) => a.version - b.version);
+
+  let migrated = records;
+  let version = schemaVersion;
+
+  for (const migration of pending) {
+    console.log(`Migrating ${name} → v${migration.version}: ${migration.description}`);
+    migrated = migration.upAll
+      ? migration.upAll(migrated)
+      : migrated.map(record => migration.up(record));
+    version = migration.version;
+  }
+
+  return {
+    records: migrated,
+    schemaVersion: version,
+    applied: pending.length
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
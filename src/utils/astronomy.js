@@ -0,0 +1,353 @@
+// ============================================================================
+// SMARTBAGAN - LUNAR EPHEMERIS
+// File: backend/src/utils/astronomy.js
+// ============================================================================
+// Posisi bulan & matahari mengikuti Jean Meeus, "Astronomical Algorithms"
+// (2nd ed.): bab 47 (bulan, suku periodik terbesar), bab 25 (matahari),
+// bab 48 (fraksi bulan yang diterangi). Akurasi bulan ~0.01°, lebih dari
+// cukup untuk tahu terang bulan & jam terbit/terbenam.
+//
+// Referensi (UTC), diuji otomatis di test/utils/astronomy.test.js:
+//   2024-01-11 11:57 new moon      → illumination ~0%
+//   2024-01-18 03:52 first quarter → ~50%, waxing
+//   2024-01-25 17:54 full moon     → ~100%
+//   2024-02-02 23:18 last quarter  → ~50%, waning
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000 = 2451545.0;
+const AU_KM = 149597870.7;
+const EARTH_RADIUS_KM = 6378.14;
+
+// ============================================================================
+// PERIODIC TERMS (Meeus tabel 47.A & 47.B)
+// ============================================================================
+
+// [D, M, M', F, Σl (1e-6 derajat), Σr (1e-3 km)]
+const LONGITUDE_DISTANCE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884]
+];
+
+// [D, M, M', F, Σb (1e-6 derajat)]
+const LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794]
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+function julianDay(date) {
+  return date.valueOf() / DAY_MS + 2440587.5;
+}
+
+// Julian centuries sejak J2000.0
+function julianCenturies(date) {
+  return (julianDay(date) - J2000) / 36525;
+}
+
+// Ecliptic (λ, β) → equatorial (α, δ), semua dalam derajat
+function eclipticToEquatorial(lambda, beta, T) {
+  const epsilon = (23.439291 - 0.0130042 * T) * RAD;
+  const l = lambda * RAD;
+  const b = beta * RAD;
+
+  const ra = Math.atan2(
+    Math.sin(l) * Math.cos(epsilon) - Math.tan(b) * Math.sin(epsilon),
+    Math.cos(l)
+  );
+  const dec = Math.asin(
+    Math.sin(b) * Math.cos(epsilon) + Math.cos(b) * Math.sin(epsilon) * Math.sin(l)
+  );
+
+  return { ra: normalizeDegrees(ra / RAD), dec: dec / RAD };
+}
+
+// Greenwich mean sidereal time (derajat)
+function siderealTime(date) {
+  const jd = julianDay(date);
+  const T = (jd - J2000) / 36525;
+  return normalizeDegrees(
+    280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * T * T - (T * T * T) / 38710000
+  );
+}
+
+// ============================================================================
+// POSITIONS
+// ============================================================================
+
+// Geocentric ecliptic position of the moon (Meeus bab 47)
+function moonEcliptic(date) {
+  const T = julianCenturies(date);
+  const T2 = T * T;
+  const T3 = T2 * T;
+  const T4 = T3 * T;
+
+  const Lp = normalizeDegrees(218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000);
+  const D = normalizeDegrees(297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000);
+  const M = normalizeDegrees(357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000);
+  const Mp = normalizeDegrees(134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000);
+  const F = normalizeDegrees(93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000);
+
+  const A1 = normalizeDegrees(119.75 + 131.849 * T);
+  const A2 = normalizeDegrees(53.09 + 479264.290 * T);
+  const A3 = normalizeDegrees(313.45 + 481266.484 * T);
+  const E = 1 - 0.002516 * T - 0.0000074 * T2;
+
+  // Suku dengan M dikoreksi eksentrisitas orbit bumi
+  const eccentricity = (m) => (Math.abs(m) === 1 ? E : Math.abs(m) === 2 ? E * E : 1);
+
+  let sumL = 0;
+  let sumR = 0;
+  for (const [d, m, mp, f, l, r] of LONGITUDE_DISTANCE_TERMS) {
+    const arg = (d * D + m * M + mp * Mp + f * F) * RAD;
+    const e = eccentricity(m);
+    sumL += l * e * Math.sin(arg);
+    sumR += r * e * Math.cos(arg);
+  }
+
+  let sumB = 0;
+  for (const [d, m, mp, f, b] of LATITUDE_TERMS) {
+    const arg = (d * D + m * M + mp * Mp + f * F) * RAD;
+    sumB += b * eccentricity(m) * Math.sin(arg);
+  }
+
+  // Koreksi Venus, Jupiter & flattening bumi
+  sumL += 3958 * Math.sin(A1 * RAD) + 1962 * Math.sin((Lp - F) * RAD) + 318 * Math.sin(A2 * RAD);
+  sumB += -2235 * Math.sin(Lp * RAD) + 382 * Math.sin(A3 * RAD) +
+    175 * Math.sin((A1 - F) * RAD) + 175 * Math.sin((A1 + F) * RAD) +
+    127 * Math.sin((Lp - Mp) * RAD) - 115 * Math.sin((Lp + Mp) * RAD);
+
+  return {
+    lambda: normalizeDegrees(Lp + sumL / 1e6),
+    beta: sumB / 1e6,
+    distanceKm: 385000.56 + sumR / 1000,
+    T
+  };
+}
+
+// Apparent ecliptic longitude of the sun (Meeus bab 25, low accuracy)
+function sunEcliptic(date) {
+  const T = julianCenturies(date);
+  const L0 = normalizeDegrees(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+  const M = normalizeDegrees(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+  const e = 0.016708634 - 0.000042037 * T;
+
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M * RAD) +
+    (0.019993 - 0.000101 * T) * Math.sin(2 * M * RAD) +
+    0.000289 * Math.sin(3 * M * RAD);
+
+  const trueLongitude = L0 + C;
+  const trueAnomaly = M + C;
+  const omega = 125.04 - 1934.136 * T;
+
+  return {
+    lambda: normalizeDegrees(trueLongitude - 0.00569 - 0.00478 * Math.sin(omega * RAD)),
+    distanceKm: (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(trueAnomaly * RAD)) * AU_KM
+  };
+}
+
+// ============================================================================
+// ILLUMINATION (Meeus bab 48)
+// ============================================================================
+
+const PHASE_NAMES = [
+  'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+  'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+];
+
+function moonIllumination(date) {
+  const moon = moonEcliptic(date);
+  const sun = sunEcliptic(date);
+
+  // Elongasi geocentric ψ & phase angle i
+  const cosPsi = Math.cos(moon.beta * RAD) * Math.cos((moon.lambda - sun.lambda) * RAD);
+  const psi = Math.acos(Math.max(-1, Math.min(1, cosPsi)));
+  const phaseAngle = Math.atan2(
+    sun.distanceKm * Math.sin(psi),
+    moon.distanceKm - sun.distanceKm * Math.cos(psi)
+  );
+  const fraction = (1 + Math.cos(phaseAngle)) / 2;
+
+  // Sudut fase 0-360 (0 = new, 180 = full) untuk nama fase
+  const elongation = normalizeDegrees(moon.lambda - sun.lambda);
+  const phaseName = PHASE_NAMES[Math.floor(normalizeDegrees(elongation + 22.5) / 45) % 8];
+
+  return {
+    fraction,
+    phaseAngle: phaseAngle / RAD,
+    elongation,
+    waxing: elongation < 180,
+    phaseName
+  };
+}
+
+// ============================================================================
+// HORIZON COORDINATES
+// ============================================================================
+
+// Altitude & standard altitude h0 untuk lokasi pengamat (derajat)
+function moonHorizon(date, lat, lng) {
+  const moon = moonEcliptic(date);
+  const { ra, dec } = eclipticToEquatorial(moon.lambda, moon.beta, moon.T);
+  const H = (siderealTime(date) + lng - ra) * RAD;
+  const phi = lat * RAD;
+  const d = dec * RAD;
+
+  const geocentric = Math.asin(Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H)) / RAD;
+  const parallax = Math.asin(EARTH_RADIUS_KM / moon.distanceKm) / RAD;
+
+  return {
+    geocentric,
+    // Topocentric (dilihat dari permukaan bumi)
+    topocentric: geocentric - parallax * Math.cos(geocentric * RAD),
+    // Pusat bulan saat terbit/terbenam (Meeus bab 15): parallax - refraksi - semidiameter
+    h0: 0.7275 * parallax - 0.5667
+  };
+}
+
+function moonAltitude(date, lat, lng) {
+  return moonHorizon(date, lat, lng).topocentric;
+}
+
+function isMoonUp(date, lat, lng) {
+  const { geocentric, h0 } = moonHorizon(date, lat, lng);
+  return geocentric > h0;
+}
+
+// Cari moonrise/moonset di antara start..end: scan tiap `stepMinutes`,
+// lalu bisection sampai presisi ~1 menit
+function moonTimes(start, end, lat, lng, stepMinutes = 20) {
+  const offset = (t) => {
+    const { geocentric, h0 } = moonHorizon(new Date(t), lat, lng);
+    return geocentric - h0;
+  };
+
+  const refine = (t0, t1, f0) => {
+    while (t1 - t0 > 60000) {
+      const mid = (t0 + t1) / 2;
+      const fm = offset(mid);
+      if ((fm < 0) === (f0 < 0)) {
+        t0 = mid;
+        f0 = fm;
+      } else {
+        t1 = mid;
+      }
+    }
+    return new Date(Math.round((t0 + t1) / 2));
+  };
+
+  let rise = null;
+  let set = null;
+  const stepMs = stepMinutes * 60000;
+  const startOffset = offset(start.getTime());
+
+  let prevTime = start.getTime();
+  let prevOffset = startOffset;
+
+  for (let t = prevTime + stepMs; t <= end.getTime() + stepMs - 1; t += stepMs) {
+    const time = Math.min(t, end.getTime());
+    const current = offset(time);
+
+    if ((prevOffset < 0) !== (current < 0)) {
+      const crossing = refine(prevTime, time, prevOffset);
+      if (current >= 0 && !rise) rise = crossing;
+      if (current < 0 && !set) set = crossing;
+    }
+
+    prevTime = time;
+    prevOffset = current;
+    if (time === end.getTime()) break;
+  }
+
+  return {
+    rise,
+    set,
+    upAtStart: startOffset > 0
+  };
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+// Semua info bulan untuk satu waktu & lokasi
+function moonState(date, lat, lng) {
+  const illumination = moonIllumination(date);
+  const horizon = moonHorizon(date, lat, lng);
+
+  return {
+    illumination: illumination.fraction,
+    phaseAngle: illumination.phaseAngle,
+    elongation: illumination.elongation,
+    waxing: illumination.waxing,
+    phaseName: illumination.phaseName,
+    altitude: horizon.topocentric,
+    up: horizon.geocentric > horizon.h0
+  };
+}
+
+module.exports = {
+  julianDay,
+  moonEcliptic,
+  sunEcliptic,
+  moonIllumination,
+  moonAltitude,
+  isMoonUp,
+  moonTimes,
+  moonState
+};
@@ -0,0 +1,48 @@
+// ============================================================================
+// SMARTBAGAN - DATE HELPERS
+// File: backend/src/utils/date.js
+// ============================================================================
+// Semua tanggal operasional memakai zona waktu nelayan (WIB), bukan UTC.
+
+const TIMEZONE = 'Asia/Jakarta';
+const UTC_OFFSET = '+07:00'; // WIB, tanpa daylight saving
+
+// Tanggal (YYYY-MM-DD) menurut zona waktu lokal
+function localDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// '2025-12-06' + 1 → '2025-12-07'
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// Jam lokal dari Open-Meteo ('2025-12-06T21:00') → Date
+function localHourToDate(localTime) {
+  return new Date(`${localTime}:00${UTC_OFFSET}`);
+}
+
+// Date → 'HH:MM' waktu lokal
+function formatLocalTime(date) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).format(date);
+}
+
+module.exports = {
+  TIMEZONE,
+  localDate,
+  shiftDate,
+  localHourToDate,
+  formatLocalTime
+};
@@ -0,0 +1,126 @@
+// ============================================================================
+// SMARTBAGAN - GEO HELPERS
+// File: backend/src/utils/geo.js
+// ============================================================================
+// Helper geometri untuk zona berbentuk GeoJSON Polygon.
+// Koordinat GeoJSON selalu [lng, lat].
+
+const KM_PER_DEGREE_LAT = 111; // roughly constant
+
+const EARTH_RADIUS_KM = 6371;
+
+// ============================================================================
+// DISTANCE
+// ============================================================================
+
+// Jarak lingkaran besar (Haversine) dalam km
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = degrees => degrees * (Math.PI / 180);
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// ============================================================================
+// POINT IN POLYGON (ray casting)
+// ============================================================================
+
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Di dalam ring luar dan tidak di dalam lubang mana pun
+function pointInPolygon(lat, lng, polygon) {
+  const [outer, ...holes] = polygon.coordinates;
+  if (!pointInRing(lng, lat, outer)) return false;
+  return !holes.some(hole => pointInRing(lng, lat, hole));
+}
+
+// ============================================================================
+// BOUNDING BOX & CENTROID
+// ============================================================================
+
+function polygonBbox(polygon) {
+  const outer = polygon.coordinates[0];
+  const lngs = outer.map(p => p[0]);
+  const lats = outer.map(p => p[1]);
+  return {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLng: Math.min(...lngs),
+    maxLng: Math.max(...lngs)
+  };
+}
+
+// Centroid ring luar (rumus shoelace), fallback ke rata-rata titik
+function polygonCentroid(polygon) {
+  const ring = polygon.coordinates[0];
+  // Hitung relatif ke titik pertama supaya presisi float tetap terjaga
+  const [ox, oy] = ring[0];
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const x0 = ring[i][0] - ox;
+    const y0 = ring[i][1] - oy;
+    const x1 = ring[i + 1][0] - ox;
+    const y1 = ring[i + 1][1] - oy;
+    const cross = x0 * y1 - x1 * y0;
+    area += cross;
+    cx += (x0 + x1) * cross;
+    cy += (y0 + y1) * cross;
+  }
+
+  if (Math.abs(area) < 1e-12) {
+    const points = ring.slice(0, -1);
+    return {
+      lat: points.reduce((s, p) => s + p[1], 0) / points.length,
+      lng: points.reduce((s, p) => s + p[0], 0) / points.length
+    };
+  }
+
+  area /= 2;
+  return {
+    lat: oy + cy / (6 * area),
+    lng: ox + cx / (6 * area)
+  };
+}
+
+// Polygon kotak di sekitar satu titik (untuk zona lama tanpa boundary)
+function squarePolygon(lat, lng, halfSizeKm) {
+  const dLat = halfSizeKm / KM_PER_DEGREE_LAT;
+  const dLng = halfSizeKm / (KM_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180));
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [lng - dLng, lat - dLat],
+      [lng + dLng, lat - dLat],
+      [lng + dLng, lat + dLat],
+      [lng - dLng, lat + dLat],
+      [lng - dLng, lat - dLat]
+    ]]
+  };
+}
+
+module.exports = {
+  KM_PER_DEGREE_LAT,
+  haversineKm,
+  pointInRing,
+  pointInPolygon,
+  polygonBbox,
+  polygonCentroid,
+  squarePolygon
+};
@@ -0,0 +1,56 @@
+// ============================================================================
+// SMARTBAGAN - SMALL LINEAR ALGEBRA HELPERS
+// File: backend/src/utils/linalg.js
+// ============================================================================
+// Cukup untuk regresi dengan beberapa fitur (matriks < 10x10).
+
+function transpose(A) {
+  return A[0].map((_, j) => A.map(row => row[j]));
+}
+
+function multiply(A, B) {
+  return A.map(row =>
+    B[0].map((_, j) => row.reduce((sum, v, k) => sum + v * B[k][j], 0))
+  );
+}
+
+// Invers matriks persegi (Gauss-Jordan dengan partial pivoting)
+function invert(M) {
+  const n = M.length;
+  const A = M.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular');
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+
+    const p = A[col][col];
+    for (let j = 0; j < 2 * n; j++) A[col][j] /= p;
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = A[r][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) A[r][j] -= factor * A[col][j];
+    }
+  }
+
+  return A.map(row => row.slice(n));
+}
+
+// x' M x
+function quadraticForm(x, M) {
+  return x.reduce((sum, xi, i) => sum + xi * M[i].reduce((s, mij, j) => s + mij * x[j], 0), 0);
+}
+
+module.exports = {
+  transpose,
+  multiply,
+  invert,
+  quadraticForm
+};
@@ -0,0 +1,90 @@
+// ============================================================================
+// SMARTBAGAN - STATISTICS HELPERS
+// File: backend/src/utils/stats.js
+// ============================================================================
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Ringkasan spasial: totalSamples = semua pixel di dalam polygon,
+// values = pixel yang valid (tidak tertutup awan / NaN)
+function summarize(values, totalSamples, decimals = 3) {
+  const round = (v) => v === null ? null : parseFloat(v.toFixed(decimals));
+  const avg = mean(values);
+  const std = standardDeviation(values);
+
+  return {
+    mean: round(avg),
+    median: round(median(values)),
+    min: values.length ? round(Math.min(...values)) : null,
+    max: values.length ? round(Math.max(...values)) : null,
+    std: round(std),
+    // Coefficient of variation: makin kecil makin seragam
+    cv: avg ? parseFloat((std / Math.abs(avg)).toFixed(3)) : null,
+    validSamples: values.length,
+    totalSamples,
+    validFraction: totalSamples > 0 ? parseFloat((values.length / totalSamples).toFixed(3)) : 0
+  };
+}
+
+// Ranking 1..n, nilai sama dapat rata-rata rank-nya
+function ranks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k][1]] = rank;
+    i = j + 1;
+  }
+  return result;
+}
+
+function pearson(x, y) {
+  if (x.length < 2) return null;
+  const mx = mean(x);
+  const my = mean(y);
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < x.length; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Spearman rank correlation (null kalau data kurang / konstan)
+function rankCorrelation(x, y) {
+  if (x.length < 3) return null;
+  return pearson(ranks(x), ranks(y));
+}
+
+module.exports = {
+  mean,
+  median,
+  standardDeviation,
+  summarize,
+  ranks,
+  pearson,
+  rankCorrelation
+};
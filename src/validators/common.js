@@ -0,0 +1,54 @@
+// ============================================================================
+// SMARTBAGAN - COMMON VALIDATION HELPERS
+// File: backend/src/validators/common.js
+// ============================================================================
+// Helper kecil yang dipakai semua validator. Konvensi: fungsi validate*
+// mengembalikan null kalau valid, atau { field, error } kalau tidak.
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Object dengan lat/lng numerik dalam range yang benar
+function validatePosition(value, field) {
+  if (!isPlainObject(value)) {
+    return { field, error: `${field} must be an object with numeric lat and lng` };
+  }
+  if (!isNumber(value.lat) || value.lat < -90 || value.lat > 90) {
+    return { field: `${field}.lat`, error: `${field}.lat must be a number between -90 and 90` };
+  }
+  if (!isNumber(value.lng) || value.lng < -180 || value.lng > 180) {
+    return { field: `${field}.lng`, error: `${field}.lng must be a number between -180 and 180` };
+  }
+  return null;
+}
+
+// Tanggal kalender 'YYYY-MM-DD' (2026-02-31 ditolak, tidak digeser ke Maret)
+function validateDate(value, field) {
+  const valid = typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(value)) &&
+    new Date(value).toISOString().slice(0, 10) === value;
+  return valid ? null : { field, error: `${field} must be a valid YYYY-MM-DD string` };
+}
+
+// Kirim 400 dengan field yang gagal validasi
+function sendValidationError(res, validationError) {
+  return res.status(400).json({
+    success: false,
+    error: validationError.error,
+    field: validationError.field
+  });
+}
+
+module.exports = {
+  isNumber,
+  isPlainObject,
+  validatePosition,
+  validateDate,
+  sendValidationError
+};
@@ -0,0 +1,62 @@
+// ============================================================================
+// SMARTBAGAN - HAZARD REQUEST VALIDATION
+// File: backend/src/validators/hazardValidator.js
+// ============================================================================
+// Validasi body untuk POST/PUT /api/hazards.
+
+const { isNumber, isPlainObject } = require('./common');
+const { validatePolygon } = require('./zoneValidator');
+const { HAZARD_TYPES } = require('../config/hazards');
+
+const HAZARD_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_CLEARANCE_KM = 5;
+
+// partial=true untuk PUT: hanya field yang dikirim yang dicek
+function validateHazardBody(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return { field: 'body', error: 'Request body must be a JSON object' };
+  }
+
+  const has = (key) => body[key] !== undefined;
+
+  if (has('id')) {
+    if (partial) {
+      return { field: 'id', error: 'id cannot be changed' };
+    }
+    if (typeof body.id !== 'string' || !HAZARD_ID_PATTERN.test(body.id.toLowerCase())) {
+      return { field: 'id', error: 'id must be 1-32 characters of a-z, 0-9, "_" or "-"' };
+    }
+  }
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return { field: 'name', error: 'name must be a non-empty string' };
+    }
+  }
+
+  if (!partial || has('type')) {
+    if (!HAZARD_TYPES.includes(body.type)) {
+      return { field: 'type', error: `type must be one of: ${HAZARD_TYPES.join(', ')}` };
+    }
+  }
+
+  if (!partial || has('geometry')) {
+    const error = validatePolygon(body.geometry, 'geometry');
+    if (error) return error;
+  }
+
+  if (has('clearanceKm') && body.clearanceKm !== null &&
+      (!isNumber(body.clearanceKm) || body.clearanceKm < 0 || body.clearanceKm > MAX_CLEARANCE_KM)) {
+    return { field: 'clearanceKm', error: `clearanceKm must be null or a number between 0 and ${MAX_CLEARANCE_KM}` };
+  }
+
+  if (has('active') && typeof body.active !== 'boolean') {
+    return { field: 'active', error: 'active must be a boolean' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateHazardBody
+};
@@ -0,0 +1,217 @@
+// ============================================================================
+// SMARTBAGAN - OPTIMIZE REQUEST VALIDATION
+// File: backend/src/validators/optimizeValidator.js
+// ============================================================================
+// Validasi body untuk /api/optimize. Setiap fungsi mengembalikan
+// null kalau valid, atau { field, error } yang menunjuk field yang salah
+// (contoh: "currentBagans[2].lat") supaya client tahu apa yang harus dibenahi.
+
+const { isNumber, isPlainObject, validatePosition, validateDate } = require('./common');
+
+const MAX_SCAN_RADIUS_KM = 20;
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Config yang jadi pembagi (waktu tempuh) atau pengali biaya BBM - 0 tidak masuk akal
+const POSITIVE_CONFIG_KEYS = [
+  'fuelPricePerLiter',
+  'fuelConsumptionTow',
+  'fuelConsumptionTransit',
+  'towSpeedKnots',
+  'transitSpeedKnots'
+];
+
+// ============================================================================
+// BUILDING BLOCKS
+// ============================================================================
+
+// Bagan & spot: posisi + score 0-100
+function validateScoredPoint(value, field) {
+  const positionError = validatePosition(value, field);
+  if (positionError) return positionError;
+
+  if (!isNumber(value.score) || value.score < 0 || value.score > 100) {
+    return { field: `${field}.score`, error: `${field}.score must be a number between 0 and 100` };
+  }
+  return null;
+}
+
+function validateScoredList(value, field) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { field, error: `${field} must be a non-empty array` };
+  }
+  for (let i = 0; i < value.length; i++) {
+    const error = validateScoredPoint(value[i], `${field}[${i}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+function validateClock(value, field) {
+  if (value !== undefined && (typeof value !== 'string' || !CLOCK_PATTERN.test(value))) {
+    return { field, error: `${field} must be a local time in HH:MM format` };
+  }
+  return null;
+}
+
+function validatePositiveOptional(value, field) {
+  if (value !== undefined && (!isNumber(value) || value <= 0)) {
+    return { field, error: `${field} must be a positive number` };
+  }
+  return null;
+}
+
+// Mode armada: kapal tarik dengan kecepatan & BBM masing-masing
+function validateBoats(value, field) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { field, error: `${field} must be a non-empty array` };
+  }
+  for (let i = 0; i < value.length; i++) {
+    const boat = value[i];
+    const prefix = `${field}[${i}]`;
+    const error =
+      validatePosition(boat, prefix) ||
+      (!isNumber(boat.fuelCapacityLiters) || boat.fuelCapacityLiters <= 0
+        ? { field: `${prefix}.fuelCapacityLiters`, error: `${prefix}.fuelCapacityLiters must be a positive number` }
+        : null) ||
+      validatePositiveOptional(boat.transitSpeedKnots, `${prefix}.transitSpeedKnots`) ||
+      validatePositiveOptional(boat.towSpeedKnots, `${prefix}.towSpeedKnots`) ||
+      validatePositiveOptional(boat.fuelPerKmTransit, `${prefix}.fuelPerKmTransit`) ||
+      validatePositiveOptional(boat.fuelPerKmTow, `${prefix}.fuelPerKmTow`);
+    if (error) return error;
+
+    if (boat.fuelLiters !== undefined &&
+        (!isNumber(boat.fuelLiters) || boat.fuelLiters < 0 || boat.fuelLiters > boat.fuelCapacityLiters)) {
+      return { field: `${prefix}.fuelLiters`, error: `${prefix}.fuelLiters must be between 0 and fuelCapacityLiters` };
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// REQUEST BODIES
+// ============================================================================
+
+// POST /api/optimize/analyze
+function validateAnalyzeBody(body) {
+  if (!isPlainObject(body)) {
+    return { field: 'body', error: 'Request body must be a JSON object' };
+  }
+
+  const { kapalPosition, boats, startTime, currentBagans, candidateSpots, scanRadius, date, profile } = body;
+
+  // kapalPosition wajib di mode satu kapal; di mode armada boleh diganti boats
+  const error =
+    (boats === undefined || kapalPosition !== undefined ? validatePosition(kapalPosition, 'kapalPosition') : null) ||
+    (boats !== undefined ? validateBoats(boats, 'boats') : null) ||
+    validateClock(startTime, 'startTime') ||
+    validateScoredList(currentBagans, 'currentBagans') ||
+    (candidateSpots !== undefined ? validateScoredList(candidateSpots, 'candidateSpots') : null);
+  if (error) return error;
+
+  for (let i = 0; i < currentBagans.length; i++) {
+    const deadlineError = validateClock(currentBagans[i].deadline, `currentBagans[${i}].deadline`);
+    if (deadlineError) return deadlineError;
+  }
+
+  if (scanRadius !== undefined &&
+      (!isNumber(scanRadius) || scanRadius <= 0 || scanRadius > MAX_SCAN_RADIUS_KM)) {
+    return { field: 'scanRadius', error: `scanRadius must be a number between 0 and ${MAX_SCAN_RADIUS_KM} km` };
+  }
+
+  if (date !== undefined) {
+    const dateError = validateDate(date, 'date');
+    if (dateError) return dateError;
+  }
+
+  if (profile !== undefined && (typeof profile !== 'string' || profile.trim() === '')) {
+    return { field: 'profile', error: 'profile must be a scoring profile id' };
+  }
+
+  return null;
+}
+
+// POST /api/optimize/quick-check
+function validateQuickCheckBody(body) {
+  if (!isPlainObject(body)) {
+    return { field: 'body', error: 'Request body must be a JSON object' };
+  }
+
+  return validateScoredPoint(body.bagan, 'bagan') ||
+    validateScoredPoint(body.targetSpot, 'targetSpot');
+}
+
+// POST /api/optimize/path - { from: {lat,lng}, to: {lat,lng} }
+function validatePathBody(body) {
+  if (!isPlainObject(body)) {
+    return { field: 'body', error: 'Request body must be a JSON object' };
+  }
+
+  return validatePosition(body.from, 'from') || validatePosition(body.to, 'to');
+}
+
+// safeZone diganti utuh (Object.assign), jadi center & radiusKm wajib ada
+function validateSafeZone(value, field) {
+  if (!isPlainObject(value)) {
+    return { field, error: `${field} must be an object with center and radiusKm` };
+  }
+
+  const centerError = validatePosition(value.center, `${field}.center`);
+  if (centerError) return centerError;
+
+  if (!isNumber(value.radiusKm) || value.radiusKm <= 0) {
+    return { field: `${field}.radiusKm`, error: `${field}.radiusKm must be a positive number` };
+  }
+  return null;
+}
+
+function validateIslands(value, field) {
+  for (let i = 0; i < value.length; i++) {
+    const prefix = `${field}[${i}]`;
+    const error = validatePosition(value[i], prefix);
+    if (error) return error;
+
+    if (typeof value[i].name !== 'string' || value[i].name.trim() === '') {
+      return { field: `${prefix}.name`, error: `${prefix}.name must be a non-empty string` };
+    }
+  }
+  return null;
+}
+
+// PUT /api/optimize/config - hanya key yang sudah ada, dengan tipe yang sama
+function validateConfigUpdate(body, currentConfig) {
+  if (!isPlainObject(body) || Object.keys(body).length === 0) {
+    return { field: 'body', error: 'Request body must be a non-empty JSON object' };
+  }
+
+  for (const [key, value] of Object.entries(body)) {
+    if (!Object.prototype.hasOwnProperty.call(currentConfig, key)) {
+      return { field: key, error: `Unknown config key: ${key}` };
+    }
+
+    const current = currentConfig[key];
+    if (isNumber(current) && (!isNumber(value) || value < 0)) {
+      return { field: key, error: `${key} must be a non-negative number` };
+    }
+    if (POSITIVE_CONFIG_KEYS.includes(key) && value <= 0) {
+      return { field: key, error: `${key} must be a positive number` };
+    }
+    if (Array.isArray(current) !== Array.isArray(value) ||
+        isPlainObject(current) !== isPlainObject(value)) {
+      return { field: key, error: `${key} must keep the same type as the current value` };
+    }
+
+    const nestedError =
+      (key === 'safeZone' ? validateSafeZone(value, key) : null) ||
+      (key === 'islands' ? validateIslands(value, key) : null);
+    if (nestedError) return nestedError;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateAnalyzeBody,
+  validateQuickCheckBody,
+  validatePathBody,
+  validateConfigUpdate,
+  validateScoredList
+};
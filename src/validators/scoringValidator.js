@@ -0,0 +1,149 @@
+// ============================================================================
+// SMARTBAGAN - SCORING PROFILE VALIDATION
+// File: backend/src/validators/scoringValidator.js
+// ============================================================================
+// Profil divalidasi utuh (untuk PUT: profil lama + perubahan), supaya
+// bobot selalu berjumlah 100 dan setiap faktor berbobot punya kurva.
+
+const { isNumber, isPlainObject } = require('./common');
+const { FACTORS } = require('../config/scoringProfiles');
+
+const PROFILE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const BAND_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+function validateFraction(value, field) {
+  if (!isNumber(value) || value < 0 || value > 1) {
+    return { field, error: `${field} must be a number between 0 and 1` };
+  }
+  return null;
+}
+
+// ============================================================================
+// CURVES
+// ============================================================================
+
+function validateThresholds(curve, field) {
+  if (!Array.isArray(curve.bands) || curve.bands.length === 0) {
+    return { field: `${field}.bands`, error: `${field}.bands must be a non-empty array` };
+  }
+
+  for (let i = 0; i < curve.bands.length; i++) {
+    const band = curve.bands[i];
+    const bandField = `${field}.bands[${i}]`;
+
+    if (!isPlainObject(band)) {
+      return { field: bandField, error: `${bandField} must be an object` };
+    }
+
+    const when = band.when === undefined ? {} : band.when;
+    if (!isPlainObject(when)) {
+      return { field: `${bandField}.when`, error: `${bandField}.when must be an object` };
+    }
+    for (const [op, limit] of Object.entries(when)) {
+      if (!BAND_OPERATORS.includes(op)) {
+        return { field: `${bandField}.when.${op}`, error: `Unknown operator "${op}" (use ${BAND_OPERATORS.join(', ')})` };
+      }
+      if (!isNumber(limit)) {
+        return { field: `${bandField}.when.${op}`, error: `${bandField}.when.${op} must be a number` };
+      }
+    }
+
+    const scoreError = validateFraction(band.score, `${bandField}.score`);
+    if (scoreError) return scoreError;
+
+    if (typeof band.rating !== 'string' || band.rating.trim() === '') {
+      return { field: `${bandField}.rating`, error: `${bandField}.rating must be a non-empty string` };
+    }
+  }
+
+  return null;
+}
+
+function validateCurvePoints(curve, field) {
+  if (!Array.isArray(curve.points) || curve.points.length < 2) {
+    return { field: `${field}.points`, error: `${field}.points must have at least 2 [value, score] points` };
+  }
+
+  for (let i = 0; i < curve.points.length; i++) {
+    const point = curve.points[i];
+    const pointField = `${field}.points[${i}]`;
+
+    if (!Array.isArray(point) || point.length !== 2 || !isNumber(point[0])) {
+      return { field: pointField, error: `${pointField} must be a [value, score] pair` };
+    }
+    const scoreError = validateFraction(point[1], `${pointField}[1]`);
+    if (scoreError) return scoreError;
+
+    if (i > 0 && point[0] <= curve.points[i - 1][0]) {
+      return { field: pointField, error: `${field}.points values must be strictly increasing` };
+    }
+  }
+
+  return null;
+}
+
+function validateCurve(curve, field) {
+  if (!isPlainObject(curve)) {
+    return { field, error: `${field} must be an object` };
+  }
+  if (curve.type === 'thresholds') return validateThresholds(curve, field);
+  if (curve.type === 'curve') return validateCurvePoints(curve, field);
+  return { field: `${field}.type`, error: `${field}.type must be "thresholds" or "curve"` };
+}
+
+// ============================================================================
+// PROFILE
+// ============================================================================
+
+function validateProfile(profile, { isNew = false } = {}) {
+  if (!isPlainObject(profile)) {
+    return { field: 'body', error: 'Request body must be a JSON object' };
+  }
+
+  if (isNew && (typeof profile.id !== 'string' || !PROFILE_ID_PATTERN.test(profile.id.toLowerCase()))) {
+    return { field: 'id', error: 'id must be 1-32 characters of a-z, 0-9, "_" or "-"' };
+  }
+
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    return { field: 'name', error: 'name must be a non-empty string' };
+  }
+
+  if (profile.description !== undefined && typeof profile.description !== 'string') {
+    return { field: 'description', error: 'description must be a string' };
+  }
+
+  if (!isPlainObject(profile.weights)) {
+    return { field: 'weights', error: 'weights must be an object' };
+  }
+
+  let total = 0;
+  for (const [factor, weight] of Object.entries(profile.weights)) {
+    if (!FACTORS.includes(factor)) {
+      return { field: `weights.${factor}`, error: `Unknown factor "${factor}" (use ${FACTORS.join(', ')})` };
+    }
+    if (!isNumber(weight) || weight < 0) {
+      return { field: `weights.${factor}`, error: `weights.${factor} must be a non-negative number` };
+    }
+    total += weight;
+  }
+
+  if (Math.abs(total - 100) > 1e-6) {
+    return { field: 'weights', error: `weights must sum to 100 (got ${parseFloat(total.toFixed(4))})` };
+  }
+
+  if (!isPlainObject(profile.factors)) {
+    return { field: 'factors', error: 'factors must be an object' };
+  }
+
+  for (const [factor, weight] of Object.entries(profile.weights)) {
+    if (weight === 0) continue;
+    const error = validateCurve(profile.factors[factor], `factors.${factor}`);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateProfile
+};
@@ -0,0 +1,113 @@
+// ============================================================================
+// SMARTBAGAN - ZONE REQUEST VALIDATION
+// File: backend/src/validators/zoneValidator.js
+// ============================================================================
+// Validasi body untuk POST/PUT /api/zones.
+
+const { isNumber, isPlainObject } = require('./common');
+
+const ZONE_ID_PATTERN = /^[A-Z0-9_-]{1,32}$/;
+
+// ============================================================================
+// GEOJSON POLYGON
+// ============================================================================
+
+// { type: 'Polygon', coordinates: [ [ [lng, lat], ... ] ] }
+// Ring pertama = batas luar, ring berikutnya = lubang (opsional).
+function validatePolygon(value, field) {
+  if (!isPlainObject(value) || value.type !== 'Polygon' || !Array.isArray(value.coordinates)) {
+    return { field, error: `${field} must be a GeoJSON Polygon` };
+  }
+  if (value.coordinates.length === 0) {
+    return { field: `${field}.coordinates`, error: `${field}.coordinates must contain at least one ring` };
+  }
+
+  for (let r = 0; r < value.coordinates.length; r++) {
+    const ring = value.coordinates[r];
+    const ringField = `${field}.coordinates[${r}]`;
+
+    if (!Array.isArray(ring) || ring.length < 4) {
+      return { field: ringField, error: `${ringField} must have at least 4 positions` };
+    }
+
+    for (let p = 0; p < ring.length; p++) {
+      const position = ring[p];
+      if (!Array.isArray(position) || position.length < 2 ||
+          !isNumber(position[0]) || position[0] < -180 || position[0] > 180 ||
+          !isNumber(position[1]) || position[1] < -90 || position[1] > 90) {
+        return { field: `${ringField}[${p}]`, error: `${ringField}[${p}] must be a [lng, lat] position` };
+      }
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return { field: ringField, error: `${ringField} must be closed (first and last position equal)` };
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// REQUEST BODIES
+// ============================================================================
+
+// partial=true untuk PUT: hanya field yang dikirim yang dicek
+function validateZoneBody(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return { field: 'body', error: 'Request body must be a JSON object' };
+  }
+
+  const has = (key) => body[key] !== undefined;
+
+  if (has('id')) {
+    if (partial) {
+      return { field: 'id', error: 'id cannot be changed' };
+    }
+    if (typeof body.id !== 'string' || !ZONE_ID_PATTERN.test(body.id.toUpperCase())) {
+      return { field: 'id', error: 'id must be 1-32 characters of A-Z, 0-9, "_" or "-"' };
+    }
+  }
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return { field: 'name', error: 'name must be a non-empty string' };
+    }
+  }
+
+  // lat/lng boleh dikosongkan kalau ada boundary (pakai centroid polygon)
+  const needsPoint = !partial && !body.boundary;
+
+  if (needsPoint || has('lat')) {
+    if (!isNumber(body.lat) || body.lat < -90 || body.lat > 90) {
+      return { field: 'lat', error: 'lat must be a number between -90 and 90' };
+    }
+  }
+
+  if (needsPoint || has('lng')) {
+    if (!isNumber(body.lng) || body.lng < -180 || body.lng > 180) {
+      return { field: 'lng', error: 'lng must be a number between -180 and 180' };
+    }
+  }
+
+  if (has('boundary') && body.boundary !== null) {
+    const error = validatePolygon(body.boundary, 'boundary');
+    if (error) return error;
+  }
+
+  if (has('cooperative') && body.cooperative !== null && typeof body.cooperative !== 'string') {
+    return { field: 'cooperative', error: 'cooperative must be a string or null' };
+  }
+
+  if (has('active') && typeof body.active !== 'boolean') {
+    return { field: 'active', error: 'active must be a boolean' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateZoneBody,
+  validatePolygon
+};
@@ -0,0 +1,57 @@
+// ============================================================================
+// SMARTBAGAN - SHARED CACHE TESTS
+// File: backend/test/cache/index.test.js
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartbagan-cache-'));
+process.env.CACHE_DIR = cacheDir;
+const cache = require('../../src/cache');
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+test('invalidate during a running fetch does not store the old value', async () => {
+  const started = deferred();
+  const slow = deferred();
+  const inFlight = cache.wrap('zones', ['race', 'A'], () => {
+    started.resolve();
+    return slow.promise;
+  });
+
+  await started.promise;
+  await cache.invalidate('zones');
+  slow.resolve('before-change');
+  assert.strictEqual(await inFlight, 'before-change');
+
+  const { value, status } = await cache.fetch('zones', ['race', 'A'], async () => 'after-change');
+  assert.strictEqual(status, 'miss');
+  assert.strictEqual(value, 'after-change');
+
+  // Caller berikutnya dapat nilai baru dari cache
+  assert.strictEqual((await cache.fetch('zones', ['race', 'A'], async () => 'unused')).status, 'hit');
+});
+
+test('invalidate with match skips corrupt cache files', async () => {
+  await cache.wrap('forecast', ['night', 'A'], async () => 1);
+  await cache.wrap('forecast', ['night', 'B'], async () => 2);
+  fs.writeFileSync(path.join(cacheDir, 'forecast', 'corrupt.json'), '{"key":"night:A","val');
+
+  const result = await cache.invalidate('forecast', { match: 'night:A' });
+  assert.strictEqual(result.removed.disk, 1);
+  assert.ok(fs.existsSync(path.join(cacheDir, 'forecast', 'corrupt.json')));
+  assert.deepStrictEqual(
+    fs.readdirSync(path.join(cacheDir, 'forecast')).filter(f => f.endsWith('.tmp')),
+    []
+  );
+});
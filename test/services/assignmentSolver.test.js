@@ -0,0 +1,90 @@
+// ============================================================================
+// SMARTBAGAN - ASSIGNMENT SOLVER TESTS
+// File: backend/test/services/assignmentSolver.test.js
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const assignmentSolver = require('../../src/services/assignmentSolver');
+
+// PRNG deterministik supaya kasus acak bisa diulang
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Semua cara memilih kolom berbeda untuk setiap row
+function bruteForceMin(costs) {
+  const n = costs.length;
+  const m = costs[0].length;
+  let best = Infinity;
+
+  function search(row, used, total) {
+    if (row === n) {
+      best = Math.min(best, total);
+      return;
+    }
+    for (let col = 0; col < m; col++) {
+      if (used.has(col)) continue;
+      used.add(col);
+      search(row + 1, used, total + costs[row][col]);
+      used.delete(col);
+    }
+  }
+
+  search(0, new Set(), 0);
+  return best;
+}
+
+function assertValidAssignment(assignment, cols) {
+  const used = assignment.filter(col => col >= 0);
+  assert.strictEqual(new Set(used).size, used.length, `columns reused: ${assignment}`);
+  used.forEach(col => assert.ok(col < cols));
+}
+
+test('rectangular matrices match brute force', () => {
+  const random = seededRandom(42);
+
+  for (let round = 0; round < 30; round++) {
+    const rows = 1 + Math.floor(random() * 5);
+    const cols = rows + Math.floor(random() * 4);
+    const costs = Array.from({ length: rows }, () =>
+      Array.from({ length: cols }, () => Math.round(random() * 200 - 100))
+    );
+
+    const { assignment, totalCost } = assignmentSolver.solve(costs);
+    assertValidAssignment(assignment, cols);
+    assert.strictEqual(totalCost, bruteForceMin(costs), `matrix ${JSON.stringify(costs)}`);
+    assert.strictEqual(totalCost, assignment.reduce((sum, col, row) => sum + costs[row][col], 0));
+  }
+});
+
+test('forbidden pairs are avoided when a feasible assignment exists', () => {
+  const costs = [
+    [1, Infinity, 5],
+    [Infinity, 2, Infinity],
+    [3, Infinity, 1]
+  ];
+
+  const { assignment, totalCost } = assignmentSolver.solve(costs);
+  assert.deepStrictEqual(assignment, [0, 1, 2]);
+  assert.strictEqual(totalCost, 4);
+});
+
+test('rows that can only take forbidden columns are left unassigned', () => {
+  const costs = [
+    [4, Infinity],
+    [Infinity, Infinity]
+  ];
+
+  const { assignment, totalCost } = assignmentSolver.solve(costs);
+  assert.deepStrictEqual(assignment, [0, -1]);
+  assert.strictEqual(totalCost, 4);
+});
+
+test('more rows than columns is rejected', () => {
+  assert.throws(() => assignmentSolver.solve([[1], [2]]), /at least as many columns as rows/);
+});
@@ -0,0 +1,53 @@
+// ============================================================================
+// SMARTBAGAN - CATCH MODEL TRAINING TESTS
+// File: backend/test/services/catchModelService.test.js
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const catchModel = require('../../src/services/catchModelService');
+
+const FIELDS = ['chlorophyll', 'sst', 'waveHeight', 'windSpeed'];
+
+function sample(i, estimatedField) {
+  const conditions = {
+    chlorophyll: 0.2 + (i % 7) * 0.1,
+    sst: 27 + (i % 5) * 0.5,
+    waveHeight: 0.4 + (i % 4) * 0.3,
+    windSpeed: 2 + (i % 6),
+    moonIllumination: (i * 13) % 100,
+    score: 40 + (i % 9) * 5,
+    estimated: Object.fromEntries(FIELDS.map(f => [f, f === estimatedField])),
+    estimatedValues: {}
+  };
+  if (estimatedField) {
+    conditions.estimatedValues[estimatedField] = conditions[estimatedField];
+    conditions[estimatedField] = null;
+  }
+  return { catchKg: 20 + conditions.chlorophyll * 40 - conditions.waveHeight * 5 + (i % 3), conditions };
+}
+
+test('trips with estimated factors are excluded and counted', () => {
+  const measured = Array.from({ length: catchModel.CONFIG.minTrips }, (_, i) => sample(i));
+  const estimated = ['sst', 'windSpeed', 'chlorophyll'].map((field, i) => sample(100 + i, field));
+  const legacyWithConstants = { ...sample(200), conditions: { ...sample(200).conditions, estimated: { sst: true } } };
+
+  const model = catchModel.fitModel([...measured, ...estimated, legacyWithConstants, { catchKg: NaN, conditions: null }]);
+
+  assert.strictEqual(model.method, 'regression');
+  assert.strictEqual(model.samples, measured.length);
+  assert.deepStrictEqual(model.skipped, { estimated: 4, incomplete: 1 });
+});
+
+test('null measured fields are not coerced into features', () => {
+  const samples = Array.from({ length: catchModel.CONFIG.minTrips }, (_, i) => {
+    const s = sample(i);
+    s.conditions.sst = null;
+    delete s.conditions.estimated;
+    return s;
+  });
+
+  const model = catchModel.fitModel(samples);
+  assert.strictEqual(model.method, 'linear-rule');
+  assert.strictEqual(model.skipped.incomplete, samples.length);
+});
@@ -0,0 +1,144 @@
+// ============================================================================
+// SMARTBAGAN - FLEET ROUTING TESTS
+// File: backend/test/services/fleetRoutingService.test.js
+// ============================================================================
+// Hazard tidak dimuat (navigationService belum ensureLoaded) → semua jarak
+// garis lurus, jadi waktu tempuh bisa dihitung tangan:
+// transit 6 knot ≈ 11.1 km/jam, tarik 2.5 knot ≈ 4.6 km/jam, pasang 20 menit.
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fleet = require('../../src/services/fleetRoutingService');
+
+const DATE = '2030-01-15';
+const KM_PER_DEGREE_LNG = 110.57;
+
+// Titik `km` ke timur dari titik acuan (jauh dari hazard bawaan)
+function east(km) {
+  return { lat: -6, lng: 106 + km / KM_PER_DEGREE_LNG };
+}
+
+function move(id, pickupKm, targetKm, deadline) {
+  return {
+    bagan: { id, name: id, ...east(pickupKm), ...(deadline && { deadline }) },
+    recommendation: {
+      action: 'move',
+      targetSpot: { ...east(targetKm), score: 90 },
+      analysis: { netProfit: 100000 }
+    }
+  };
+}
+
+function boat(id, km, extra = {}) {
+  return { id, ...east(km), fuelCapacityLiters: 100, ...extra };
+}
+
+function scheduledIds(plan, boatId) {
+  return plan.boats.find(b => b.boatId === boatId).schedule.map(s => s.baganId);
+}
+
+test('regret insertion gives each boat the jobs next to it', () => {
+  const plan = fleet.planFleet({
+    moves: [move('B1', 0.5, 1, '23:00'), move('B2', 20.5, 21, '23:00'), move('B3', 1.5, 2, '23:00')],
+    boats: [boat('K1', 0), boat('K2', 20)],
+    date: DATE,
+    startTime: '14:00'
+  });
+
+  assert.deepStrictEqual(scheduledIds(plan, 'K1'), ['B1', 'B3']);
+  assert.deepStrictEqual(scheduledIds(plan, 'K2'), ['B2']);
+  assert.strictEqual(plan.summary.allBeforeDeadline, true);
+});
+
+test('relocate moves jobs to the boat that burns less fuel', () => {
+  const boats = [boat('K1', 0), boat('K2', 20)].map(b => ({
+    ...b,
+    transitSpeedKnots: 6,
+    towSpeedKnots: 2.5,
+    fuelPerKmTransit: 1.5,
+    fuelPerKmTow: 4,
+    fuelAvailableLiters: 100
+  }));
+  const startAt = new Date(`${DATE}T14:00:00+07:00`);
+  const job = (id, km) => ({
+    bagan: { id, ...east(km) },
+    target: east(km + 0.5),
+    towKm: 0.5,
+    deadlineAt: new Date(`${DATE}T23:00:00+07:00`)
+  });
+  // Awal yang jelek: K1 juga mengerjakan B2 yang ada di sebelah K2
+  const routes = [[job('B1', 1), job('B2', 20.5)], []];
+  const fuel = () => routes.reduce((sum, r, b) => sum + fleet.simulate(boats[b], r, startAt).fuelLiters, 0);
+  const before = fuel();
+
+  fleet.relocate(routes, boats, startAt);
+
+  assert.deepStrictEqual(routes.map(r => r.map(j => j.bagan.id)), [['B1'], ['B2']]);
+  assert.ok(fuel() < before - 20, `fuel ${fuel()} should drop well below ${before}`);
+});
+
+test('deadline earlier than the start time rolls over to the next day', () => {
+  const plan = fleet.planFleet({
+    moves: [move('B1', 1, 2, '02:00')],
+    boats: [boat('K1', 0)],
+    date: DATE,
+    startTime: '23:00'
+  });
+
+  assert.strictEqual(plan.summary.scheduledBagans, 1);
+  assert.deepStrictEqual(plan.unscheduled, []);
+});
+
+test('deadlines already past today stay unscheduled when planning without startTime', (t) => {
+  // 19:00 WIB - lampu (18:00) sudah nyala
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(`${DATE}T19:00:00+07:00`) });
+
+  const plan = fleet.planFleet({
+    moves: [move('LATE', 1, 2), move('NIGHT', 1.5, 2.5, '02:00')],
+    boats: [boat('K1', 0)]
+  });
+
+  assert.strictEqual(plan.date, DATE);
+  assert.strictEqual(plan.startTime, '19:00');
+  assert.deepStrictEqual(plan.unscheduled.map(u => u.baganId), ['LATE']);
+  assert.deepStrictEqual(scheduledIds(plan, 'K1'), ['NIGHT']);
+  assert.strictEqual(plan.summary.allBeforeDeadline, false);
+});
+
+test('jobs beyond a boat fuel capacity go to another boat or stay unscheduled', () => {
+  // 10 km transit × 1.5 + 1 km tarik × 4 = 19 liter
+  const reachable = fleet.planFleet({
+    moves: [move('B1', 10, 11, '23:00')],
+    boats: [boat('K1', 0, { fuelCapacityLiters: 10 }), boat('K2', 0, { fuelCapacityLiters: 30 })],
+    date: DATE,
+    startTime: '14:00'
+  });
+  assert.deepStrictEqual(scheduledIds(reachable, 'K1'), []);
+  assert.deepStrictEqual(scheduledIds(reachable, 'K2'), ['B1']);
+
+  const stranded = fleet.planFleet({
+    moves: [move('B1', 10, 11, '23:00')],
+    boats: [boat('K1', 0, { fuelCapacityLiters: 30, fuelLiters: 15 })],
+    date: DATE,
+    startTime: '14:00'
+  });
+  assert.deepStrictEqual(stranded.unscheduled.map(u => u.baganId), ['B1']);
+  assert.strictEqual(stranded.summary.allBeforeDeadline, false);
+});
+
+test('summary finishAt is the latest boat even after midnight', () => {
+  const plan = fleet.planFleet({
+    // K1: ±3 km tarik → selesai lewat 00:00; K2: job pendek → ±23:25
+    moves: [move('LONG', 0.5, 4, '04:00'), move('SHORT', 20.2, 20.5, '04:00')],
+    boats: [boat('K1', 0), boat('K2', 20)],
+    date: DATE,
+    startTime: '23:00'
+  });
+
+  const finishes = plan.boats.map(b => b.finishAt);
+  assert.ok(finishes.includes(plan.summary.finishAt));
+  assert.ok(plan.summary.finishAt < '12:00', `expected an after-midnight time, got ${plan.summary.finishAt}`);
+  assert.ok(finishes.some(f => f > '23:00'), `expected one boat before midnight: ${finishes}`);
+});
@@ -0,0 +1,63 @@
+// ============================================================================
+// SMARTBAGAN - GRID SCAN TESTS
+// File: backend/test/services/gridScanService.test.js
+// ============================================================================
+// Provider & forecast di-mock: klorofil naik ke arah timur supaya skor sel
+// berbeda-beda, ombak/angin hanya tenang untuk malam tanggal scan.
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.CACHE_ENABLED = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const providers = require('../../src/providers');
+const zoneService = require('../../src/services/zoneService');
+const gridScan = require('../../src/services/gridScanService');
+
+const CENTER = { lat: -6, lng: 106 };
+const DATE = '2026-10-21';
+
+function mockGrid(variable, mode, bbox) {
+  const points = [];
+  for (let lat = bbox.minLat; lat <= bbox.maxLat; lat += 0.01) {
+    for (let lng = bbox.minLng; lng <= bbox.maxLng; lng += 0.01) {
+      const value = variable === 'sst' ? 28.5 : 0.2 + (lng - bbox.minLng) * 10;
+      points.push({ lat, lng, value });
+    }
+  }
+  return { points, resolutionDeg: 0.01, source: 'Mock', provider: 'mock', date: DATE, validFraction: 1 };
+}
+
+// Malam `DATE` tenang, tanggal lain badai
+function mockHourly(key, calm, storm) {
+  return async (lat, lng, startDate, endDate) => {
+    const hours = [];
+    for (const day of [startDate, endDate]) {
+      for (let h = 0; h < 24; h++) {
+        hours.push({ time: `${day}T${String(h).padStart(2, '0')}:00`, [key]: startDate === DATE ? calm : storm });
+      }
+    }
+    return { hours, source: 'Mock Forecast', provider: 'mock' };
+  };
+}
+
+test('scanArea numbers spots by rank and scores the requested night', async (t) => {
+  t.mock.method(providers, 'fetchVariable', async (variable, mode, bbox) => mockGrid(variable, mode, bbox));
+  const marine = t.mock.method(zoneService, 'getMarineForecast', mockHourly('waveHeight', 0.3, 3));
+  const wind = t.mock.method(zoneService, 'getWindForecast', mockHourly('speed', 3, 15));
+
+  const { spots, scan } = await gridScan.scanArea({ center: CENTER, currentBagans: [], radiusKm: 2, date: DATE });
+
+  assert.deepStrictEqual(marine.mock.calls.map(call => call.arguments[2]), [DATE]);
+  assert.deepStrictEqual(wind.mock.calls.map(call => call.arguments[2]), [DATE]);
+  assert.deepStrictEqual(scan.night, { waveHeight: 0.3, windSpeed: 3, forecastHours: 12 });
+  assert.strictEqual(scan.sources.marine, 'Mock Forecast');
+
+  assert.ok(spots.length > 1);
+  spots.forEach((spot, i) => {
+    assert.strictEqual(spot.id, `SPOT_${i + 1}`);
+    if (i > 0) assert.ok(spot.score <= spots[i - 1].score);
+  });
+  // Klorofil tertinggi di tepi timur
+  assert.ok(spots[0].lng > CENTER.lng);
+});
@@ -0,0 +1,112 @@
+// ============================================================================
+// SMARTBAGAN - NAVIGATION TESTS
+// File: backend/test/services/navigationService.test.js
+// ============================================================================
+// Hazard seed (sekitar Tinjil) dihapus, diganti rintangan buatan di sekitar
+// (-6, 106) supaya geometri tiap kasus jelas.
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const hazardRepository = require('../../src/repositories/hazardRepository');
+const navigation = require('../../src/services/navigationService');
+
+const KM_PER_DEGREE_LNG = 110.57;
+
+function east(km) {
+  return { lat: -6, lng: 106 + km / KM_PER_DEGREE_LNG };
+}
+
+// Persegi [lng, lat] dengan sudut barat daya (minLng, minLat)
+function rectangle(minLng, minLat, maxLng, maxLat) {
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+    ]]
+  };
+}
+
+async function useHazards(hazards) {
+  for (const hazard of await hazardRepository.list()) {
+    await hazardRepository.remove(hazard.id);
+  }
+  for (const hazard of hazards) {
+    await hazardRepository.create({ clearanceKm: null, ...hazard });
+  }
+  await navigation.reload();
+}
+
+// Pulau ±1 km persegi di tengah (-6, 106)
+const ISLAND = {
+  id: 'pulau-uji',
+  name: 'Pulau Uji',
+  type: 'island',
+  geometry: rectangle(105.995, -6.005, 106.005, -5.995)
+};
+
+test('path detours around a single island', async () => {
+  await useHazards([ISLAND]);
+
+  const path = navigation.findPath(east(-3), east(3));
+
+  assert.strictEqual(path.safe, true);
+  assert.strictEqual(path.detour, true);
+  assert.deepStrictEqual(path.avoided.map(h => h.id), ['pulau-uji']);
+  assert.deepStrictEqual(path.insideHazards, []);
+  assert.ok(path.distanceKm > path.straightDistanceKm);
+  // Memutar setengah pulau + clearance: jauh lebih pendek dari 2× garis lurus
+  assert.ok(path.distanceKm < path.straightDistanceKm + 2, `detour ${path.distanceKm} km`);
+
+  for (const waypoint of path.waypoints) {
+    assert.deepStrictEqual(navigation.hazardsAt(waypoint.lat, waypoint.lng), []);
+  }
+
+  // Garis yang tidak melewati pulau tetap lurus
+  const clear = navigation.findPath({ lat: -5.98, lng: 105.97 }, { lat: -5.98, lng: 106.03 });
+  assert.strictEqual(clear.detour, false);
+  assert.strictEqual(clear.safe, true);
+});
+
+test('start inside a hazard ignores that hazard but reports it', async () => {
+  await useHazards([
+    ISLAND,
+    {
+      id: 'larang-tangkap',
+      name: 'Larang Tangkap',
+      type: 'no_take',
+      geometry: rectangle(105.96, -6.01, 105.98, -5.99)
+    }
+  ]);
+
+  const path = navigation.findPath({ lat: -6, lng: 105.97 }, east(3));
+
+  assert.strictEqual(path.safe, true);
+  assert.deepStrictEqual(path.insideHazards.map(h => h.id), ['larang-tangkap']);
+  // Pulau tetap dihindari
+  assert.strictEqual(path.detour, true);
+  assert.deepStrictEqual(path.avoided.map(h => h.id), ['pulau-uji']);
+});
+
+test('path is unsafe when no route exists', async () => {
+  // Tujuan dikurung empat alur pelayaran (clearance 0) tanpa celah
+  const walls = [
+    rectangle(105.98, -5.985, 106.02, -5.98),
+    rectangle(105.98, -6.02, 106.02, -6.015),
+    rectangle(105.98, -6.02, 105.985, -5.98),
+    rectangle(106.015, -6.02, 106.02, -5.98)
+  ];
+  await useHazards(walls.map((geometry, i) => ({
+    id: `alur-${i + 1}`,
+    name: `Alur ${i + 1}`,
+    type: 'shipping_lane',
+    geometry
+  })));
+
+  const path = navigation.findPath(east(10), east(0));
+
+  assert.strictEqual(path.safe, false);
+  assert.deepStrictEqual(path.insideHazards, []);
+  assert.strictEqual(path.waypoints.length, 2);
+});
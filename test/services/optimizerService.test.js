@@ -0,0 +1,66 @@
+// ============================================================================
+// SMARTBAGAN - JOINT SPOT ASSIGNMENT TESTS
+// File: backend/test/services/optimizerService.test.js
+// ============================================================================
+// Hazard tidak dimuat → jarak tarik = garis lurus. Catch model belum
+// di-train → estimateCatch pakai aturan linear.
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const optimizer = require('../../src/services/optimizerService');
+
+const KM_PER_DEGREE_LNG = 110.57;
+
+function east(km) {
+  return { lat: -6, lng: 106 + km / KM_PER_DEGREE_LNG };
+}
+
+function targetOf(recommendation) {
+  return recommendation.recommendation.action === 'move'
+    ? recommendation.recommendation.targetSpot.id
+    : null;
+}
+
+test('joint assignment beats greedy when two bagans want the same spot', () => {
+  // A paling dekat ke S1 → greedy memberi S1 ke A, B tidak punya pilihan lain
+  // (S2 di luar maxTowDistance untuk B). Joint: A → S2, B → S1.
+  const bagans = [
+    { id: 'A', ...east(0), score: 30 },
+    { id: 'B', ...east(3), score: 30 }
+  ];
+  const spots = [
+    { id: 'S1', ...east(1), score: 95 },
+    { id: 'S2', ...east(-4), score: 90 }
+  ];
+
+  const { recommendations, assignment } = optimizer.assignSpots(bagans, spots);
+
+  assert.deepStrictEqual(recommendations.map(targetOf), ['S2', 'S1']);
+  // Dua bagan di spot yang sama = juga satu pasangan terlalu dekat
+  assert.deepStrictEqual(assignment.greedy.conflicts, { sharedSpots: 1, tooClose: 1 });
+  assert.ok(assignment.improvement.netProfit > 0);
+  assert.ok(assignment.totalNetProfit > assignment.greedy.feasibleNetProfit);
+});
+
+test('spacing repair keeps final positions at least minBaganSpacingKm apart', () => {
+  // S1 & S2 hanya 0.1 km - dua bagan tidak boleh berdiri sedekat itu
+  const bagans = [
+    { id: 'A', ...east(0), score: 30 },
+    { id: 'B', ...east(2), score: 30 }
+  ];
+  const spots = [
+    { id: 'S1', ...east(1), score: 95 },
+    { id: 'S2', ...east(1.1), score: 94 }
+  ];
+
+  const { recommendations, assignment } = optimizer.assignSpots(bagans, spots);
+
+  assert.ok(assignment.spacingRepairs >= 1);
+  assert.strictEqual(recommendations.filter(r => r.recommendation.action === 'move').length, 1);
+
+  const finals = recommendations.map(r => r.recommendation.action === 'move' ? r.recommendation.targetSpot : r.bagan);
+  const gap = optimizer.calculateDistance(finals[0].lat, finals[0].lng, finals[1].lat, finals[1].lng);
+  assert.ok(gap >= optimizer.CONFIG.minBaganSpacingKm, `final positions ${gap.toFixed(3)} km apart`);
+});
@@ -0,0 +1,117 @@
+// ============================================================================
+// SMARTBAGAN - ROUTE SOLVER TESTS
+// File: backend/test/services/routeSolver.test.js
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const routeSolver = require('../../src/services/routeSolver');
+
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Titik acak di bidang; spot tujuan job ≠ posisi jemput → cost asimetris
+function randomCosts(n, random) {
+  const point = () => ({ x: random() * 10, y: random() * 10 });
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const boat = point();
+  const jobs = Array.from({ length: n }, () => ({ pickup: point(), target: point() }));
+
+  return {
+    start: jobs.map(job => dist(boat, job.pickup)),
+    between: jobs.map(from => jobs.map(to => dist(from.target, to.pickup))),
+    fixed: jobs.reduce((sum, job) => sum + dist(job.pickup, job.target), 0)
+  };
+}
+
+function bruteForceMin(costs) {
+  const n = costs.start.length;
+  let best = Infinity;
+
+  function search(order, used) {
+    if (order.length === n) {
+      best = Math.min(best, routeSolver.routeCost(order, costs));
+      return;
+    }
+    for (let j = 0; j < n; j++) {
+      if (used[j]) continue;
+      used[j] = true;
+      order.push(j);
+      search(order, used);
+      order.pop();
+      used[j] = false;
+    }
+  }
+
+  search([], new Array(n).fill(false));
+  return best;
+}
+
+function assertPermutation(order, n) {
+  assert.deepStrictEqual([...order].sort((a, b) => a - b), Array.from({ length: n }, (_, i) => i));
+}
+
+test('Held-Karp equals brute force on small instances', () => {
+  const random = seededRandom(7);
+
+  for (let n = 1; n <= 7; n++) {
+    for (let round = 0; round < 4; round++) {
+      const costs = randomCosts(n, random);
+      const result = routeSolver.solve(costs);
+
+      assert.strictEqual(result.solver.name, 'held-karp');
+      assertPermutation(result.order, n);
+      assert.ok(Math.abs(result.cost - bruteForceMin(costs)) < 1e-9, `n=${n}: ${result.cost} vs ${bruteForceMin(costs)}`);
+      assert.strictEqual(result.solver.optimalityGapPercent, 0);
+    }
+  }
+});
+
+test('lower bound never exceeds the optimum', () => {
+  const random = seededRandom(11);
+
+  for (let round = 0; round < 10; round++) {
+    const costs = randomCosts(6, random);
+    assert.ok(routeSolver.lowerBound(costs) <= bruteForceMin(costs) + 1e-9);
+  }
+});
+
+test('heuristic stays within its reported lower-bound gap', () => {
+  const random = seededRandom(23);
+
+  for (const n of [16, 20, 30]) {
+    const costs = randomCosts(n, random);
+    const result = routeSolver.solve(costs);
+    const bound = routeSolver.lowerBound(costs);
+
+    assert.strictEqual(result.solver.exact, false);
+    assertPermutation(result.order, n);
+    assert.ok(Math.abs(result.cost - routeSolver.routeCost(result.order, costs)) < 1e-9);
+    assert.ok(result.cost >= bound - 1e-9, 'cost below lower bound');
+
+    // Gap dilaporkan 2 desimal → toleransi pembulatan 0.005%
+    const maxCost = bound * (1 + (result.solver.optimalityGapPercent + 0.005) / 100);
+    assert.ok(result.cost <= maxCost + 1e-9, `cost ${result.cost} > bound ${bound} + ${result.solver.optimalityGapPercent}%`);
+  }
+});
+
+test('heuristic is never better than the exact optimum on small instances', (t) => {
+  const exactMaxJobs = routeSolver.CONFIG.exactMaxJobs;
+  t.after(() => { routeSolver.CONFIG.exactMaxJobs = exactMaxJobs; });
+  routeSolver.CONFIG.exactMaxJobs = 0;
+
+  const random = seededRandom(5);
+  for (let round = 0; round < 10; round++) {
+    const costs = randomCosts(6, random);
+    const result = routeSolver.solve(costs);
+
+    assert.strictEqual(result.solver.exact, false);
+    assertPermutation(result.order, 6);
+    assert.ok(result.cost >= bruteForceMin(costs) - 1e-9);
+  }
+});
@@ -0,0 +1,37 @@
+// ============================================================================
+// SMARTBAGAN - JSONL STORE TESTS
+// File: backend/test/storage/jsonlStore.test.js
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createJsonlStore } = require('../../src/storage/jsonlStore');
+
+async function storeWith(content) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smartbagan-jsonl-'));
+  await fs.writeFile(path.join(dataDir, 'items.jsonl'), content, 'utf8');
+  return { dataDir, store: createJsonlStore('items', { dataDir }) };
+}
+
+test('truncated last line is dropped and the file repaired', async (t) => {
+  const { dataDir, store } = await storeWith('{"id":1}\n{"id":2}\n{"id":3,"na');
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  t.mock.method(console, 'warn', () => {});
+
+  const { records } = await store.load();
+  assert.deepStrictEqual(records, [{ id: 1 }, { id: 2 }]);
+
+  // Append setelah perbaikan tidak menempel ke sisa baris rusak
+  await store.append({ id: 3 }, { schemaVersion: 0, nextId: 4 });
+  assert.deepStrictEqual((await store.load()).records, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+});
+
+test('corrupt line in the middle still fails', async (t) => {
+  const { dataDir, store } = await storeWith('{"id":1}\n{"id":2,\n{"id":3}\n');
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  await assert.rejects(store.load(), /Corrupt record .* line 2/);
+});
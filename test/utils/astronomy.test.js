@@ -0,0 +1,63 @@
+// ============================================================================
+// SMARTBAGAN - LUNAR EPHEMERIS TESTS
+// File: backend/test/utils/astronomy.test.js
+// ============================================================================
+// Nilai referensi: waktu fase bulan 2024 (UTC) dan terbit/terbenam/altitude
+// dari astronomy-engine 2.x (VSOP87/ELP, tanpa refraksi) untuk perairan
+// Tinjil, lat -6.75 lng 105.52.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const astronomy = require('../../src/utils/astronomy');
+
+const LOCATION = { lat: -6.75, lng: 105.52 };
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+// elongation 0-360, dibandingkan secara melingkar
+function assertAngleClose(actual, expected, tolerance, label) {
+  const diff = Math.abs(((actual - expected + 540) % 360) - 180);
+  assert.ok(diff <= tolerance, `${label}: expected ${expected}° ± ${tolerance}°, got ${actual}°`);
+}
+
+const PHASES = [
+  { at: '2024-01-11T11:57:56Z', illumination: 0.0, elongation: 0, phaseName: 'New Moon' },
+  { at: '2024-01-18T03:53:12Z', illumination: 0.5, elongation: 90, phaseName: 'First Quarter', waxing: true },
+  { at: '2024-01-25T17:54:43Z', illumination: 1.0, elongation: 180, phaseName: 'Full Moon' },
+  { at: '2024-02-02T23:18:41Z', illumination: 0.5, elongation: 270, phaseName: 'Last Quarter', waxing: false }
+];
+
+for (const phase of PHASES) {
+  test(`illumination & phase at ${phase.phaseName} ${phase.at}`, () => {
+    const result = astronomy.moonIllumination(new Date(phase.at));
+
+    assertClose(result.fraction, phase.illumination, 0.01, 'illumination');
+    assertAngleClose(result.elongation, phase.elongation, 0.5, 'elongation');
+    assert.strictEqual(result.phaseName, phase.phaseName);
+    if (phase.waxing !== undefined) {
+      assert.strictEqual(result.waxing, phase.waxing);
+    }
+  });
+}
+
+test('moonrise & moonset around full moon 2024-01-25', () => {
+  const start = new Date('2024-01-25T05:00:00Z'); // 12:00 WIB
+  const end = new Date(start.getTime() + 24 * 3600 * 1000);
+  const { rise, set } = astronomy.moonTimes(start, end, LOCATION.lat, LOCATION.lng);
+
+  const toleranceMs = 3 * 60 * 1000;
+  assertClose(rise.getTime(), Date.parse('2024-01-25T11:14:52Z'), toleranceMs, 'moonrise');
+  assertClose(set.getTime(), Date.parse('2024-01-25T23:13:46Z'), toleranceMs, 'moonset');
+});
+
+test('topocentric moon altitude', () => {
+  assertClose(astronomy.moonAltitude(new Date('2024-01-25T12:00:00Z'), LOCATION.lat, LOCATION.lng), 9.0, 0.5, 'altitude 12:00Z');
+  assertClose(astronomy.moonAltitude(new Date('2024-01-25T17:54:00Z'), LOCATION.lat, LOCATION.lng), 57.71, 0.5, 'altitude 17:54Z');
+  assert.strictEqual(astronomy.isMoonUp(new Date('2024-01-25T17:54:00Z'), LOCATION.lat, LOCATION.lng), true);
+  assert.strictEqual(astronomy.isMoonUp(new Date('2024-01-25T05:00:00Z'), LOCATION.lat, LOCATION.lng), false);
+});